@@ -0,0 +1,525 @@
+import { useFocusEffect } from 'expo-router';
+import { useCallback, useMemo, useState } from 'react';
+import { Alert, FlatList, Modal, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { AUTH_METHODS } from '@/constants/biometric-policy';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { formatDuration } from '@/lib/attendance-sessions';
+import { createLogger } from '@/lib/logger';
+import { buildExport, saveExportToFile, shareExport } from '@/lib/record-export';
+import { filterVerificationRecords, queryVerificationRecords, verifyAuditLog } from '@/lib/verification-records';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+type VerificationRecord = {
+  id: string;
+  type: string;
+  studentId?: string;
+  credentialId?: string;
+  timestamp: number;
+  success: boolean;
+  error?: string;
+  source?: string;
+  authMethod?: string;
+  detectedBy?: string;
+  signCount?: number | null;
+  syncStatus?: string;
+  idempotencyKey?: string;
+  attendanceId?: string;
+  sessionId?: string;
+  durationMs?: number;
+  checkOutReason?: string;
+  course?: { classId: string; courseCode: string; courseName: string | null } | null;
+  sessionToken?: { course: string; room: string; nonce: string; expiresAt: number } | null;
+  seq?: number;
+  hash?: string;
+  location?: {
+    latitude: number;
+    longitude: number;
+    accuracy: number | null;
+    source: string;
+    integrity?: { verdict: string; reasons: string[] };
+  } | null;
+  locationIntegrity?: { verdict: string; reasons: string[] };
+  geofence?: { allowed: boolean; reason: string | null; fenceName: string | null; distance: number | null };
+};
+
+type RangeFilter = 'today' | '7d' | '30d' | 'all' | 'custom';
+type OutcomeFilter = 'all' | 'success' | 'failure';
+type ExportFormat = 'csv' | 'json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_OPTIONS: { value: RangeFilter; label: string }[] = [
+  { value: 'today', label: 'Today' },
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: 'all', label: 'All' },
+  { value: 'custom', label: 'Custom' },
+];
+
+const OUTCOME_OPTIONS: { value: OutcomeFilter; label: string }[] = [
+  { value: 'all', label: 'All' },
+  { value: 'success', label: 'Success' },
+  { value: 'failure', label: 'Failed' },
+];
+
+const FORMAT_OPTIONS: { value: ExportFormat; label: string }[] = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+];
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+};
+
+// Parses YYYY-MM-DD as local midnight; undefined for blank or invalid input
+const parseDate = (value: string) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return undefined;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+};
+
+const rangeBounds = (range: RangeFilter, customFrom: string, customTo: string) => {
+  switch (range) {
+    case 'today':
+      return { from: startOfToday() };
+    case '7d':
+      return { from: startOfToday() - 6 * DAY_MS };
+    case '30d':
+      return { from: startOfToday() - 29 * DAY_MS };
+    case 'custom': {
+      const to = parseDate(customTo);
+      return { from: parseDate(customFrom), to: to === undefined ? undefined : to + DAY_MS };
+    }
+    default:
+      return {};
+  }
+};
+
+const AUTH_METHOD_LABELS: Record<string, string> = {
+  [AUTH_METHODS.FINGERPRINT]: 'Fingerprint',
+  [AUTH_METHODS.FACE]: 'Face',
+  [AUTH_METHODS.IRIS]: 'Iris',
+  [AUTH_METHODS.BIOMETRIC]: 'Biometric',
+  [AUTH_METHODS.PASSCODE]: 'Device passcode',
+};
+
+const EVENT_LABELS: Record<string, string> = {
+  check_in: 'Check-in',
+  check_out: 'Check-out',
+};
+
+const formatLocation = (location: VerificationRecord['location']) => {
+  if (!location) return 'No location';
+  const accuracy = location.accuracy == null ? '?' : `±${Math.round(location.accuracy)} m`;
+  return `${location.source} · ${accuracy}`;
+};
+
+function FilterChips<T extends string>({
+  options,
+  value,
+  onChange,
+}: {
+  options: { value: T; label: string }[];
+  value: T;
+  onChange: (value: T) => void;
+}) {
+  return (
+    <View style={styles.chips}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.chip, option.value === value && styles.chipActive]}
+          onPress={() => onChange(option.value)}>
+          <ThemedText style={[styles.chipText, option.value === value && styles.chipTextActive]}>
+            {option.label}
+          </ThemedText>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+function DetailRow({ label, value }: { label: string; value?: string | number | null }) {
+  if (value === undefined || value === null || value === '') return null;
+  return (
+    <View style={styles.detailRow}>
+      <ThemedText style={styles.detailLabel}>{label}</ThemedText>
+      <ThemedText style={styles.detailValue}>{String(value)}</ThemedText>
+    </View>
+  );
+}
+
+function RecordDetail({ record, onClose }: { record: VerificationRecord; onClose: () => void }) {
+  const { location, geofence } = record;
+
+  return (
+    <Modal visible animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.detailHeader}>
+          <ThemedText type="subtitle">{record.success ? '✅ Marked' : '❌ Failed'}</ThemedText>
+          <TouchableOpacity onPress={onClose}>
+            <ThemedText style={styles.closeButton}>✕</ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.detailContent}>
+          <DetailRow label="Date" value={new Date(record.timestamp).toLocaleString()} />
+          <DetailRow label="Student ID" value={record.studentId} />
+          <DetailRow label="Event" value={record.type} />
+          <DetailRow label="Source" value={record.source} />
+          <DetailRow label="Verified with" value={record.authMethod ? AUTH_METHOD_LABELS[record.authMethod] ?? record.authMethod : undefined} />
+          <DetailRow label="Page detected by" value={record.detectedBy} />
+          <DetailRow label="Error" value={record.error} />
+          <DetailRow
+            label="Credential"
+            value={record.credentialId ? `${record.credentialId.substring(0, 16)}…` : undefined}
+          />
+          <DetailRow label="Sign count" value={record.signCount} />
+          <DetailRow label="Sync status" value={record.syncStatus} />
+          <DetailRow label="Idempotency key" value={record.idempotencyKey} />
+          <DetailRow label="Attendance reference" value={record.attendanceId} />
+          <DetailRow label="Session" value={record.sessionId} />
+          <DetailRow label="Time on site" value={record.durationMs != null ? formatDuration(record.durationMs) : undefined} />
+          <DetailRow label="Check-out reason" value={record.checkOutReason} />
+          <DetailRow
+            label="Course"
+            value={record.course ? [record.course.courseCode, record.course.courseName].filter(Boolean).join(' · ') : undefined}
+          />
+          <DetailRow
+            label="Classroom code"
+            value={record.sessionToken ? `${record.sessionToken.course} · ${record.sessionToken.room}` : undefined}
+          />
+          <DetailRow label="Code nonce" value={record.sessionToken?.nonce} />
+          <DetailRow label="Audit entry" value={record.seq != null ? `#${record.seq}` : undefined} />
+          <DetailRow label="Audit hash" value={record.hash} />
+
+          <ThemedText type="defaultSemiBold" style={styles.detailSection}>Location</ThemedText>
+          {location ? (
+            <>
+              <DetailRow label="Source" value={location.source} />
+              <DetailRow
+                label="Accuracy"
+                value={location.accuracy == null ? undefined : `±${Math.round(location.accuracy)} m`}
+              />
+              <DetailRow
+                label="Coordinates"
+                value={`${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`}
+              />
+              <DetailRow label="Integrity" value={location.integrity?.verdict} />
+              <DetailRow label="Integrity notes" value={location.integrity?.reasons?.join('\n')} />
+            </>
+          ) : (
+            <>
+              <ThemedText style={styles.muted}>No location was captured.</ThemedText>
+              <DetailRow label="Integrity" value={record.locationIntegrity?.verdict} />
+            </>
+          )}
+
+          {geofence && (
+            <>
+              <ThemedText type="defaultSemiBold" style={styles.detailSection}>Geofence</ThemedText>
+              <DetailRow label="Decision" value={geofence.allowed ? 'Inside' : 'Outside'} />
+              <DetailRow label="Area" value={geofence.fenceName} />
+              <DetailRow label="Distance" value={geofence.distance == null ? undefined : `${geofence.distance} m`} />
+              <DetailRow label="Reason" value={geofence.reason} />
+            </>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+export default function HistoryScreen() {
+  const [records, setRecords] = useState<VerificationRecord[]>([]);
+  const [range, setRange] = useState<RangeFilter>('7d');
+  const [outcome, setOutcome] = useState<OutcomeFilter>('all');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [selected, setSelected] = useState<VerificationRecord | null>(null);
+  const [showExport, setShowExport] = useState(false);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('csv');
+
+  const bounds = useMemo(() => rangeBounds(range, customFrom, customTo), [range, customFrom, customTo]);
+
+  // Archived months are only read when the range reaches back into them
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      queryVerificationRecords(bounds).then((loaded) => {
+        if (active) setRecords(loaded as VerificationRecord[]);
+      });
+      return () => {
+        active = false;
+      };
+    }, [bounds])
+  );
+
+  const visibleRecords = useMemo(
+    () => filterVerificationRecords(records, { ...bounds, outcome }) as VerificationRecord[],
+    [records, bounds, outcome]
+  );
+
+  const handleVerifyIntegrity = async () => {
+    const result = await verifyAuditLog();
+    const head = result.head ? `Latest entry #${result.head.seq} (${result.head.hash.substring(0, 12)}…)` : 'The log is empty';
+    if (!result.valid) {
+      Alert.alert('Audit Log Tampered', `${result.problem}.\n\n${head}`);
+      return;
+    }
+    Alert.alert(
+      'Audit Log Intact',
+      `${result.entries} entries (${result.archived} archived) are unchanged.\n\n${head}` +
+        (result.anchored || !result.head ? '' : '\n\nThe newest entry will be anchored in the keystore when the next one is written.')
+    );
+  };
+
+  // Exports every record in the selected date range, regardless of the outcome filter
+  const handleExport = async (destination: 'share' | 'file') => {
+    const inRange = filterVerificationRecords(records, bounds);
+
+    if (inRange.length === 0) {
+      Alert.alert('Nothing to Export', 'There are no records in the selected date range.');
+      return;
+    }
+
+    try {
+      const exported = buildExport(inRange, exportFormat, bounds);
+      if (destination === 'share') {
+        await shareExport(exported);
+      } else {
+        await saveExportToFile(exported);
+        Alert.alert('Export Saved', `${inRange.length} records saved as ${exported.filename}.`);
+      }
+    } catch (error) {
+      log.error('Export failed', error);
+      Alert.alert('Export Failed', 'The records could not be exported. Please try again.');
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <ThemedView style={styles.header}>
+        <View style={styles.titleRow}>
+          <ThemedText type="title">History</ThemedText>
+          <View style={styles.titleActions}>
+            <TouchableOpacity onPress={handleVerifyIntegrity}>
+              <ThemedText type="link">Verify</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setShowExport(!showExport)}>
+              <ThemedText type="link">{showExport ? 'Done' : 'Export'}</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </View>
+        <FilterChips options={RANGE_OPTIONS} value={range} onChange={setRange} />
+        {range === 'custom' && (
+          <View style={styles.customRange}>
+            <TextInput
+              style={styles.dateInput}
+              placeholder="From (YYYY-MM-DD)"
+              value={customFrom}
+              onChangeText={setCustomFrom}
+              autoCapitalize="none"
+            />
+            <TextInput
+              style={styles.dateInput}
+              placeholder="To (YYYY-MM-DD)"
+              value={customTo}
+              onChangeText={setCustomTo}
+              autoCapitalize="none"
+            />
+          </View>
+        )}
+        <FilterChips options={OUTCOME_OPTIONS} value={outcome} onChange={setOutcome} />
+        {showExport && (
+          <View style={styles.exportPanel}>
+            <ThemedText style={styles.recordDetail}>Export all records in the selected date range as:</ThemedText>
+            <FilterChips options={FORMAT_OPTIONS} value={exportFormat} onChange={setExportFormat} />
+            <View style={styles.exportButtons}>
+              <TouchableOpacity style={styles.exportButton} onPress={() => handleExport('share')}>
+                <ThemedText style={styles.chipTextActive}>Share</ThemedText>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.exportButton} onPress={() => handleExport('file')}>
+                <ThemedText style={styles.chipTextActive}>Save to File</ThemedText>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </ThemedView>
+
+      <FlatList
+        data={visibleRecords}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<ThemedText style={styles.muted}>No attendance records in this range.</ThemedText>}
+        renderItem={({ item }) => (
+          <TouchableOpacity style={styles.record} onPress={() => setSelected(item)}>
+            <View style={styles.recordHeader}>
+              <ThemedText type="defaultSemiBold">{new Date(item.timestamp).toLocaleString()}</ThemedText>
+              <ThemedText style={item.success ? styles.success : styles.failure}>
+                {item.success ? 'Success' : 'Failed'}
+              </ThemedText>
+            </View>
+            <ThemedText style={styles.recordDetail}>
+              Student: {item.studentId || 'unknown'}
+              {item.course ? ` · ${item.course.courseCode}` : ''}
+            </ThemedText>
+            {!!EVENT_LABELS[item.type] && (
+              <ThemedText style={styles.recordDetail}>
+                {EVENT_LABELS[item.type]}
+                {item.durationMs != null ? ` · ${formatDuration(item.durationMs)} on site` : ''}
+              </ThemedText>
+            )}
+            {!item.success && item.error && (
+              <ThemedText style={[styles.recordDetail, styles.failure]}>{item.error}</ThemedText>
+            )}
+            <ThemedText style={styles.recordDetail}>{formatLocation(item.location)}</ThemedText>
+          </TouchableOpacity>
+        )}
+      />
+
+      {selected && <RecordDetail record={selected} onClose={() => setSelected(null)} />}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    padding: 16,
+    gap: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  titleActions: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  exportPanel: {
+    gap: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  exportButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  exportButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  customRange: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  dateInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  list: {
+    padding: 16,
+  },
+  record: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  recordHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  recordDetail: {
+    fontSize: 13,
+    color: '#666',
+  },
+  success: {
+    color: '#2e7d32',
+  },
+  failure: {
+    color: '#c62828',
+  },
+  muted: {
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  detailHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  closeButton: {
+    fontSize: 24,
+    color: '#666',
+    padding: 10,
+  },
+  detailContent: {
+    padding: 16,
+  },
+  detailSection: {
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+  },
+  detailLabel: {
+    width: 130,
+    fontSize: 14,
+    color: '#666',
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: 14,
+  },
+});
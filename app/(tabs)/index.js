@@ -1,14 +1,16 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as LocalAuthentication from 'expo-local-authentication';
 import * as Location from 'expo-location';
-import React, { useCallback, useRef, useState } from 'react';
+import * as Network from 'expo-network';
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import React, { useCallback, useMemo, useRef, useState } from 'react';
 import {
   ActivityIndicator,
   Alert,
+  AppState,
   Button,
+  Linking,
   Platform,
   SafeAreaView,
-  ScrollView,
   StatusBar,
   StyleSheet,
   Text,
@@ -17,41 +19,369 @@ import {
 } from 'react-native';
 import WebView from 'react-native-webview';
 
-// Storage keys
-const WEBAUTHN_CREDENTIALS_KEY = '@Attendify_WebAuthn_Credentials';
-const VERIFICATION_RECORDS_KEY = '@Attendify_Verification_Records';
+import { AccountChooser } from '@/components/account-chooser';
+import { useEnvironment } from '@/components/environment-provider';
+import { OfflineQueueBanner } from '@/components/offline-queue-banner';
+import { OpenSessionsBanner } from '@/components/open-sessions-banner';
+import { UntrustedPageBanner } from '@/components/untrusted-page-banner';
+import { PRODUCTION_ENVIRONMENT_ID } from '@/constants/environments';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_ORIGIN_POLICY } from '@/constants/origins';
+import { DEFAULT_PAGE_DETECTION_CONFIG } from '@/constants/page-detection';
+import { DEFAULT_SELECTOR_PROFILE } from '@/constants/selector-profiles';
+import { ATTENDANCE_MODES } from '@/constants/sessions';
+import {
+  assertCanCheckIn,
+  AttendanceBlockedError,
+  prepareAttendance,
+  readCredentials,
+  signAssertion,
+  toLocationData,
+  verifyAndUnlock
+} from '@/lib/attendance';
+import {
+  CHECK_OUT_REASONS,
+  checkIn,
+  loadSessionConfig,
+  loadSessions,
+  markPrompted,
+  openSessions,
+  pendingCheckOutPrompts,
+  scheduledEndFor
+} from '@/lib/attendance-sessions';
+import {
+  BRIDGE_ERRORS,
+  BridgeError,
+  buildErrorResponse,
+  buildResponse,
+  deliveryScript,
+  parseBridgeMessage
+} from '@/lib/bridge';
+import { savePortalBiometricPolicy, validateBiometricPolicy, verifyUserPresence } from '@/lib/biometric-policy';
+import { scheduleClassReminders } from '@/lib/class-reminders';
+import { isVaultUnlocked, lockVault, saveVaultCredentials, VaultLockedError } from '@/lib/credential-vault';
+import { loadGeofenceConfig } from '@/lib/geofence';
+import { buildInjectedScript } from '@/lib/interceptor-script';
+import { createLogger } from '@/lib/logger';
+import {
+  createOfflineEvent,
+  dismissResolvedEntries,
+  enqueueOfflineEvent,
+  loadOfflineQueue,
+  offlineEventChallenge,
+  QUEUE_STATUS,
+  replayOfflineQueue
+} from '@/lib/offline-queue';
+import { isAllowedOrigin, isValidRpId, loadOriginPolicy, navigationDecision, originOf } from '@/lib/origin-policy';
+import { loadPageDetectionConfig } from '@/lib/page-detection';
+import { formatDryRunReport, loadSelectorProfiles } from '@/lib/selector-profiles';
+import {
+  consumeSessionToken,
+  loadSessionTokenConfig,
+  SessionTokenError,
+  sessionTokenSummary,
+  verifySessionToken
+} from '@/lib/session-tokens';
+import { consumeStorageRecoveries } from '@/lib/storage';
+import { courseSummary, currentClass, importPortalTimetable, loadTimetable, loadTimetableConfig } from '@/lib/timetable';
+import { applyRetentionPolicy, loadAuditHead, saveVerificationRecord } from '@/lib/verification-records';
+import { COSE_ALG_ES256, createCredential, deletePrivateKey } from '@/lib/webauthn';
+import {
+  reportInterceptorReady,
+  reportPageLoaded,
+  reportPageLoadFailed,
+  reportPageLoadStarted
+} from '@/lib/webview-status';
+
+const appLog = createLogger(LOG_CATEGORIES.APP);
+const bridgeLog = createLogger(LOG_CATEGORIES.BRIDGE);
+const biometricLog = createLogger(LOG_CATEGORIES.BIOMETRIC);
+const locationLog = createLogger(LOG_CATEGORIES.LOCATION);
+const storageLog = createLogger(LOG_CATEGORIES.STORAGE);
+// Entries the injected page script forwards over the bridge
+const pageLog = createLogger(LOG_CATEGORIES.WEBVIEW);
+
+// Lock the credential vault again after this long in the background
+const VAULT_AUTO_LOCK_MS = 5 * 60 * 1000;
+
+// Portal (relative to the active environment's origin)
+const OFFLINE_ATTENDANCE_PATH = '/api/attendance/offline';
+
+// Tells the user once when stored data was unreadable and had to be set aside
+const reportStorageRecoveries = () => {
+  const recovered = consumeStorageRecoveries();
+  if (recovered.length === 0) return;
+
+  Alert.alert(
+    'Some Saved Data Could Not Be Read',
+    'Attendify found damaged data on this device and set it aside so the app keeps working. ' +
+    'If your fingerprint is no longer recognised, please register it again.'
+  );
+};
+
+// Check-out prompts and banners open the native attendance screen
+const openCheckOut = (session, reason = CHECK_OUT_REASONS.USER) => {
+  router.push({ pathname: '/attendance', params: { checkOut: session.id, reason } });
+};
+
+const showCheckOutPrompt = (session, reason) => {
+  const message = reason === CHECK_OUT_REASONS.LEFT_GEOFENCE
+    ? `You appear to have left ${session.fenceName || 'the attendance area'}. Check out now?`
+    : `Your session was scheduled to end at ${new Date(session.scheduledEndAt).toLocaleTimeString()}. Check out now?`;
+
+  Alert.alert(
+    reason === CHECK_OUT_REASONS.LEFT_GEOFENCE ? 'Left the Attendance Area' : 'Session Ended',
+    `${session.studentId}: ${message}`,
+    [
+      { text: 'Later', style: 'cancel' },
+      { text: 'Check Out', onPress: () => openCheckOut(session, reason) }
+    ]
+  );
+};
 
 export default function App() {
   // ========== STATE VARIABLES ==========
   const webViewRef = useRef(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [storedCredentials, setStoredCredentials] = useState({});
-  const [showDebug, setShowDebug] = useState(false);
+  const [accountChoice, setAccountChoice] = useState(null);
+  const [portalUnreachable, setPortalUnreachable] = useState(false);
+  const [offlineQueue, setOfflineQueue] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const syncInProgress = useRef(false);
+  const bridgeHandlers = useRef({});
+  const [originPolicy, setOriginPolicy] = useState(DEFAULT_ORIGIN_POLICY);
+  const [untrustedUrl, setUntrustedUrl] = useState(null);
+  const [pageDetection, setPageDetection] = useState(DEFAULT_PAGE_DETECTION_CONFIG);
+  const [selectorProfiles, setSelectorProfiles] = useState([DEFAULT_SELECTOR_PROFILE]);
+  const [sessionConfig, setSessionConfig] = useState(null);
+  const [activeSessions, setActiveSessions] = useState([]);
+  // Classroom QR token scanned for the next portal verification
+  const [scannedToken, setScannedToken] = useState(null);
+  const { environment } = useEnvironment();
+  const params = useLocalSearchParams();
+
+  // The active environment's own portal is always trusted
+  const trustedOrigins = useMemo(() => ({
+    ...originPolicy,
+    allowedOrigins: [environment.origin, ...originPolicy.allowedOrigins]
+  }), [originPolicy, environment.origin]);
+
+  // ========== OFFLINE QUEUE SYNC ==========
+  const syncOfflineQueue = useCallback(async () => {
+    if (syncInProgress.current) return;
+
+    const queue = await loadOfflineQueue();
+    setOfflineQueue(queue);
+    if (!queue.some(entry => entry.status === QUEUE_STATUS.PENDING)) return;
+
+    syncInProgress.current = true;
+    setIsSyncing(true);
+
+    try {
+      const { queue: remaining, synced, conflicts, rejected } = await replayOfflineQueue(`${environment.origin}${OFFLINE_ATTENDANCE_PATH}`);
+      setOfflineQueue(remaining);
+      appLog.info('Offline queue replayed', { synced: synced.length, conflicts: conflicts.length, rejected: rejected.length });
+
+      for (const entry of [...synced, ...conflicts, ...rejected]) {
+        await saveVerificationRecord({
+          type: 'offline_sync',
+          studentId: entry.event.studentId,
+          credentialId: entry.event.credentialId,
+          timestamp: Date.now(),
+          success: entry.status === QUEUE_STATUS.SYNCED,
+          error: entry.status === QUEUE_STATUS.SYNCED ? undefined : entry.message || entry.status,
+          idempotencyKey: entry.event.idempotencyKey,
+          syncStatus: entry.status,
+          source: 'offline_queue'
+        });
+      }
+
+      if (conflicts.length > 0 || rejected.length > 0) {
+        showOfflineQueueDetails(remaining, syncOfflineQueue);
+      }
+    } catch (error) {
+      appLog.error('Offline queue replay failed', error);
+    } finally {
+      syncInProgress.current = false;
+      setIsSyncing(false);
+    }
+  }, [environment.origin]);
+
+  const showOfflineQueueDetails = (queue, onSync) => {
+    const lines = queue.map(entry => {
+      const capturedAt = new Date(entry.event.capturedAt).toLocaleString();
+      const status = {
+        [QUEUE_STATUS.PENDING]: 'Waiting to sync',
+        [QUEUE_STATUS.CONFLICT]: 'Already recorded by the server',
+        [QUEUE_STATUS.REJECTED]: 'Rejected by the server'
+      }[entry.status];
+      return `${capturedAt} (${entry.event.studentId}): ${status}${entry.message ? ` - ${entry.message}` : ''}`;
+    });
+    const hasResolved = queue.some(entry => entry.status !== QUEUE_STATUS.PENDING);
+
+    Alert.alert('Offline Attendance', lines.join('\n\n') || 'Nothing queued.', [
+      { text: 'Sync Now', onPress: onSync },
+      ...(hasResolved
+        ? [{ text: 'Dismiss Resolved', onPress: async () => setOfflineQueue(await dismissResolvedEntries()) }]
+        : []),
+      { text: 'OK' }
+    ]);
+  };
 
   // ========== USE EFFECTS ==========
   React.useEffect(() => {
-    loadStoredCredentials();
     checkBiometricSupport();
     requestLocationPermission();
+    loadOriginPolicy().then(setOriginPolicy);
+    loadPageDetectionConfig().then(setPageDetection);
+    loadSelectorProfiles().then(setSelectorProfiles);
   }, []);
 
+  // Settings asks for a selector dry-run on the page currently shown
+  React.useEffect(() => {
+    if (!params.selectorDryRun) return;
+    webViewRef.current?.injectJavaScript('window.attendifyDryRun && window.attendifyDryRun(); true;');
+    router.setParams({ selectorDryRun: undefined });
+  }, [params.selectorDryRun]);
+
+  // Back from the QR scanner opened by a portal verification
+  React.useEffect(() => {
+    const sessionToken = params.sessionToken;
+    if (!sessionToken) return;
+    router.setParams({ sessionToken: undefined });
+
+    verifySessionToken(sessionToken)
+      .then((claims) => {
+        setScannedToken(claims);
+        Alert.alert('Classroom Code Scanned', `${claims.course} · ${claims.room}. Mark your attendance on the portal page now.`);
+      })
+      .catch((error) => {
+        setScannedToken(null);
+        appLog.warn('Scanned classroom code refused', error);
+        Alert.alert('Classroom Code Not Accepted', error instanceof SessionTokenError ? error.message : 'The QR code could not be checked.');
+      });
+  }, [params.sessionToken]);
+
+  // Each environment has its own credentials, offline queue, sessions, timetable and records
+  React.useEffect(() => {
+    loadStoredCredentials();
+    syncOfflineQueue();
+    refreshOpenSessions();
+    scheduleClassReminders();
+    applyRetentionPolicy();
+  }, [environment.id, environment.origin, syncOfflineQueue]);
+
+  // Sessions and the attendance mode can change on other screens
+  useFocusEffect(
+    useCallback(() => {
+      refreshOpenSessions();
+      loadSessionConfig().then(setSessionConfig);
+    }, [])
+  );
+
+  // Ask to check out once a scheduled end passes or the device leaves the geofence
+  React.useEffect(() => {
+    if (activeSessions.length === 0 || !sessionConfig) return;
+
+    let cancelled = false;
+    let prompting = false;
+    let timer = null;
+    let subscription = null;
+
+    const promptCheckOut = async (location = null) => {
+      if (prompting) return;
+      prompting = true;
+      try {
+        const [prompt] = pendingCheckOutPrompts(await loadSessions(), {
+          location,
+          geofenceConfig: await loadGeofenceConfig(),
+          sessionConfig
+        });
+        if (cancelled || !prompt) return;
+
+        await markPrompted(prompt.session.id, prompt.reason);
+        showCheckOutPrompt(prompt.session, prompt.reason);
+      } finally {
+        prompting = false;
+      }
+    };
+
+    const setup = async () => {
+      // Ends that passed while the app was closed are caught straight away
+      await promptCheckOut();
+
+      const ends = activeSessions.map(session => session.scheduledEndAt).filter(Boolean);
+      if (ends.length > 0) {
+        timer = setTimeout(() => promptCheckOut(), Math.max(0, Math.min(...ends) - Date.now()));
+      }
+
+      const geofenceConfig = await loadGeofenceConfig();
+      if (!sessionConfig.promptOnGeofenceExit || !geofenceConfig.enabled || !geofenceConfig.fences?.length) return;
+
+      const watch = await Location.watchPositionAsync(
+        { accuracy: Location.Accuracy.Balanced, distanceInterval: 25 },
+        (position) => promptCheckOut(toLocationData(position, 'watch'))
+      );
+      if (cancelled) {
+        watch.remove();
+      } else {
+        subscription = watch;
+      }
+    };
+
+    setup().catch(error => locationLog.warn('Check-out prompts unavailable', error));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      subscription?.remove();
+    };
+  }, [activeSessions, sessionConfig]);
+
+  // Re-lock the vault when the app has been in the background for a while
+  React.useEffect(() => {
+    let backgroundedAt = null;
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        backgroundedAt = Date.now();
+      } else if (state === 'active' && backgroundedAt) {
+        if (Date.now() - backgroundedAt > VAULT_AUTO_LOCK_MS) {
+          lockVault();
+          loadStoredCredentials();
+        }
+        backgroundedAt = null;
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Replay queued attendance whenever connectivity comes back
+  React.useEffect(() => {
+    const subscription = Network.addNetworkStateListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        syncOfflineQueue();
+      }
+    });
+    return () => subscription.remove();
+  }, [syncOfflineQueue]);
+
   // ========== PERMISSION FUNCTIONS ==========
   const checkBiometricSupport = async () => {
     try {
       const hasHardware = await LocalAuthentication.hasHardwareAsync();
       const isEnrolled = await LocalAuthentication.isEnrolledAsync();
 
-      console.log('Biometric Support:', { hasHardware, isEnrolled });
+      biometricLog.info('Biometric support', { hasHardware, isEnrolled });
 
+      const checkDevice = [{ text: 'OK' }, { text: 'Check Device', onPress: () => router.push('/diagnostics') }];
       if (!hasHardware) {
-        Alert.alert('No Biometric Hardware', 'Your device does not support biometric authentication.');
+        Alert.alert('No Biometric Hardware', 'Your device does not support biometric authentication.', checkDevice);
       } else if (!isEnrolled) {
-        Alert.alert('No Biometrics Set Up', 'Please set up fingerprint or Face ID in your device settings.');
+        Alert.alert('No Biometrics Set Up', 'Please set up fingerprint or Face ID in your device settings.', checkDevice);
       }
 
       return { hasHardware, isEnrolled };
     } catch (error) {
-      console.error('Error checking biometric support:', error);
+      biometricLog.error('Error checking biometric support', error);
       return { hasHardware: false, isEnrolled: false };
     }
   };
@@ -59,10 +389,10 @@ export default function App() {
   const requestLocationPermission = async () => {
     try {
       const { status } = await Location.requestForegroundPermissionsAsync();
-      console.log('Location permission status:', status);
+      locationLog.info('Location permission', { status });
       return status === 'granted';
     } catch (error) {
-      console.error('Error requesting location permission:', error);
+      locationLog.error('Error requesting location permission', error);
       return false;
     }
   };
@@ -70,24 +400,30 @@ export default function App() {
   // ========== CREDENTIAL STORAGE FUNCTIONS ==========
   const loadStoredCredentials = async () => {
     try {
-      const credentialsJson = await AsyncStorage.getItem(WEBAUTHN_CREDENTIALS_KEY);
-      if (credentialsJson) {
-        const credentials = JSON.parse(credentialsJson);
-        setStoredCredentials(credentials);
-        console.log('✅ Loaded stored credentials:', Object.keys(credentials).length);
-      }
+      const credentials = await readCredentials();
+      storageLog.info('Loaded stored credentials', { count: Object.keys(credentials).length });
     } catch (error) {
-      console.error('❌ Error loading credentials:', error);
+      if (error instanceof VaultLockedError) {
+        storageLog.warn('Credentials stay locked', error);
+      } else {
+        storageLog.error('Error loading credentials', error);
+      }
     }
+    reportStorageRecoveries();
   };
 
   const saveCredential = async (userId, credentialData) => {
     try {
       const normalizedUserId = userId || `user_${Date.now()}`;
+      const credentials = await readCredentials();
+      const previous = credentials[normalizedUserId];
 
       const updatedCredentials = {
-        ...storedCredentials,
+        ...credentials,
         [normalizedUserId]: {
+          // A re-registration keeps the user's name and default choice
+          label: previous?.label,
+          isDefault: previous?.isDefault,
           ...credentialData,
           registeredAt: Date.now(),
           deviceInfo: {
@@ -98,867 +434,441 @@ export default function App() {
         }
       };
 
-      setStoredCredentials(updatedCredentials);
-      await AsyncStorage.setItem(WEBAUTHN_CREDENTIALS_KEY, JSON.stringify(updatedCredentials));
-      console.log('✅ Saved credential for user:', normalizedUserId);
+      await saveVaultCredentials(updatedCredentials);
+      storageLog.info('Saved credential', { userId: normalizedUserId });
+
+      // The replaced key pair can never be used again
+      if (previous?.publicKey && previous.id !== credentialData.id) {
+        await deletePrivateKey(previous.id);
+      }
 
       return normalizedUserId;
     } catch (error) {
-      console.error('❌ Error saving credential:', error);
+      storageLog.error('Error saving credential', error);
       throw error;
     }
   };
 
-  // ========== LOCATION FUNCTIONS ==========
-  const getOptimizedLocation = async () => {
-    try {
-      console.log('📍 Requesting location...');
+  // ========== WEBVIEW JAVASCRIPT INJECTION ==========
+  const injectedJavaScript = useMemo(
+    () => buildInjectedScript(pageDetection, selectorProfiles),
+    [pageDetection, selectorProfiles]
+  );
 
-      const { status } = await Location.requestForegroundPermissionsAsync();
+  // ========== MESSAGE HANDLER ==========
+  // Every page request gets exactly one correlated reply, including malformed ones
+  const handleMessage = useCallback(async (event) => {
+    let request = null;
+    try {
+      request = parseBridgeMessage(event.nativeEvent.data);
+      bridgeLog.debug('Request from WebView', { type: request.type, id: request.id });
 
-      if (status !== 'granted') {
-        console.log('Location permission denied');
-        return null;
+      // Only pages on the allowlist may reach the authenticator
+      const origin = originOf(event.nativeEvent.url);
+      if (!isAllowedOrigin(event.nativeEvent.url, trustedOrigins)) {
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'This page is not allowed to use Attendify');
       }
 
-      // For Android: Try to minimize network location usage
-      if (Platform.OS === 'android') {
-        // 1. First try last known location (fastest, no network)
-        const lastLocation = await Location.getLastKnownPositionAsync({
-          maxAge: 300000, // 5 minutes
-          requiredAccuracy: 100
-        });
+      // Handlers get the origin the WebView reports, never the one the page claims
+      const result = await bridgeHandlers.current[request.type]({ ...request.payload, type: request.type }, { origin });
+      webViewRef.current?.injectJavaScript(deliveryScript(buildResponse(request.id, result)));
+    } catch (error) {
+      bridgeLog.error('Request failed', { type: request?.type ?? null, error });
+      webViewRef.current?.injectJavaScript(
+        deliveryScript(buildErrorResponse(request?.id ?? error.requestId, error))
+      );
+    }
+  }, [trustedOrigins]);
+
+  // ========== NAVIGATION ==========
+  // Off-domain pages open in the system browser instead of the WebView;
+  // off-domain frames inside a portal page do not load at all
+  const handleShouldStartLoad = (request) => {
+    const decision = navigationDecision(request, trustedOrigins);
+    if (decision === 'load') return true;
+    if (decision === 'block') {
+      appLog.warn('Blocked embedded frame from an untrusted origin', { origin: originOf(request.url) });
+      return false;
+    }
 
-        if (lastLocation) {
-          console.log('✅ Using last known location');
-          return {
-            latitude: lastLocation.coords.latitude,
-            longitude: lastLocation.coords.longitude,
-            accuracy: lastLocation.coords.accuracy,
-            source: 'cached',
-            timestamp: Date.now()
-          };
-        }
+    appLog.warn('Opening off-domain page externally', { origin: originOf(request.url) });
+    Linking.openURL(request.url).catch(error => appLog.error('Could not open URL', error));
+    return false;
+  };
 
-        // 2. Try GPS only
-        try {
-          const gpsLocation = await Location.getCurrentPositionAsync({
-            accuracy: Location.Accuracy.High, // GPS only
-            timeout: 5000,
-            maximumAge: 30000
-          });
-
-          console.log('✅ GPS location acquired');
-          return {
-            latitude: gpsLocation.coords.latitude,
-            longitude: gpsLocation.coords.longitude,
-            accuracy: gpsLocation.coords.accuracy,
-            source: 'gps',
-            timestamp: Date.now()
-          };
-        } catch (gpsError) {
-          console.log('GPS failed, trying low accuracy network...');
-        }
-      }
+  // Redirects can land on a page the load check never saw; flag those
+  const handleNavigationStateChange = (navState) => {
+    const onUntrustedPage = Boolean(originOf(navState.url)) && !isAllowedOrigin(navState.url, trustedOrigins);
+    setUntrustedUrl(onUntrustedPage ? navState.url : null);
+  };
 
-      // 3. Fallback: Low accuracy network (for both iOS and Android)
-      const location = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.Low,
-        timeout: 3000,
-        maximumAge: 600000 // 10 minutes
-      });
+  // ========== WEBAUTHN HANDLERS ==========
+  // The page may only speak for its own host or a parent domain of it
+  const assertRelyingParty = (rpId, origin) => {
+    if (!isValidRpId(rpId, origin)) {
+      bridgeLog.warn('Relying party ID rejected', { rpId, origin });
+      throw new BridgeError(BRIDGE_ERRORS.SECURITY, `${rpId} is not a valid relying party ID for ${origin}`);
+    }
+  };
 
-      console.log('✅ Location acquired (network)');
-      return {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
-        accuracy: location.coords.accuracy,
-        source: 'network',
-        timestamp: Date.now()
-      };
+  // Resolves with the authenticator response the page turns into a PublicKeyCredential
+  const handleWebAuthnRegistration = async (data, { origin }) => {
+    bridgeLog.info('Registration requested', { userId: data.userIdentifier, rpId: data.rpId });
+    assertRelyingParty(data.rpId, origin);
 
-    } catch (error) {
-      console.error('❌ Location error:', error);
-      return null;
+    // Only ES256 keys are supported by the mobile authenticator
+    if (data.algorithms?.length > 0 && !data.algorithms.includes(COSE_ALG_ES256)) {
+      Alert.alert('Error', 'This site requested an unsupported key type.');
+      throw new BridgeError(BRIDGE_ERRORS.NOT_SUPPORTED, 'No supported public key algorithm (ES256 required)');
     }
-  };
 
-  // ========== WEBVIEW JAVASCRIPT INJECTION ==========
-  const injectedJavaScript = `
-(function() {
-  console.log('=== WEBAUTHN INTERCEPTOR STARTED ===');
-  
-  // Initialize window._webAuthnData FIRST
-  window._webAuthnData = {
-    registrationInProgress: false,
-    verificationInProgress: false,
-    userId: null,
-    challenge: null,
-    allowCredentials: []
-  };
-  
-  // Store original functions
-  const originalCreate = navigator.credentials?.create;
-  const originalGet = navigator.credentials?.get;
-  
-  // 1. INTERCEPT REGISTRATION (credentials.create)
-  if (navigator.credentials && navigator.credentials.create) {
-    navigator.credentials.create = async function(options) {
-      console.log('🔐 WebAuthn CREATE intercepted');
-      
-      if (options && options.publicKey) {
-        console.log('Registration options detected');
-        
-        // Initialize if not exists
-        if (!window._webAuthnData) {
-          window._webAuthnData = {};
-        }
-        
-        // Store challenge safely
-        if (options.publicKey.challenge) {
-          window._webAuthnData.challenge = options.publicKey.challenge;
-        }
-        
-        // Extract user info
-        let userIdentifier = 'unknown';
-        if (options.publicKey.user && options.publicKey.user.name) {
-          userIdentifier = options.publicKey.user.name;
-        } else if (options.publicKey.user && options.publicKey.user.id) {
-          userIdentifier = 'user_' + Array.from(options.publicKey.user.id).slice(0, 4).join('');
-        }
-        
-        return new Promise((resolve, reject) => {
-          // Store for mobile handling
-          window._pendingWebAuthnCreate = { 
-            resolve, 
-            reject, 
-            options,
-            userIdentifier 
-          };
-          
-          // Notify React Native
-          if (window.ReactNativeWebView && window.ReactNativeWebView.postMessage) {
-            window.ReactNativeWebView.postMessage(JSON.stringify({
-              type: 'webauthn_create',
-              action: 'register',
-              userIdentifier: userIdentifier,
-              rpName: options.publicKey.rp?.name || 'Attendify',
-              needsMobileBiometric: true
-            }));
-          }
-        });
+    try {
+      // Show the prompt the biometric policy asks for; it also unlocks the vault
+      // the new credential is saved to
+      const result = await verifyAndUnlock('Register fingerprint for attendance');
+      if (!result) {
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Verification is not possible on this device right now');
       }
-      
-      return originalCreate ? originalCreate.call(this, options) : null;
-    };
-  }
-  
-  // 2. INTERCEPT VERIFICATION (credentials.get) - FIXED
-  if (navigator.credentials && navigator.credentials.get) {
-    navigator.credentials.get = async function(options) {
-      console.log('🔐 WebAuthn GET intercepted for verification');
-      
-      if (options && options.publicKey) {
-        console.log('Verification PublicKey Options received');
-        
-        // Initialize if not exists
-        if (!window._webAuthnData) {
-          window._webAuthnData = {};
-        }
-        
-        // Store challenge safely
-        if (options.publicKey.challenge) {
-          window._webAuthnData.challenge = options.publicKey.challenge;
-          console.log('Challenge stored');
-        }
-        
-        // Check if there's a student ID
-        const studentId = document.getElementById('studentId')?.value || 
-                         document.querySelector('input[name="student_id"]')?.value ||
-                         document.querySelector('input[name="studentId"]')?.value;
-        
-        // Check page context
-        const pageText = document.body.innerText || '';
-        const isAttendancePage = pageText.includes('attendance') || 
-                                pageText.includes('Attendance') ||
-                                pageText.includes('verify') ||
-                                pageText.includes('Verify') ||
-                                pageText.includes('fingerprint') ||
-                                pageText.includes('Fingerprint');
-        
-        console.log('Page context:', { studentId, isAttendancePage });
-        
-        // For attendance/verification pages, use mobile biometric
-        if (isAttendancePage) {
-          console.log('📱 Mobile biometric verification triggered');
-          
-          return new Promise((resolve, reject) => {
-            // Store for mobile handling
-            window._pendingWebAuthnGet = { 
-              resolve, 
-              reject, 
-              options,
-              studentId: studentId
-            };
-            
-            // Immediately notify React Native
-            if (window.ReactNativeWebView && window.ReactNativeWebView.postMessage) {
-              window.ReactNativeWebView.postMessage(JSON.stringify({
-                type: 'webauthn_get',
-                action: 'verify',
-                studentId: studentId,
-                hasAllowCredentials: options.publicKey.allowCredentials?.length > 0,
-                credentialCount: options.publicKey.allowCredentials?.length || 0,
-                needsMobileBiometric: true
-              }));
-            }
-          });
-        }
-        
-        // For other WebAuthn requests, proceed normally
-        console.log('Standard WebAuthn, proceeding normally');
-        return originalGet ? originalGet.call(this, options) : null;
+
+      if (!result.success) {
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Registration cancelled');
       }
-      
-      return originalGet ? originalGet.call(this, options) : null;
-    };
-  }
-  
-  // 3. COMPLETE REGISTRATION FUNCTION
-  window.completeWebAuthnRegistration = function(credentialId) {
-    console.log('✅ Completing registration with credential:', credentialId?.substring(0, 20) + '...');
-    
-    if (window._pendingWebAuthnCreate) {
-      const { resolve, options } = window._pendingWebAuthnCreate;
-      
-      // Create mock credential response
-      const mockCredential = {
-        type: 'public-key',
-        id: credentialId || 'cred_' + Date.now(),
-        rawId: new Uint8Array(32).buffer,
-        response: {
-          clientDataJSON: new Uint8Array(100).buffer,
-          attestationObject: new Uint8Array(200).buffer
-        }
-      };
-      
-      // Resolve the promise
-      resolve(mockCredential);
-      window._pendingWebAuthnCreate = null;
-      
-      console.log('✅ Registration completed');
-      
-      // Auto-fill fingerprint field if exists
-      setTimeout(() => {
-        const inputs = document.querySelectorAll('input');
-        inputs.forEach(input => {
-          if (input.name && input.name.toLowerCase().includes('fingerprint')) {
-            input.value = credentialId;
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            console.log('Filled fingerprint field');
-          }
-        });
-        
-        // Auto-submit form
-        const forms = document.querySelectorAll('form');
-        forms.forEach(form => {
-          if (form.innerHTML.includes('fingerprint') || form.innerHTML.includes('register')) {
-            setTimeout(() => form.submit(), 500);
-          }
-        });
-      }, 300);
-      
-      return mockCredential;
+
+      // Generate the key pair and attestation only after the user is verified
+      const credential = await createCredential({
+        rpId: data.rpId,
+        origin,
+        challenge: data.challenge,
+        userHandle: data.userHandle
+      });
+
+      // Store the credential (the private key stays in the device keystore)
+      await saveCredential(data.userIdentifier || 'default_user', {
+        id: credential.credentialId,
+        type: 'fingerprint',
+        source: 'mobile_app',
+        publicKey: credential.publicKey,
+        algorithm: credential.algorithm,
+        rpId: credential.rpId,
+        userHandle: credential.userHandle,
+        signCount: credential.signCount,
+        registrationData: { ...data, origin }
+      });
+
+      Alert.alert('✅ Success', 'Fingerprint registered successfully!');
+      return credential.response;
+    } catch (error) {
+      if (error instanceof BridgeError) throw error;
+
+      biometricLog.error('Registration failed', error);
+      Alert.alert('Error', 'Failed to register fingerprint');
+      throw new BridgeError(BRIDGE_ERRORS.UNKNOWN, 'Registration failed');
     }
   };
-  
-  // 4. COMPLETE VERIFICATION FUNCTION
-  window.completeWebAuthnVerification = function(credentialId, signature) {
-    console.log('✅ Completing verification with credential:', credentialId?.substring(0, 20) + '...');
-    
-    if (window._pendingWebAuthnGet) {
-      const { resolve, options } = window._pendingWebAuthnGet;
-      
-      // Create mock assertion response
-      const mockAssertion = {
-        type: 'public-key',
-        id: credentialId || 'assertion_' + Date.now(),
-        rawId: new Uint8Array(32).buffer,
-        response: {
-          authenticatorData: new Uint8Array(37).buffer,
-          clientDataJSON: new Uint8Array(100).buffer,
-          signature: signature ? new TextEncoder().encode(signature).buffer : new Uint8Array(64).buffer,
-          userHandle: new Uint8Array(16).buffer
-        }
-      };
-      
-      // Resolve the promise
-      resolve(mockAssertion);
-      window._pendingWebAuthnGet = null;
-      
-      console.log('✅ Verification assertion created');
-      
-      // Auto-click verify button if exists
-      setTimeout(() => {
-        const verifyBtn = document.getElementById('verifyFingerprintBtn');
-        if (verifyBtn && !verifyBtn.disabled) {
-          console.log('Auto-clicking verify button...');
-          verifyBtn.click();
-        }
-        
-        // Also try to submit any verification form
-        const forms = document.querySelectorAll('form');
-        forms.forEach(form => {
-          const formText = form.innerHTML.toLowerCase();
-          if (formText.includes('verify') || formText.includes('attendance')) {
-            setTimeout(() => {
-              const submitBtn = form.querySelector('button[type="submit"]');
-              if (submitBtn) {
-                submitBtn.click();
-              } else {
-                form.submit();
-              }
-            }, 500);
-          }
-        });
-      }, 300);
-      
-      return mockAssertion;
+
+  const handleExtractedCredential = async (data) => {
+    bridgeLog.info('Credential extracted from page', { credentialId: data.credentialId, field: data.fieldName });
+
+    // Page loads must never pop up the vault unlock prompt
+    if (!isVaultUnlocked()) {
+      throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Credential vault is locked');
     }
+
+    // Store it temporarily or use it immediately
+    await saveCredential('extracted_user', {
+      id: data.credentialId,
+      type: 'extracted',
+      source: 'page_extraction'
+    });
+    return null;
   };
-  
-  // 5. EXTRACT CREDENTIAL FROM PAGE
-  function extractCredentialsFromPage() {
+
+  // The portal sends the student's timetable; classes entered by hand are kept
+  const handleTimetableSync = async ({ classes }) => {
+    let timetable;
     try {
-      // Look for hidden credential fields
-      const hiddenInputs = document.querySelectorAll('input[type="hidden"]');
-      hiddenInputs.forEach(input => {
-        if (input.value && input.value.length > 30) {
-          const name = input.name.toLowerCase();
-          if (name.includes('credential') || 
-              name.includes('fingerprint') ||
-              name.includes('attestation') ||
-              name.includes('webauthn')) {
-            
-            console.log('Found credential in hidden input:', input.name);
-            
-            if (window.ReactNativeWebView && window.ReactNativeWebView.postMessage) {
-              window.ReactNativeWebView.postMessage(JSON.stringify({
-                type: 'extracted_credential',
-                credentialId: input.value,
-                fieldName: input.name
-              }));
-            }
-          }
-        }
-      });
-    } catch (e) {
-      console.log('Error extracting credentials:', e);
+      timetable = await importPortalTimetable(classes);
+    } catch (error) {
+      throw new BridgeError(BRIDGE_ERRORS.INVALID_PAYLOAD, error.message);
     }
-  }
-  
-  // Initial setup
-  console.log('✅ WebAuthn interceptor initialized');
-  
-  // Run extraction
-  setTimeout(() => {
-    extractCredentialsFromPage();
-  }, 2000);
-  
-  return true;
-})();
-`;
+    await scheduleClassReminders();
+    return { classes: timetable.length };
+  };
 
-  // ========== MESSAGE HANDLER ==========
-  const handleMessage = useCallback(async (event) => {
-    try {
-      const data = JSON.parse(event.nativeEvent.data);
-      console.log('📩 Message from WebView:', data.type);
-
-      switch (data.type) {
-        case 'webauthn_create': // Registration
-          await handleWebAuthnRegistration(data);
-          break;
-
-        case 'webauthn_get': // Verification
-          await handleWebAuthnVerification(data);
-          break;
-
-        case 'extracted_credential': // Credential extracted from page
-          console.log('📋 Extracted credential from page:', data.credentialId?.substring(0, 30) + '...');
-          // Store it temporarily or use it immediately
-          if (data.credentialId) {
-            await saveCredential('extracted_user', {
-              id: data.credentialId,
-              type: 'extracted',
-              source: 'page_extraction',
-              timestamp: Date.now()
-            });
-          }
-          break;
+  // The injected script reached this page; shown on the device readiness screen
+  const handleInterceptorReady = async (report) => {
+    reportInterceptorReady(report);
+    return null;
+  };
 
-        case 'mobile_fingerprint_trigger': // Manual trigger
-          await handleWebAuthnVerification(data);
-          break;
+  const handleForwardedLog = async ({ level, message, context }) => {
+    pageLog.log(level, message, context ?? undefined);
+    return null;
+  };
 
-        default:
-          console.log('Unhandled message type:', data.type);
-      }
+  // The institution's verification rules for this environment
+  const handleBiometricPolicy = async ({ securityLevel, allowPasscodeFallback, maxAttempts, lockoutMinutes }) => {
+    let policy;
+    try {
+      policy = validateBiometricPolicy({ securityLevel, allowPasscodeFallback, maxAttempts, lockoutMinutes });
     } catch (error) {
-      console.error('❌ Error handling message:', error);
+      throw new BridgeError(BRIDGE_ERRORS.INVALID_PAYLOAD, error.message);
     }
-  }, [storedCredentials]);
-
-  // ========== WEBAUTHN HANDLERS ==========
-  const handleWebAuthnRegistration = async (data) => {
-    console.log('🔐 Handling registration for:', data.userIdentifier);
+    return savePortalBiometricPolicy(policy);
+  };
 
-    try {
-      // Show fingerprint prompt
-      const result = await LocalAuthentication.authenticateAsync({
-        promptMessage: 'Register fingerprint for attendance',
-        fallbackLabel: 'Use passcode',
-        disableDeviceFallback: false,
-        cancelLabel: 'Cancel'
-      });
+  // Dry-run report: which elements the selector profile would fill, click and submit
+  const handleSelectorDryRun = async (report) => {
+    bridgeLog.info('Selector dry-run', { profileId: report.profileId, matches: report.matches });
+    Alert.alert('Selector Dry-Run', formatDryRunReport(report));
+    return null;
+  };
 
-      if (result.success) {
-        // Generate a realistic credential ID
-        const credentialId = generateRealisticCredentialId();
+  // Resolves with the signed assertion (webauthn.get only) plus the location
+  // stamp, classroom QR token and audit log head the page attaches to its
+  // verification form
+  const handleWebAuthnVerification = async (data, { origin }) => {
+    bridgeLog.info('Verification requested', { type: data.type, detectedBy: data.detectedBy ?? null });
+    if (data.rpId !== undefined || data.challenge) {
+      assertRelyingParty(data.rpId, origin);
+    }
 
-        // Store the credential
-        await saveCredential(data.userIdentifier || 'default_user', {
-          id: credentialId,
-          type: 'fingerprint',
-          source: 'mobile_app',
-          registrationData: data
-        });
+    // In check-in/check-out mode a portal verification checks the student in
+    const sessionConfig = await loadSessionConfig();
+    const recordType = sessionConfig.mode === ATTENDANCE_MODES.CHECK_IN_OUT ? 'check_in' : 'attendance_marking';
 
-        // Complete the WebAuthn registration in the page
-        if (webViewRef.current) {
-          webViewRef.current.injectJavaScript(`
-            if (window.completeWebAuthnRegistration) {
-              window.completeWebAuthnRegistration('${credentialId}');
-            }
-            
-            // Show success message
-            const successMsg = document.createElement('div');
-            successMsg.innerHTML = \`
-              <div style="
-                background: #d4edda;
-                color: #155724;
-                border: 1px solid #c3e6cb;
-                padding: 15px;
-                margin: 15px 0;
-                border-radius: 8px;
-                text-align: center;
-              ">
-                <strong style="font-size: 16px;">✅ Fingerprint Registered</strong>
-                <p style="margin: 8px 0 0 0; font-size: 14px;">
-                  Your device fingerprint has been registered successfully.
-                </p>
-              </div>
-            \`;
-            document.body.insertBefore(successMsg, document.body.firstChild);
-            
-            // Auto-submit after 1 second
-            setTimeout(() => {
-              const submitBtn = document.querySelector('button[type="submit"]');
-              if (submitBtn) submitBtn.click();
-            }, 1000);
-            
-            console.log('Registration completed with ID:', '${credentialId}');
-            true;
-          `);
-        }
+    // The class on now (from its reminder until it ends), if any
+    const timetableConfig = await loadTimetableConfig();
+    const course = courseSummary(currentClass(await loadTimetable(), timetableConfig.reminderLeadMinutes));
 
-        Alert.alert('✅ Success', 'Fingerprint registered successfully!');
-      } else {
-        // Registration cancelled
-        if (webViewRef.current) {
-          webViewRef.current.injectJavaScript(`
-            if (window._pendingWebAuthnCreate && window._pendingWebAuthnCreate.reject) {
-              window._pendingWebAuthnCreate.reject(new Error('Registration cancelled'));
-              window._pendingWebAuthnCreate = null;
-            }
-            true;
-          `);
-        }
-      }
-    } catch (error) {
-      console.error('❌ Registration error:', error);
-      Alert.alert('Error', 'Failed to register fingerprint');
+    // Same rule as the native attendance screen: no mark or check-in without
+    // the classroom QR code when the server asks for one
+    if (!scannedToken && (await loadSessionTokenConfig()).required) {
+      Alert.alert(
+        'Scan the Classroom Code',
+        'Scan the QR code your teacher is showing, then mark your attendance again.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Scan Code', onPress: () => router.push({ pathname: '/scan-session', params: { returnTo: 'portal' } }) }
+        ]
+      );
+      throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Scan the classroom QR code first');
     }
-  };
-
-  const handleWebAuthnVerification = async (data) => {
-    console.log('🔐 Handling verification request:', data.type || 'verification');
 
+    let sessionToken = null;
     try {
-      // 1. Get location first (before any network operations)
-      let locationData = null;
-      try {
-        locationData = await getOptimizedLocation();
-
-        if (locationData) {
-          console.log('📍 Location obtained:', {
-            lat: locationData.latitude,
-            lon: locationData.longitude,
-            accuracy: locationData.accuracy,
-            source: locationData.source
-          });
-        } else {
-          console.warn('⚠️ Could not get location');
-        }
-      } catch (locationError) {
-        console.warn('⚠️ Location error, continuing without it:', locationError);
-        // Continue without location
-      }
+      // 1-4. Location, integrity, geofence and credential checks
+      const { locationData, locationIntegrity, geofenceDecision, credentialKey, credentialId, verification } =
+        await prepareAttendance(data, { chooseAccount });
 
-      // 2. Check biometric support
-      const hasHardware = await LocalAuthentication.hasHardwareAsync();
-      const isEnrolled = await LocalAuthentication.isEnrolledAsync();
-
-      if (!hasHardware || !isEnrolled) {
-        Alert.alert('Biometric Unavailable', 'Please set up fingerprint/Face ID on your device.');
-        return;
+      if (recordType === 'check_in') {
+        await assertCanCheckIn(credentialKey);
       }
 
-      // 3. Show biometric prompt
-      const authResult = await LocalAuthentication.authenticateAsync({
-        promptMessage: 'Verify fingerprint to mark attendance',
-        cancelLabel: 'Cancel',
-        disableDeviceFallback: false,
-        fallbackLabel: 'Use passcode'
-      });
-
-      if (authResult.success) {
-        // 4. Get stored credential
-        let credentialId = null;
-
-        // Try to find matching credential from storage
-        const credentialEntries = Object.entries(storedCredentials);
-        if (credentialEntries.length > 0) {
-          // Get the first credential
-          const [, credential] = credentialEntries[0];
-          if (credential && credential.id) {
-            credentialId = credential.id;
-            console.log('🔑 Using stored credential ID:', credentialId.substring(0, 30) + '...');
-          }
-        }
+      // 5-6. Biometric prompt, unless unlocking the vault just verified the user
+      const authResult = verification ?? await verifyUserPresence('Verify fingerprint to mark attendance');
+      if (!authResult) {
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Verification is not possible on this device right now');
+      }
 
-        // If no credential found, generate one
-        if (!credentialId) {
-          credentialId = generateRealisticCredentialId();
-          console.log('⚠️ Generated new credential ID for verification');
-        }
+      if (!authResult.success) {
+        // Authentication failed or cancelled
+        biometricLog.warn('Authentication failed', { error: authResult.error });
+        Alert.alert('Authentication Failed', 'Please try again to mark attendance.');
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, 'Authentication failed. Please try again.');
+      }
 
-        // 5. Create proper verification response
-        const signature = generateSignature(credentialId);
-
-        // 6. Inject JavaScript to handle the verification on the page
-        if (webViewRef.current) {
-          // Create injection script with location data
-          const locationDataJson = locationData ? JSON.stringify(locationData) : 'null';
-          const hasLocation = locationData ? 'true' : 'false';
-
-          const injectionScript = `
-            (function() {
-              console.log('🔄 Completing verification with mobile biometric...');
-              
-              // Add location data if available
-              if (${hasLocation}) {
-                try {
-                  // Create location data element
-                  const locDiv = document.createElement('div');
-                  locDiv.style.display = 'none';
-                  locDiv.id = 'mobile_location_data';
-                  locDiv.setAttribute('data-location', '${locationDataJson}');
-                  document.body.appendChild(locDiv);
-                  
-                  // Also add to form if exists
-                  const forms = document.querySelectorAll('form');
-                  if (forms.length > 0) {
-                    const locInput = document.createElement('input');
-                    locInput.type = 'hidden';
-                    locInput.name = 'mobile_location';
-                    locInput.value = '${locationDataJson}';
-                    forms[0].appendChild(locInput);
-                  }
-                  console.log('📍 Location data added');
-                } catch (locErr) {
-                  console.log('Could not add location:', locErr);
-                }
-              }
-              
-              // Complete WebAuthn verification
-              if (window._pendingWebAuthnGet) {
-                console.log('Found pending WebAuthn request');
-                
-                if (window.completeWebAuthnVerification) {
-                  window.completeWebAuthnVerification(
-                    '${credentialId}',
-                    '${signature}'
-                  );
-                  console.log('✅ WebAuthn verification completed');
-                }
-              } else {
-                console.log('No pending WebAuthn, trying direct form submission');
-                
-                // Try to fill fingerprint field
-                const inputs = document.querySelectorAll('input');
-                inputs.forEach(input => {
-                  if (input.name && (
-                    input.name.toLowerCase().includes('fingerprint') ||
-                    input.name.toLowerCase().includes('credential') ||
-                    input.name.toLowerCase().includes('attestation')
-                  )) {
-                    input.value = '${credentialId}';
-                    console.log('Filled field:', input.name);
-                  }
-                });
-                
-                // Try to click verify button
-                const verifyBtn = document.getElementById('verifyFingerprintBtn');
-                if (verifyBtn && !verifyBtn.disabled) {
-                  setTimeout(() => {
-                    verifyBtn.click();
-                    console.log('✅ Clicked verify button');
-                  }, 300);
-                }
-                
-                // Also try to submit forms
-                setTimeout(() => {
-                  const forms = document.querySelectorAll('form');
-                  forms.forEach(form => {
-                    const formText = form.innerHTML.toLowerCase();
-                    if (formText.includes('verify') || 
-                        formText.includes('attendance') ||
-                        formText.includes('fingerprint')) {
-                      
-                      const submitBtn = form.querySelector('button[type="submit"]');
-                      if (submitBtn) {
-                        submitBtn.click();
-                        console.log('✅ Submitted form');
-                      } else {
-                        form.submit();
-                      }
-                    }
-                  });
-                }, 500);
-              }
-              
-              // Show success message
-              setTimeout(() => {
-                const successMsg = document.createElement('div');
-                let locationHTML = '';
-                if (${hasLocation}) {
-                  locationHTML = '<div style="margin-top: 5px; font-size: 12px; opacity: 0.8;">Location verified</div>';
-                }
-                
-                successMsg.innerHTML = \`<div style="
-                  position: fixed;
-                  top: 20px;
-                  left: 50%;
-                  transform: translateX(-50%);
-                  background: #4CAF50;
-                  color: white;
-                  padding: 15px 25px;
-                  border-radius: 8px;
-                  z-index: 9999;
-                  box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-                  font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-                  font-size: 16px;
-                  font-weight: 500;
-                  text-align: center;
-                  min-width: 300px;
-                ">
-                  <div style="display: flex; align-items: center; gap: 10px;">
-                    <span style="font-size: 20px;">✅</span>
-                    <span>Attendance marked successfully!</span>
-                  </div>
-                  \${locationHTML}
-                </div>\`;
-                
-                document.body.appendChild(successMsg);
-                
-                setTimeout(() => {
-                  if (successMsg.parentNode) successMsg.remove();
-                }, 3000);
-              }, 800);
-              
-              return true;
-            })();
-          `;
-
-          await webViewRef.current.injectJavaScript(injectionScript);
-        }
+      // 7. Check the scanned classroom code is still good, then sign the
+      // assertion for the page's challenge
+      if (scannedToken) {
+        await verifySessionToken(scannedToken.token);
+      }
+      let assertion = null;
+      let signCount = null;
+      if (data.challenge) {
+        ({ response: assertion, signCount } = await signAssertion(credentialKey, { ...data, origin }));
+      }
 
-        // 7. Save verification record with location
-        await saveVerificationRecord({
-          type: 'attendance_marking',
-          studentId: data.studentId || 'unknown',
-          credentialId: credentialId,
-          timestamp: Date.now(),
-          success: true,
+      // 8. Open the session when checking in
+      let session = null;
+      if (recordType === 'check_in') {
+        session = await checkIn({
+          studentId: credentialKey,
+          credentialId,
           location: locationData,
-          source: 'mobile_biometric'
+          geofence: geofenceDecision,
+          source: 'mobile_biometric',
+          scheduledEndAt: scheduledEndFor(Date.now(), sessionConfig.scheduledEnd)
         });
+        refreshOpenSessions();
+      }
 
-        console.log('✅ Verification completed successfully');
+      // 9. Use up the classroom code only now: a failed signature or check-in
+      // leaves it scanned for the next try. The page submits it right after.
+      if (scannedToken) {
+        sessionToken = await consumeSessionToken(scannedToken.token);
+        setScannedToken(null);
+      }
 
-      } else {
-        // Authentication failed or cancelled
-        console.log('❌ Biometric authentication failed');
-
-        if (webViewRef.current) {
-          await webViewRef.current.injectJavaScript(`
-            // Reject pending WebAuthn request
-            if (window._pendingWebAuthnGet && window._pendingWebAuthnGet.reject) {
-              window._pendingWebAuthnGet.reject(new Error('Authentication cancelled'));
-              window._pendingWebAuthnGet = null;
-            }
-            
-            // Show error message
-            const errorMsg = document.createElement('div');
-            errorMsg.innerHTML = \`
-              <div style="
-                position: fixed;
-                top: 20px;
-                left: 50%;
-                transform: translateX(-50%);
-                background: #f44336;
-                color: white;
-                padding: 15px 25px;
-                border-radius: 8px;
-                z-index: 9999;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-                text-align: center;
-              ">
-                ❌ Authentication failed. Please try again.
-              </div>
-            \`;
-            document.body.appendChild(errorMsg);
-            setTimeout(() => errorMsg.remove(), 3000);
-            true;
-          `);
-        }
+      // 10. Save verification record with location and geofence decision; the
+      // head sent to the page is the one before this record
+      const auditHead = await loadAuditHead();
+      await saveVerificationRecord({
+        type: recordType,
+        studentId: data.studentId || 'unknown',
+        credentialId: credentialId,
+        signCount: signCount,
+        timestamp: Date.now(),
+        success: true,
+        location: locationData,
+        locationIntegrity,
+        geofence: geofenceDecision,
+        detectedBy: data.detectedBy,
+        sessionId: session?.id,
+        course,
+        sessionToken: sessionTokenSummary(sessionToken),
+        authMethod: authResult.method,
+        source: 'mobile_biometric'
+      });
 
-        Alert.alert('Authentication Failed', 'Please try again to mark attendance.');
-      }
+      bridgeLog.info('Verification completed', { withLocation: Boolean(locationData) });
+      return {
+        assertion,
+        credentialId,
+        location: locationData,
+        locationIntegrity,
+        sessionToken: sessionToken?.token ?? null,
+        auditHead
+      };
 
     } catch (error) {
-      console.error('❌ Verification error:', error);
+      if (error instanceof BridgeError) throw error;
+      if (error instanceof AttendanceBlockedError) {
+        throw new BridgeError(BRIDGE_ERRORS.NOT_ALLOWED, error.message);
+      }
+
+      bridgeLog.error('Verification failed', error);
 
       Alert.alert(
         'Error',
-        'Failed to mark attendance. Please try again.',
+        error instanceof SessionTokenError ? error.message : 'Failed to mark attendance. Please try again.',
         [{ text: 'OK' }]
       );
 
       // Log error
       await saveVerificationRecord({
-        type: 'attendance_marking',
+        type: recordType,
         studentId: data.studentId || 'unknown',
         timestamp: Date.now(),
         success: false,
         error: error.message,
+        course,
+        sessionToken: sessionTokenSummary(sessionToken),
         source: 'mobile_biometric'
       });
-    }
-  };
 
-  // ========== HELPER FUNCTIONS ==========
-  const generateRealisticCredentialId = () => {
-    // Create credential ID that matches server expectations
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 15);
-
-    // Format similar to WebAuthn: base64url without padding
-    const base = btoa(`${timestamp}_${random}_${Platform.OS}_attendify`);
-    const credentialId = base
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
-
-    console.log('Generated credential ID:', credentialId.substring(0, 30) + '...');
-    return credentialId;
-  };
-
-  const generateSignature = (credentialId) => {
-    // Create a base64-like signature
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let result = '';
-    for (let i = 0; i < 128; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+      throw new BridgeError(BRIDGE_ERRORS.UNKNOWN, 'Verification failed');
     }
-    return result + '==';
   };
 
-  const saveVerificationRecord = async (record) => {
+  // ========== OFFLINE ATTENDANCE ==========
+  // Captures a verified, location-stamped attendance event while the portal is unreachable
+  const handleOfflineAttendance = async () => {
+    const data = { type: 'offline_attendance' };
+
     try {
-      const existing = await AsyncStorage.getItem(VERIFICATION_RECORDS_KEY);
-      const records = existing ? JSON.parse(existing) : [];
+      const promptMessage = 'Verify fingerprint to mark attendance offline';
+      const { locationData, locationIntegrity, geofenceDecision, credentialKey, credentialId, verification } =
+        await prepareAttendance(data, { chooseAccount, promptMessage });
 
-      records.push(record);
-      await AsyncStorage.setItem(VERIFICATION_RECORDS_KEY, JSON.stringify(records.slice(-50)));
+      const authResult = verification ?? await verifyUserPresence(promptMessage);
+      if (!authResult) return;
 
-      console.log('📝 Saved verification record:', record.type);
+      if (!authResult.success) {
+        Alert.alert('Authentication Failed', 'Please try again to mark attendance.');
+        return;
+      }
+
+      const event = createOfflineEvent({
+        studentId: credentialKey,
+        credentialId,
+        location: locationData,
+        locationIntegrity,
+        geofence: geofenceDecision,
+        auditHead: await loadAuditHead()
+      });
+      const { response: assertion } = await signAssertion(credentialKey, {
+        origin: environment.origin,
+        challenge: offlineEventChallenge(event)
+      });
+
+      await enqueueOfflineEvent(event, assertion);
+      setOfflineQueue(await loadOfflineQueue());
+
+      const timetableConfig = await loadTimetableConfig();
+      const course = courseSummary(currentClass(await loadTimetable(), timetableConfig.reminderLeadMinutes));
+
+      await saveVerificationRecord({
+        type: 'attendance_marking',
+        studentId: credentialKey,
+        credentialId,
+        timestamp: event.capturedAt,
+        success: true,
+        location: locationData,
+        locationIntegrity,
+        geofence: geofenceDecision,
+        course,
+        authMethod: authResult.method,
+        source: 'offline_queue',
+        idempotencyKey: event.idempotencyKey,
+        syncStatus: QUEUE_STATUS.PENDING
+      });
+
+      Alert.alert('Saved Offline', 'Your attendance was recorded on this device and will be sent when the portal is reachable.');
     } catch (error) {
-      console.error('Error saving verification record:', error);
+      // Blocked attempts were already explained to the user by prepareAttendance
+      if (error instanceof AttendanceBlockedError) return;
+
+      storageLog.error('Offline attendance failed', error);
+      Alert.alert('Error', 'Failed to record attendance offline. Please try again.');
     }
   };
 
-  // ========== DEBUG OVERLAY COMPONENT ==========
-  const DebugOverlay = () => {
-    if (!showDebug) return null;
-
-    return (
-      <View style={styles.debugPanel}>
-        <View style={styles.debugHeader}>
-          <Text style={styles.debugTitle}>Debug Information</Text>
-          <TouchableOpacity onPress={() => setShowDebug(false)}>
-            <Text style={styles.closeButton}>✕</Text>
-          </TouchableOpacity>
-        </View>
-
-        <View style={styles.debugSection}>
-          <Text style={styles.sectionTitle}>Stored Credentials</Text>
-          <Text style={styles.sectionValue}>
-            {Object.keys(storedCredentials).length} credentials
-          </Text>
+  // ========== CHECK-IN SESSIONS ==========
+  const refreshOpenSessions = async () => {
+    setActiveSessions(openSessions(await loadSessions()));
+  };
 
-          <ScrollView style={styles.credentialsList}>
-            {Object.entries(storedCredentials).map(([key, cred]) => (
-              <View key={key} style={styles.credentialItem}>
-                <Text style={styles.credentialKey}>{key}</Text>
-                <Text style={styles.credentialId}>
-                  ID: {cred.id?.substring(0, 40)}...
-                </Text>
-                <Text style={styles.credentialTime}>
-                  Registered: {new Date(cred.registeredAt).toLocaleTimeString()}
-                </Text>
-              </View>
-            ))}
-          </ScrollView>
-        </View>
+  // ========== BRIDGE HANDLERS ==========
+  // Reassigned every render so requests reach handlers that see current state
+  bridgeHandlers.current = {
+    'webauthn.create': handleWebAuthnRegistration,
+    'webauthn.get': handleWebAuthnVerification,
+    'attendance.trigger': handleWebAuthnVerification,
+    'credential.extracted': handleExtractedCredential,
+    'selectors.dryRun': handleSelectorDryRun,
+    'timetable.sync': handleTimetableSync,
+    'biometric.policy': handleBiometricPolicy,
+    'interceptor.ready': handleInterceptorReady,
+    'log.forward': handleForwardedLog
+  };
 
-        <View style={styles.debugButtons}>
-          <Button
-            title="Reload Credentials"
-            onPress={loadStoredCredentials}
-          />
-          <Button
-            title="Clear All"
-            color="red"
-            onPress={async () => {
-              await AsyncStorage.removeItem(WEBAUTHN_CREDENTIALS_KEY);
-              setStoredCredentials({});
-            }}
-          />
-        </View>
-      </View>
-    );
+  // ========== HELPER FUNCTIONS ==========
+  // Shows the native account chooser and resolves with the picked key (null if cancelled)
+  const chooseAccount = (matches) => new Promise((resolve) => {
+    setAccountChoice({
+      accounts: matches.map(([key, credential]) => ({
+        key,
+        credentialId: credential.id,
+        registeredAt: credential.registeredAt
+      })),
+      resolve
+    });
+  });
+
+  const resolveAccountChoice = (key) => {
+    accountChoice?.resolve(key);
+    setAccountChoice(null);
   };
 
   // ========== MAIN RENDER ==========
@@ -973,31 +883,79 @@ export default function App() {
         </View>
       )}
 
+      {environment.id !== PRODUCTION_ENVIRONMENT_ID && (
+        <Text style={styles.environmentBadge} numberOfLines={1}>
+          {environment.name.toUpperCase()} · {environment.portalUrl}
+        </Text>
+      )}
+
+      <OpenSessionsBanner sessions={activeSessions} onCheckOut={(session) => openCheckOut(session)} />
+
+      <OfflineQueueBanner
+        queue={offlineQueue}
+        syncing={isSyncing}
+        onPress={() => showOfflineQueueDetails(offlineQueue, syncOfflineQueue)}
+      />
+
+      <UntrustedPageBanner
+        url={untrustedUrl}
+        onReturn={() => webViewRef.current?.injectJavaScript(`window.location.href = ${JSON.stringify(environment.portalUrl)}; true;`)}
+      />
+
       <WebView
         ref={webViewRef}
-        source={{ uri: 'https://attendify.alhawaijtech.com/' }}
+        key={environment.portalUrl}
+        source={{ uri: environment.portalUrl }}
         style={styles.webview}
         javaScriptEnabled={true}
         domStorageEnabled={true}
         startInLoadingState={true}
         scalesPageToFit={true}
-        mixedContentMode="compatibility"
+        mixedContentMode="never"
+        originWhitelist={['http://*', 'https://*']}
+        onShouldStartLoadWithRequest={handleShouldStartLoad}
+        onNavigationStateChange={handleNavigationStateChange}
         injectedJavaScript={injectedJavaScript}
         onMessage={handleMessage}
+        onLoadStart={(event) => reportPageLoadStarted(event.nativeEvent.url)}
         onLoadEnd={() => setIsLoading(false)}
+        onLoad={(event) => {
+          reportPageLoaded(event.nativeEvent.url);
+          setPortalUnreachable(false);
+          syncOfflineQueue();
+        }}
+        onError={(event) => {
+          const { url, code, description } = event.nativeEvent;
+          appLog.warn('Portal unreachable', { description });
+          reportPageLoadFailed(url, { description, code });
+          setPortalUnreachable(true);
+        }}
         userAgent="Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1"
       />
 
-      {/* Debug Button (floating) */}
-      {/* <TouchableOpacity
-        style={styles.debugButton}
-        onPress={() => setShowDebug(!showDebug)}
-      >
-        <Text style={styles.debugButtonText}>🔍</Text>
-      </TouchableOpacity> */}
+      {/* Offline mode when the portal cannot be reached */}
+      {portalUnreachable && (
+        <View style={styles.offlinePanel}>
+          <Text style={styles.offlineTitle}>Portal unreachable</Text>
+          <Text style={styles.offlineText}>
+            Attendify could not reach the attendance portal. You can still record your
+            attendance on this device; it will be sent automatically once you are back online.
+          </Text>
+          <TouchableOpacity style={styles.offlineButton} onPress={handleOfflineAttendance}>
+            <Text style={styles.offlineButtonText}>Mark Attendance Offline</Text>
+          </TouchableOpacity>
+          <Button title="Mark Attendance in the App" onPress={() => router.push('/attendance')} />
+          <Button title="Retry" onPress={() => webViewRef.current?.reload()} />
+        </View>
+      )}
 
-      {/* Debug Overlay */}
-      <DebugOverlay />
+      {/* Account chooser for multi-account devices */}
+      <AccountChooser
+        visible={!!accountChoice}
+        accounts={accountChoice?.accounts || []}
+        onSelect={resolveAccountChoice}
+        onCancel={() => resolveAccountChoice(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -1027,98 +985,48 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
-  // Debug styles
-  debugButton: {
-    position: 'absolute',
-    bottom: 20,
-    right: 20,
-    width: 50,
-    height: 50,
-    borderRadius: 25,
-    backgroundColor: 'rgba(0, 122, 255, 0.9)',
-    justifyContent: 'center',
-    alignItems: 'center',
-    zIndex: 999,
-    elevation: 5,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.25,
-    shadowRadius: 3.84,
-  },
-  debugButtonText: {
-    fontSize: 24,
-    color: 'white',
+  environmentBadge: {
+    paddingVertical: 4,
+    paddingHorizontal: 16,
+    backgroundColor: '#5e35b1',
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
   },
-  debugPanel: {
+  // Offline styles
+  offlinePanel: {
     position: 'absolute',
     top: 0,
     left: 0,
     right: 0,
     bottom: 0,
-    backgroundColor: 'white',
-    zIndex: 1001,
-    padding: 20,
-  },
-  debugHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
+    justifyContent: 'center',
     alignItems: 'center',
-    marginBottom: 20,
-    paddingBottom: 10,
-    borderBottomWidth: 1,
-    borderBottomColor: '#eee',
+    backgroundColor: '#fff',
+    padding: 30,
+    zIndex: 1000,
   },
-  debugTitle: {
+  offlineTitle: {
     fontSize: 20,
     fontWeight: 'bold',
-  },
-  closeButton: {
-    fontSize: 24,
-    color: '#666',
-    padding: 10,
-  },
-  debugSection: {
-    marginBottom: 20,
-  },
-  sectionTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    marginBottom: 5,
-  },
-  sectionValue: {
-    fontSize: 14,
-    color: '#666',
     marginBottom: 10,
   },
-  credentialsList: {
-    maxHeight: 200,
-    borderWidth: 1,
-    borderColor: '#eee',
-    borderRadius: 8,
-    padding: 10,
-  },
-  credentialItem: {
-    padding: 10,
-    borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
-  },
-  credentialKey: {
-    fontWeight: 'bold',
+  offlineText: {
     fontSize: 14,
-  },
-  credentialId: {
-    fontSize: 12,
     color: '#666',
-    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+    textAlign: 'center',
+    marginBottom: 24,
   },
-  credentialTime: {
-    fontSize: 11,
-    color: '#999',
-    marginTop: 2,
+  offlineButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    marginBottom: 12,
   },
-  debugButtons: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    marginTop: 20,
+  offlineButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
   },
 });
\ No newline at end of file
@@ -0,0 +1,387 @@
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import { useCallback, useEffect, useState } from 'react';
+import { Alert, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+
+import { useEnvironment } from '@/components/environment-provider';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { SECURITY_LEVELS } from '@/constants/biometric-policy';
+import { CUSTOM_ENVIRONMENT_ID, ENVIRONMENTS } from '@/constants/environments';
+import { RETENTION_MODES } from '@/constants/retention';
+import { ATTENDANCE_MODES } from '@/constants/sessions';
+import { loadSessionConfig, saveSessionConfig } from '@/lib/attendance-sessions';
+import { allowsPasscode, loadBiometricPolicy, POLICY_SOURCES } from '@/lib/biometric-policy';
+import { shareDiagnosticsBundle } from '@/lib/diagnostics-bundle';
+import { resolveEnvironment } from '@/lib/environment';
+import {
+  applyRetentionPolicy,
+  loadRetentionConfig,
+  recordStorageUsage,
+  saveRetentionConfig,
+} from '@/lib/verification-records';
+
+type Environment = ReturnType<typeof resolveEnvironment>;
+type SessionConfig = Awaited<ReturnType<typeof loadSessionConfig>>;
+type RetentionConfig = Awaited<ReturnType<typeof loadRetentionConfig>>;
+type StorageUsage = Awaited<ReturnType<typeof recordStorageUsage>>;
+type BiometricPolicy = Awaited<ReturnType<typeof loadBiometricPolicy>>;
+
+const MODE_OPTIONS: { id: string; name: string; description: string }[] = [
+  { id: ATTENDANCE_MODES.SINGLE, name: 'Mark attendance', description: 'Each verification is one attendance mark' },
+  {
+    id: ATTENDANCE_MODES.CHECK_IN_OUT,
+    name: 'Check in and out',
+    description: 'Verifying checks you in; check out in the app when you leave to record your time on site',
+  },
+];
+
+const RETENTION_OPTIONS: { id: string; name: string; policy: Partial<RetentionConfig> }[] = [
+  { id: 'count-200', name: 'Latest 200 records', policy: { mode: RETENTION_MODES.COUNT, maxRecords: 200 } },
+  { id: 'count-1000', name: 'Latest 1000 records', policy: { mode: RETENTION_MODES.COUNT, maxRecords: 1000 } },
+  { id: 'age-30', name: 'Last 30 days', policy: { mode: RETENTION_MODES.AGE, maxAgeDays: 30 } },
+  { id: 'age-90', name: 'Last 90 days', policy: { mode: RETENTION_MODES.AGE, maxAgeDays: 90 } },
+  { id: 'age-365', name: 'Last year', policy: { mode: RETENTION_MODES.AGE, maxAgeDays: 365 } },
+];
+
+const isRetentionActive = (config: RetentionConfig | null, policy: Partial<RetentionConfig>) =>
+  !!config &&
+  config.mode === policy.mode &&
+  (policy.mode === RETENTION_MODES.COUNT ? config.maxRecords === policy.maxRecords : config.maxAgeDays === policy.maxAgeDays);
+
+const SECURITY_LEVEL_LABELS: Record<string, string> = {
+  [SECURITY_LEVELS.STRONG]: 'Strong biometrics only',
+  [SECURITY_LEVELS.WEAK]: 'Any biometric',
+  [SECURITY_LEVELS.DEVICE_CREDENTIAL]: 'Biometric or screen lock',
+};
+
+const POLICY_SOURCE_LABELS: Record<string, string> = {
+  [POLICY_SOURCES.PORTAL]: 'Set by your portal',
+  [POLICY_SOURCES.DEPLOYMENT]: 'Set by your institution',
+  [POLICY_SOURCES.DEFAULT]: 'Default policy',
+};
+
+const describePolicy = (policy: BiometricPolicy) =>
+  [
+    SECURITY_LEVEL_LABELS[policy.securityLevel] ?? policy.securityLevel,
+    allowsPasscode(policy) ? 'passcode allowed' : 'no passcode',
+    `locked for ${policy.lockoutMinutes} min after ${policy.maxAttempts} failed attempts`,
+  ].join(' · ');
+
+const formatBytes = (bytes: number) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+const ENVIRONMENT_OPTIONS: { id: string; name: string; description: string }[] = [
+  ...Object.values(ENVIRONMENTS).map((preset) => ({
+    id: preset.id,
+    name: preset.name,
+    description: preset.portalUrl,
+  })),
+  { id: CUSTOM_ENVIRONMENT_ID, name: 'Custom', description: 'Any https portal URL, or http on localhost' },
+];
+
+export default function SettingsScreen() {
+  const { environment, switchEnvironment } = useEnvironment();
+  const params = useLocalSearchParams<{ environment?: string; url?: string }>();
+  const [selectedId, setSelectedId] = useState(environment.id);
+  const [customUrl, setCustomUrl] = useState(environment.id === CUSTOM_ENVIRONMENT_ID ? environment.portalUrl : '');
+  const [sessionConfig, setSessionConfig] = useState<SessionConfig | null>(null);
+  const [retentionConfig, setRetentionConfig] = useState<RetentionConfig | null>(null);
+  const [usage, setUsage] = useState<StorageUsage | null>(null);
+  const [biometricPolicy, setBiometricPolicy] = useState<BiometricPolicy | null>(null);
+
+  useEffect(() => {
+    loadSessionConfig().then(setSessionConfig);
+    loadRetentionConfig().then(setRetentionConfig);
+  }, []);
+
+  const refreshUsage = useCallback(() => {
+    recordStorageUsage().then(setUsage);
+  }, []);
+
+  useFocusEffect(refreshUsage);
+
+  // Each environment keeps its own records
+  useEffect(refreshUsage, [environment, refreshUsage]);
+
+  // The portal can push a new policy at any time, and one per environment
+  const refreshPolicy = useCallback(() => {
+    loadBiometricPolicy().then(setBiometricPolicy);
+  }, []);
+
+  useFocusEffect(refreshPolicy);
+  useEffect(refreshPolicy, [environment, refreshPolicy]);
+
+  const selectMode = async (mode: string) => {
+    if (!sessionConfig || sessionConfig.mode === mode) return;
+    const next = { ...sessionConfig, mode };
+    await saveSessionConfig(next);
+    setSessionConfig(next);
+  };
+
+  const selectRetention = async (policy: Partial<RetentionConfig>) => {
+    if (!retentionConfig || isRetentionActive(retentionConfig, policy)) return;
+    const next = { ...retentionConfig, ...policy };
+    await saveRetentionConfig(next);
+    setRetentionConfig(next);
+    await applyRetentionPolicy();
+    refreshUsage();
+  };
+
+  const sendDiagnostics = async () => {
+    try {
+      await shareDiagnosticsBundle();
+    } catch (error) {
+      Alert.alert('Diagnostics Not Sent', error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  // Switching always asks first, so a stray link cannot silently repoint the app
+  const confirmSwitch = useCallback((next: Environment) => {
+    if (next.id === environment.id && next.portalUrl === environment.portalUrl) {
+      Alert.alert('Environment', `Already using ${next.name}.`);
+      return;
+    }
+
+    Alert.alert(
+      `Switch to ${next.name}?`,
+      `Attendify will load ${next.portalUrl}.\n\nRegistered fingerprints and attendance history are kept separately for each environment.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Switch',
+          onPress: async () => {
+            await switchEnvironment(next);
+            setSelectedId(next.id);
+            router.navigate('/');
+          },
+        },
+      ]
+    );
+  }, [environment, switchEnvironment]);
+
+  const requestSwitch = useCallback((id: string, url?: string) => {
+    try {
+      confirmSwitch(resolveEnvironment({ id, customUrl: url }));
+    } catch (error) {
+      Alert.alert('Invalid Environment', error instanceof Error ? error.message : String(error));
+    }
+  }, [confirmSwitch]);
+
+  // Deep link: attendify://settings?environment=staging[&url=...]
+  useEffect(() => {
+    if (!params.environment) return;
+    requestSwitch(params.environment, params.url);
+    router.setParams({ environment: undefined, url: undefined });
+  }, [params.environment, params.url, requestSwitch]);
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      <ThemedView style={styles.header}>
+        <ThemedText type="title">Settings</ThemedText>
+      </ThemedView>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <ThemedText type="subtitle">Attendance</ThemedText>
+        <TouchableOpacity style={styles.option} onPress={() => router.push('/attendance')}>
+          <ThemedText type="defaultSemiBold">Mark attendance in the app</ThemedText>
+          <ThemedText style={styles.muted}>Use this if the portal page does not load or does not respond</ThemedText>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.option} onPress={() => router.push('/timetable')}>
+          <ThemedText type="defaultSemiBold">Timetable and class reminders</ThemedText>
+          <ThemedText style={styles.muted}>Get a reminder before each class that opens attendance for it</ThemedText>
+        </TouchableOpacity>
+
+        {MODE_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.option, sessionConfig?.mode === option.id && styles.optionActive]}
+            onPress={() => selectMode(option.id)}>
+            <ThemedText type="defaultSemiBold">{option.name}</ThemedText>
+            <ThemedText style={styles.muted}>{option.description}</ThemedText>
+          </TouchableOpacity>
+        ))}
+
+        <ThemedText type="subtitle">Credentials</ThemedText>
+        <TouchableOpacity style={styles.option} onPress={() => router.push('/credentials')}>
+          <ThemedText type="defaultSemiBold">Manage registered fingerprints</ThemedText>
+          <ThemedText style={styles.muted}>Rename, remove, re-register or choose the default account</ThemedText>
+        </TouchableOpacity>
+        {biometricPolicy && (
+          <View style={styles.policy}>
+            <ThemedText style={styles.muted}>Verification: {describePolicy(biometricPolicy)}</ThemedText>
+            <ThemedText style={styles.muted}>{POLICY_SOURCE_LABELS[biometricPolicy.setBy]}</ThemedText>
+          </View>
+        )}
+
+        <ThemedText type="subtitle">Portal automation</ThemedText>
+        <TouchableOpacity
+          style={styles.option}
+          onPress={() => router.navigate({ pathname: '/', params: { selectorDryRun: String(Date.now()) } })}>
+          <ThemedText type="defaultSemiBold">Dry-run selector profile</ThemedText>
+          <ThemedText style={styles.muted}>
+            Show which fields, buttons and forms on the current portal page would be filled or submitted
+          </ThemedText>
+        </TouchableOpacity>
+
+        <ThemedText type="subtitle">Support</ThemedText>
+        <TouchableOpacity style={styles.option} onPress={() => router.push('/diagnostics')}>
+          <ThemedText type="defaultSemiBold">Device readiness</ThemedText>
+          <ThemedText style={styles.muted}>
+            Check biometrics, location, the portal connection and the page script, with how to fix each problem
+          </ThemedText>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.option} onPress={sendDiagnostics}>
+          <ThemedText type="defaultSemiBold">Send diagnostics</ThemedText>
+          <ThemedText style={styles.muted}>
+            Share the app log, including what the portal page logged, with support. Credentials are removed and
+            locations are rounded to about 1 km.
+          </ThemedText>
+        </TouchableOpacity>
+
+        <ThemedText type="subtitle">Records</ThemedText>
+        <ThemedText style={styles.muted}>
+          How many records stay on the main list. Older ones move to compressed monthly archives and still show in History.
+        </ThemedText>
+        <View style={styles.chips}>
+          {RETENTION_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.chip, isRetentionActive(retentionConfig, option.policy) && styles.optionActive]}
+              onPress={() => selectRetention(option.policy)}>
+              <ThemedText style={styles.chipText}>{option.name}</ThemedText>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {usage && (
+          <View style={styles.usage}>
+            <ThemedText style={styles.muted}>
+              Recent: {usage.liveRecords} records · {formatBytes(usage.liveBytes)}
+            </ThemedText>
+            <ThemedText style={styles.muted}>
+              Archived: {usage.archivedRecords} records · {formatBytes(usage.archiveBytes)}
+              {usage.archiveRawBytes > 0 ? ` (${formatBytes(usage.archiveRawBytes)} before compression)` : ''}
+            </ThemedText>
+            {usage.months.map((month) => (
+              <ThemedText key={month.month} style={styles.muted}>
+                {'  '}
+                {month.month}: {month.count} records · {formatBytes(month.bytes)}
+              </ThemedText>
+            ))}
+          </View>
+        )}
+
+        <ThemedText type="subtitle">Server environment</ThemedText>
+        <ThemedText style={styles.muted}>
+          Currently using {environment.name} ({environment.portalUrl})
+        </ThemedText>
+
+        {ENVIRONMENT_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.option, selectedId === option.id && styles.optionActive]}
+            onPress={() => setSelectedId(option.id)}>
+            <View style={styles.optionHeader}>
+              <ThemedText type="defaultSemiBold">{option.name}</ThemedText>
+              {environment.id === option.id && <ThemedText style={styles.badge}>Active</ThemedText>}
+            </View>
+            <ThemedText style={styles.muted}>{option.description}</ThemedText>
+          </TouchableOpacity>
+        ))}
+
+        {selectedId === CUSTOM_ENVIRONMENT_ID && (
+          <TextInput
+            style={styles.input}
+            placeholder="https://portal.example.com/"
+            value={customUrl}
+            onChangeText={setCustomUrl}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+        )}
+
+        <TouchableOpacity style={styles.button} onPress={() => requestSwitch(selectedId, customUrl)}>
+          <ThemedText style={styles.buttonText}>Use this environment</ThemedText>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  content: {
+    padding: 16,
+    gap: 10,
+  },
+  option: {
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  optionActive: {
+    borderColor: '#007AFF',
+    backgroundColor: '#eef5ff',
+  },
+  optionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  badge: {
+    fontSize: 12,
+    color: '#2e7d32',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  usage: {
+    gap: 2,
+  },
+  policy: {
+    gap: 2,
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+  },
+  button: {
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  buttonText: {
+    color: 'white',
+  },
+});
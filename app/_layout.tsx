@@ -1,24 +1,81 @@
 import { DarkTheme, DefaultTheme, ThemeProvider } from '@react-navigation/native';
-import { Stack } from 'expo-router';
+import * as Notifications from 'expo-notifications';
+import { router, Stack, useRootNavigationState } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
+import { useEffect, useState } from 'react';
 import 'react-native-reanimated';
 
+import { EnvironmentProvider } from '@/components/environment-provider';
+import { LOG_CATEGORIES } from '@/constants/logging';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { REMINDER_KIND } from '@/lib/class-reminders';
+import { createLogger } from '@/lib/logger';
+import { runStorageMigrations } from '@/lib/storage-migrations';
+
+const log = createLogger(LOG_CATEGORIES.APP);
 
 export const unstable_settings = {
   anchor: '(tabs)',
 };
 
+// Class reminders are shown even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+// Tapping a class reminder opens attendance for that class
+const openReminder = (response: Notifications.NotificationResponse | null) => {
+  const data = response?.notification.request.content.data;
+  if (data?.kind !== REMINDER_KIND || typeof data.classId !== 'string') return;
+  router.push({ pathname: '/attendance', params: { classId: data.classId } });
+};
+
 export default function RootLayout() {
   const colorScheme = useColorScheme();
+  const [storageReady, setStorageReady] = useState(false);
+  // The stack only mounts once storage and the environment are loaded
+  const navigationReady = Boolean(useRootNavigationState()?.key);
+
+  // Stored data must be in the current schema before any screen reads it
+  useEffect(() => {
+    runStorageMigrations().finally(() => setStorageReady(true));
+  }, []);
+
+  // A reminder tapped while the app was closed is handled once there is a
+  // navigator to open it in
+  useEffect(() => {
+    if (!navigationReady) return;
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => {
+        openReminder(response);
+        return Notifications.clearLastNotificationResponseAsync();
+      })
+      .catch((error) => log.warn('Could not open the reminder that started the app', error));
+    const subscription = Notifications.addNotificationResponseReceivedListener(openReminder);
+    return () => subscription.remove();
+  }, [navigationReady]);
+
+  if (!storageReady) return null;
 
   return (
-    <ThemeProvider value={colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
-      <Stack>
-        <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
-        <Stack.Screen name="modal" options={{ presentation: 'modal', title: 'Modal' }} />
-      </Stack>
-      <StatusBar style="auto" />
-    </ThemeProvider>
+    <EnvironmentProvider>
+      <ThemeProvider value={colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
+        <Stack>
+          <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
+          <Stack.Screen name="credentials" options={{ title: 'Credentials' }} />
+          <Stack.Screen name="attendance" options={{ title: 'Mark Attendance' }} />
+          <Stack.Screen name="timetable" options={{ title: 'Timetable' }} />
+          <Stack.Screen name="scan-session" options={{ title: 'Scan Classroom Code' }} />
+          <Stack.Screen name="diagnostics" options={{ title: 'Device Readiness' }} />
+          <Stack.Screen name="modal" options={{ presentation: 'modal', title: 'Modal' }} />
+        </Stack>
+        <StatusBar style="auto" />
+      </ThemeProvider>
+    </EnvironmentProvider>
   );
 }
@@ -0,0 +1,506 @@
+import { router, useFocusEffect, useLocalSearchParams } from 'expo-router';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { AccountChooser, type AccountOption } from '@/components/account-chooser';
+import { useEnvironment } from '@/components/environment-provider';
+import type { OpenSession } from '@/components/open-sessions-banner';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { ATTENDANCE_MODES } from '@/constants/sessions';
+import {
+  assertCanCheckIn,
+  AttendanceBlockedError,
+  prepareAttendance,
+  signAssertion,
+} from '@/lib/attendance';
+import {
+  AttendanceApiError,
+  ATTENDANCE_ACTIONS,
+  ATTENDANCE_STATUS,
+  fetchAttendanceChallenge,
+  fetchAttendanceResult,
+  submitAttendanceAssertion,
+} from '@/lib/attendance-api';
+import {
+  CHECK_OUT_REASONS,
+  checkIn,
+  checkOut,
+  formatDuration,
+  loadSessionConfig,
+  loadSessions,
+  openSessions,
+  scheduledEndFor,
+  sessionDuration,
+} from '@/lib/attendance-sessions';
+import { verifyUserPresence } from '@/lib/biometric-policy';
+import { createLogger } from '@/lib/logger';
+import {
+  consumeSessionToken,
+  loadSessionTokenConfig,
+  SessionTokenError,
+  sessionTokenSummary,
+  verifySessionToken,
+} from '@/lib/session-tokens';
+import { courseSummary, currentClass, loadTimetable, loadTimetableConfig } from '@/lib/timetable';
+import { loadAuditHead, saveVerificationRecord } from '@/lib/verification-records';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+type AttendanceResult = Awaited<ReturnType<typeof fetchAttendanceResult>>;
+type AttendanceAction = (typeof ATTENDANCE_ACTIONS)[keyof typeof ATTENDANCE_ACTIONS];
+type SessionConfig = Awaited<ReturnType<typeof loadSessionConfig>>;
+type SessionTokenClaims = Awaited<ReturnType<typeof verifySessionToken>>;
+
+type TimetableClass = {
+  id: string;
+  courseCode: string;
+  courseName: string;
+  room: string;
+  startTime: string;
+  endTime: string;
+};
+
+type AccountChoice = {
+  accounts: AccountOption[];
+  resolve: (key: string | null) => void;
+};
+
+const ACTION_LABELS: Record<AttendanceAction, string> = {
+  [ATTENDANCE_ACTIONS.MARK]: 'Mark attendance',
+  [ATTENDANCE_ACTIONS.CHECK_IN]: 'Check in',
+  [ATTENDANCE_ACTIONS.CHECK_OUT]: 'Check out',
+};
+
+// Verification record type for each action
+const RECORD_TYPES: Record<AttendanceAction, string> = {
+  [ATTENDANCE_ACTIONS.MARK]: 'attendance_marking',
+  [ATTENDANCE_ACTIONS.CHECK_IN]: 'check_in',
+  [ATTENDANCE_ACTIONS.CHECK_OUT]: 'check_out',
+};
+
+const STATUS_LABELS: Record<string, string> = {
+  [ATTENDANCE_STATUS.RECORDED]: 'Attendance recorded',
+  [ATTENDANCE_STATUS.PENDING_REVIEW]: 'Waiting for review',
+  [ATTENDANCE_STATUS.REJECTED]: 'Rejected by the server',
+};
+
+// Host part of an origin, which is the relying party ID credentials were registered for
+const hostOf = (origin: string) => origin.replace(/^https?:\/\//, '').split(':')[0];
+
+export default function AttendanceScreen() {
+  const { environment } = useEnvironment();
+  const params = useLocalSearchParams<{
+    checkOut?: string;
+    reason?: string;
+    classId?: string;
+    sessionToken?: string;
+  }>();
+  const [sessionConfig, setSessionConfig] = useState<SessionConfig | null>(null);
+  const [sessionList, setSessionList] = useState<OpenSession[]>([]);
+  const [selectedClass, setSelectedClass] = useState<TimetableClass | null>(null);
+  const [scannedToken, setScannedToken] = useState<SessionTokenClaims | null>(null);
+  const [tokenRequired, setTokenRequired] = useState(false);
+  const [step, setStep] = useState<string | null>(null);
+  const [result, setResult] = useState<AttendanceResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [accountChoice, setAccountChoice] = useState<AccountChoice | null>(null);
+
+  const chooseAccount = (matches: [string, { id: string; registeredAt?: number }][]) =>
+    new Promise<string | null>((resolve) => {
+      setAccountChoice({
+        accounts: matches.map(([key, credential]) => ({
+          key,
+          credentialId: credential.id,
+          registeredAt: credential.registeredAt,
+        })),
+        resolve,
+      });
+    });
+
+  const resolveAccountChoice = (key: string | null) => {
+    accountChoice?.resolve(key);
+    setAccountChoice(null);
+  };
+
+  const refresh = useCallback(async () => {
+    const [config, sessions, tokenConfig] = await Promise.all([
+      loadSessionConfig(),
+      loadSessions(),
+      loadSessionTokenConfig(),
+    ]);
+    setSessionConfig(config);
+    setTokenRequired(tokenConfig.required);
+    setSessionList(openSessions(sessions) as OpenSession[]);
+    return sessions as OpenSession[];
+  }, []);
+
+  // Same checks and prompt as the portal flow, with the challenge and result
+  // exchanged directly with the attendance API. A check-out answers for the
+  // session's own credential and is allowed off site. The course recorded is
+  // the class chosen from a reminder, otherwise the class on now. A scanned
+  // classroom QR token is submitted with a mark or check-in, never a check-out.
+  const runAttendance = async (
+    action: AttendanceAction,
+    session: OpenSession | null = null,
+    reason: string = CHECK_OUT_REASONS.USER,
+    forClass: TimetableClass | null = selectedClass
+  ) => {
+    setResult(null);
+    setError(null);
+    const recordType = RECORD_TYPES[action];
+    let studentId = session?.studentId ?? 'unknown';
+    let course = courseSummary(forClass);
+    const usesToken = action !== ATTENDANCE_ACTIONS.CHECK_OUT;
+    let sessionToken: SessionTokenClaims | null = null;
+
+    try {
+      if (usesToken && !scannedToken && (await loadSessionTokenConfig()).required) {
+        setError('Scan the QR code your teacher is showing first.');
+        return;
+      }
+
+      if (!course) {
+        const timetableConfig = await loadTimetableConfig();
+        course = courseSummary(currentClass(await loadTimetable(), timetableConfig.reminderLeadMinutes));
+      }
+
+      setStep('Checking location…');
+      const promptMessage = `Verify fingerprint to ${ACTION_LABELS[action].toLowerCase()}`;
+      const { locationData, locationIntegrity, geofenceDecision, credentialKey, credentialId, verification } = await prepareAttendance(
+        {
+          rpId: hostOf(environment.origin),
+          allowCredentials: session ? [session.credentialId] : undefined,
+        },
+        { chooseAccount, source: 'native_api', enforceLocation: action !== ATTENDANCE_ACTIONS.CHECK_OUT, promptMessage }
+      );
+      studentId = credentialKey;
+
+      if (action === ATTENDANCE_ACTIONS.CHECK_IN) {
+        await assertCanCheckIn(credentialKey, { source: 'native_api' });
+      }
+
+      setStep('Requesting a challenge…');
+      const challenge = await fetchAttendanceChallenge(environment.origin, { studentId, credentialId, action });
+
+      setStep('Waiting for fingerprint…');
+      // Unlocking the vault above may already have verified the user
+      const authResult = verification ?? (await verifyUserPresence(promptMessage));
+      if (!authResult) return;
+      if (!authResult.success) {
+        Alert.alert('Authentication Failed', 'Please try again to mark attendance.');
+        return;
+      }
+
+      setStep('Submitting…');
+      if (usesToken && scannedToken) {
+        setScannedToken(null);
+        sessionToken = await consumeSessionToken(scannedToken.token);
+      }
+      const { response: assertion, signCount } = await signAssertion(credentialKey, {
+        origin: environment.origin,
+        challenge: challenge.challenge,
+        rpId: challenge.rpId,
+      });
+      const { attendanceId } = await submitAttendanceAssertion(environment.origin, {
+        challengeId: challenge.challengeId,
+        studentId,
+        credentialId,
+        action,
+        assertion,
+        location: locationData,
+        locationIntegrity,
+        sessionToken: sessionToken?.token,
+        auditHead: await loadAuditHead(),
+      });
+
+      setStep('Fetching the result…');
+      const outcome = await fetchAttendanceResult(environment.origin, attendanceId);
+      setResult(outcome);
+      const accepted = outcome.status !== ATTENDANCE_STATUS.REJECTED;
+
+      let sessionId = session?.id;
+      let durationMs;
+      if (accepted && action === ATTENDANCE_ACTIONS.CHECK_IN) {
+        const opened = await checkIn({
+          studentId,
+          credentialId,
+          location: locationData,
+          geofence: geofenceDecision,
+          source: 'native_api',
+          scheduledEndAt: scheduledEndFor(Date.now(), (await loadSessionConfig()).scheduledEnd),
+        });
+        sessionId = opened.id;
+      }
+      if (accepted && session && action === ATTENDANCE_ACTIONS.CHECK_OUT) {
+        ({ durationMs } = await checkOut(session.id, { location: locationData, reason }));
+      }
+
+      await saveVerificationRecord({
+        type: recordType,
+        studentId,
+        credentialId,
+        signCount,
+        timestamp: Date.now(),
+        success: accepted,
+        error: accepted ? undefined : outcome.message,
+        location: locationData,
+        locationIntegrity,
+        geofence: geofenceDecision,
+        attendanceId,
+        sessionId,
+        durationMs,
+        checkOutReason: action === ATTENDANCE_ACTIONS.CHECK_OUT ? reason : undefined,
+        course,
+        sessionToken: sessionTokenSummary(sessionToken),
+        authMethod: authResult.method,
+        source: 'native_api',
+      });
+    } catch (caught) {
+      // Blocked attempts were already explained to the user by prepareAttendance
+      if (caught instanceof AttendanceBlockedError) return;
+
+      const message =
+        caught instanceof AttendanceApiError || caught instanceof SessionTokenError
+          ? caught.message
+          : 'Failed to mark attendance. Please try again.';
+      log.error('Native attendance failed', caught);
+      setError(message);
+
+      await saveVerificationRecord({
+        type: recordType,
+        studentId,
+        timestamp: Date.now(),
+        success: false,
+        error: caught instanceof Error ? caught.message : String(caught),
+        sessionId: session?.id,
+        course,
+        sessionToken: sessionTokenSummary(sessionToken),
+        source: 'native_api',
+      });
+    } finally {
+      setStep(null);
+      refresh();
+    }
+  };
+
+  // Route params start an attempt once; it should see the state of the render
+  // that handles them, not the one where the effect last ran
+  const runAttendanceRef = useRef(runAttendance);
+  runAttendanceRef.current = runAttendance;
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  // Opened from a check-out prompt or the home screen banner
+  useEffect(() => {
+    const sessionId = params.checkOut;
+    if (!sessionId) return;
+    const reason = params.reason;
+    router.setParams({ checkOut: undefined, reason: undefined });
+
+    refresh()
+      .then((sessions) => {
+        const session = sessions.find((candidate) => candidate.id === sessionId && !candidate.checkOutAt);
+        if (session) runAttendanceRef.current(ATTENDANCE_ACTIONS.CHECK_OUT, session, reason);
+      })
+      .catch((caught) => {
+        log.error('Could not load sessions for check-out', caught);
+        setError('Your open sessions could not be loaded. Please try again.');
+      });
+  }, [params.checkOut, params.reason, refresh]);
+
+  // Opened from a class reminder: start right away for that class
+  useEffect(() => {
+    const classId = params.classId;
+    if (!classId) return;
+    router.setParams({ classId: undefined });
+
+    Promise.all([loadSessionConfig(), loadTimetable()])
+      .then(([config, timetable]) => {
+        const entry = (timetable as TimetableClass[]).find((candidate) => candidate.id === classId);
+        if (!entry) {
+          Alert.alert('Class Not Found', 'This class is no longer in your timetable for this server.');
+          return;
+        }
+        setSelectedClass(entry);
+        const action = config.mode === ATTENDANCE_MODES.CHECK_IN_OUT ? ATTENDANCE_ACTIONS.CHECK_IN : ATTENDANCE_ACTIONS.MARK;
+        runAttendanceRef.current(action, null, CHECK_OUT_REASONS.USER, entry);
+      })
+      .catch((caught) => {
+        log.error('Could not open attendance for the class', caught);
+        setError('Your timetable could not be loaded. Please try again.');
+      });
+  }, [params.classId]);
+
+  // Back from the QR scanner
+  useEffect(() => {
+    const sessionToken = params.sessionToken;
+    if (!sessionToken) return;
+    router.setParams({ sessionToken: undefined });
+
+    setError(null);
+    verifySessionToken(sessionToken)
+      .then(setScannedToken)
+      .catch((caught) => {
+        setScannedToken(null);
+        setError(caught instanceof SessionTokenError ? caught.message : 'The QR code could not be checked.');
+      });
+  }, [params.sessionToken]);
+
+  const checkInMode = sessionConfig?.mode === ATTENDANCE_MODES.CHECK_IN_OUT;
+  const primaryAction = checkInMode ? ATTENDANCE_ACTIONS.CHECK_IN : ATTENDANCE_ACTIONS.MARK;
+
+  return (
+    <ThemedView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <ThemedText style={styles.muted}>
+          Records attendance directly with {environment.name} ({environment.origin}), without the portal page.
+          Your location and fingerprint are checked the same way.
+        </ThemedText>
+
+        {selectedClass && (
+          <View style={styles.card}>
+            <ThemedText type="defaultSemiBold">
+              {selectedClass.courseCode}
+              {selectedClass.courseName ? ` · ${selectedClass.courseName}` : ''}
+            </ThemedText>
+            <ThemedText style={styles.muted}>
+              {selectedClass.startTime}–{selectedClass.endTime}
+              {selectedClass.room ? ` · ${selectedClass.room}` : ''}
+            </ThemedText>
+            <TouchableOpacity disabled={!!step} onPress={() => setSelectedClass(null)}>
+              <ThemedText type="link">Not this class</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {scannedToken ? (
+          <View style={styles.card}>
+            <ThemedText type="defaultSemiBold">
+              Classroom code: {scannedToken.course} · {scannedToken.room}
+            </ThemedText>
+            <ThemedText style={styles.muted}>
+              Valid until {new Date(scannedToken.exp * 1000).toLocaleTimeString()}
+            </ThemedText>
+          </View>
+        ) : (
+          <TouchableOpacity disabled={!!step} onPress={() => router.push('/scan-session')}>
+            <ThemedText type="link">
+              Scan classroom QR code{tokenRequired ? ' (required)' : ''}
+            </ThemedText>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={[styles.button, !!step && styles.buttonDisabled]}
+          disabled={!!step}
+          onPress={() => runAttendance(primaryAction)}>
+          <ThemedText style={styles.buttonText}>{ACTION_LABELS[primaryAction]}</ThemedText>
+        </TouchableOpacity>
+
+        {sessionList.map((session) => (
+          <View key={session.id} style={styles.card}>
+            <ThemedText type="defaultSemiBold">{session.studentId} is checked in</ThemedText>
+            <ThemedText style={styles.muted}>
+              Since {new Date(session.checkInAt).toLocaleTimeString()} · {formatDuration(sessionDuration(session))} on site
+            </ThemedText>
+            {!!session.scheduledEndAt && (
+              <ThemedText style={styles.muted}>
+                Scheduled end: {new Date(session.scheduledEndAt).toLocaleTimeString()}
+              </ThemedText>
+            )}
+            <TouchableOpacity
+              disabled={!!step}
+              onPress={() => runAttendance(ATTENDANCE_ACTIONS.CHECK_OUT, session)}>
+              <ThemedText type="link">Check out</ThemedText>
+            </TouchableOpacity>
+          </View>
+        ))}
+
+        {!!step && (
+          <View style={styles.progress}>
+            <ActivityIndicator color="#007AFF" />
+            <ThemedText style={styles.muted}>{step}</ThemedText>
+          </View>
+        )}
+
+        {result && (
+          <View style={[styles.card, result.status === ATTENDANCE_STATUS.REJECTED ? styles.cardError : styles.cardSuccess]}>
+            <ThemedText type="defaultSemiBold">{STATUS_LABELS[result.status] ?? result.status}</ThemedText>
+            {!!result.message && <ThemedText style={styles.muted}>{result.message}</ThemedText>}
+            <ThemedText style={styles.muted}>Student: {result.studentId}</ThemedText>
+            <ThemedText style={styles.muted}>
+              {ACTION_LABELS[result.action as AttendanceAction] ?? 'Marked'}: {new Date(result.markedAt).toLocaleString()}
+            </ThemedText>
+            <ThemedText style={styles.muted}>Reference: {result.attendanceId}</ThemedText>
+          </View>
+        )}
+
+        {!!error && (
+          <View style={[styles.card, styles.cardError]}>
+            <ThemedText type="defaultSemiBold">Not recorded</ThemedText>
+            <ThemedText style={styles.muted}>{error}</ThemedText>
+          </View>
+        )}
+      </ScrollView>
+
+      <AccountChooser
+        visible={!!accountChoice}
+        accounts={accountChoice?.accounts || []}
+        onSelect={resolveAccountChoice}
+        onCancel={() => resolveAccountChoice(null)}
+      />
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    gap: 16,
+  },
+  button: {
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  progress: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  card: {
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    gap: 4,
+  },
+  cardSuccess: {
+    borderColor: '#2e7d32',
+    backgroundColor: '#e8f5e9',
+  },
+  cardError: {
+    borderColor: '#c62828',
+    backgroundColor: '#ffebee',
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+  },
+});
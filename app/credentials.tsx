@@ -0,0 +1,323 @@
+import { router, useFocusEffect } from 'expo-router';
+import { useCallback, useState } from 'react';
+import { Alert, FlatList, Modal, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { useEnvironment } from '@/components/environment-provider';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { verifyUserPresence } from '@/lib/biometric-policy';
+import { loadVaultCredentials, saveVaultCredentials, unlockVault, VaultLockedError } from '@/lib/credential-vault';
+import {
+  cancelReRegistration,
+  displayName,
+  expireReRegistrations,
+  isSigningCredential,
+  removeCredential,
+  renameCredential,
+  requestReRegistration,
+  setDefaultCredential,
+} from '@/lib/credentials';
+import { createLogger } from '@/lib/logger';
+import { deletePrivateKey } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+type StoredCredential = {
+  id: string;
+  type: 'fingerprint' | 'extracted';
+  source?: string;
+  label?: string;
+  isDefault?: boolean;
+  publicKey?: string;
+  rpId?: string;
+  registeredAt?: number | null;
+  lastUsedAt?: number;
+  reRegisterRequestedAt?: number;
+  deviceInfo?: { platform: string; brand: string; model: string };
+};
+
+type CredentialStore = Record<string, StoredCredential>;
+
+const formatDate = (time?: number | null) => (time ? new Date(time).toLocaleString() : '—');
+
+function RenameDialog({
+  initialName,
+  onSave,
+  onCancel,
+}: {
+  initialName: string;
+  onSave: (name: string) => void;
+  onCancel: () => void;
+}) {
+  const [name, setName] = useState(initialName);
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <ThemedView style={styles.dialog}>
+          <ThemedText type="subtitle">Rename</ThemedText>
+          <TextInput style={styles.input} value={name} onChangeText={setName} autoFocus placeholder="Display name" />
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity onPress={onCancel}>
+              <ThemedText type="link">Cancel</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onSave(name)}>
+              <ThemedText type="link">Save</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </ThemedView>
+      </View>
+    </Modal>
+  );
+}
+
+export default function CredentialsScreen() {
+  const { environment } = useEnvironment();
+  const [credentials, setCredentials] = useState<CredentialStore | null>(null);
+  const [renaming, setRenaming] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      await unlockVault('Unlock to manage your credentials');
+      const stored = (await loadVaultCredentials()) as CredentialStore;
+      const current = expireReRegistrations(stored);
+      if (current !== stored) await saveVaultCredentials(current);
+      setCredentials(current);
+    } catch (error) {
+      if (error instanceof VaultLockedError) {
+        router.back();
+        return;
+      }
+      log.error('Error loading credentials', error);
+      Alert.alert('Error', 'Your credentials could not be loaded.');
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [load])
+  );
+
+  // Applies a pure store update against the latest vault contents. Called from
+  // button handlers, so failures are shown here; resolves with whether it saved.
+  const update = async (change: (store: CredentialStore) => CredentialStore) => {
+    try {
+      await unlockVault('Unlock to manage your credentials');
+      const next = change((await loadVaultCredentials()) as CredentialStore);
+      await saveVaultCredentials(next);
+      setCredentials(next);
+      return true;
+    } catch (error) {
+      if (error instanceof VaultLockedError) {
+        Alert.alert('Credentials Locked', 'Unlock your credentials to make changes.');
+      } else {
+        log.error('Error updating credentials', error);
+        Alert.alert('Error', 'Your change could not be saved.');
+      }
+      return false;
+    }
+  };
+
+  const handleRename = async (key: string, name: string) => {
+    setRenaming(null);
+    await update((store) => renameCredential(store, key, name));
+  };
+
+  const handleSetDefault = (key: string) => update((store) => setDefaultCredential(store, key));
+
+  const handleDelete = (key: string, credential: StoredCredential) => {
+    Alert.alert(
+      'Delete Credential?',
+      `${displayName(key, credential)} will no longer be able to mark attendance from this device until it is registered again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const removed = await update((store) => removeCredential(store, key));
+            if (removed && isSigningCredential(credential)) {
+              await deletePrivateKey(credential.id);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Only the portal can issue a registration challenge and accept the new
+  // public key, so the registration itself happens there. Asking for it needs
+  // a fresh check even when the vault is already open; the credential is
+  // marked until the portal's registration replaces it, the user cancels, or
+  // the mark expires, and the old one keeps working until then.
+  const handleReRegister = async (key: string) => {
+    const verification = await verifyUserPresence('Verify to re-register this fingerprint');
+    if (!verification) return;
+    if (!verification.success) {
+      Alert.alert('Authentication Failed', 'Please try again to re-register this fingerprint.');
+      return;
+    }
+
+    const marked = await update((store) => requestReRegistration(store, key));
+    if (!marked) return;
+    Alert.alert(
+      'Finish in the Portal',
+      `Sign in as ${key} and open the fingerprint registration page. The new fingerprint replaces the current one as soon as it is registered.`,
+      [{ text: 'Open Portal', onPress: () => router.navigate('/') }]
+    );
+  };
+
+  const handleCancelReRegister = (key: string) => update((store) => cancelReRegistration(store, key));
+
+  const entries = Object.entries(credentials ?? {});
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText style={[styles.muted, styles.intro]}>
+        Fingerprints registered on this device for {environment.name}.
+      </ThemedText>
+
+      <FlatList
+        data={entries}
+        keyExtractor={([key]) => key}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <ThemedText style={[styles.muted, styles.empty]}>
+            {credentials ? 'No credentials registered yet.' : 'Unlocking…'}
+          </ThemedText>
+        }
+        renderItem={({ item: [key, credential] }) => (
+          <View style={styles.item}>
+            <View style={styles.itemHeader}>
+              <ThemedText type="defaultSemiBold">{displayName(key, credential)}</ThemedText>
+              {credential.isDefault && <ThemedText style={styles.badge}>Default</ThemedText>}
+              {!isSigningCredential(credential) && <ThemedText style={styles.muted}>Reference only</ThemedText>}
+            </View>
+            {!!credential.label && <ThemedText style={styles.muted}>Account: {key}</ThemedText>}
+            <ThemedText style={styles.muted}>ID: {credential.id?.substring(0, 24)}…</ThemedText>
+            <ThemedText style={styles.muted}>Registered: {formatDate(credential.registeredAt)}</ThemedText>
+            {!!credential.lastUsedAt && (
+              <ThemedText style={styles.muted}>Last used: {formatDate(credential.lastUsedAt)}</ThemedText>
+            )}
+            {credential.deviceInfo && (
+              <ThemedText style={styles.muted}>
+                Device: {credential.deviceInfo.brand} {credential.deviceInfo.model} ({credential.deviceInfo.platform})
+              </ThemedText>
+            )}
+            {!!credential.reRegisterRequestedAt && (
+              <ThemedText style={styles.pending}>Re-registration requested — finish it in the portal</ThemedText>
+            )}
+            <View style={styles.actions}>
+              <TouchableOpacity onPress={() => setRenaming(key)}>
+                <ThemedText type="link">Rename</ThemedText>
+              </TouchableOpacity>
+              {isSigningCredential(credential) && !credential.isDefault && (
+                <TouchableOpacity onPress={() => handleSetDefault(key)}>
+                  <ThemedText type="link">Make default</ThemedText>
+                </TouchableOpacity>
+              )}
+              {isSigningCredential(credential) && !credential.reRegisterRequestedAt && (
+                <TouchableOpacity onPress={() => handleReRegister(key)}>
+                  <ThemedText type="link">Re-register in portal</ThemedText>
+                </TouchableOpacity>
+              )}
+              {!!credential.reRegisterRequestedAt && (
+                <TouchableOpacity onPress={() => handleCancelReRegister(key)}>
+                  <ThemedText type="link">Cancel re-registration</ThemedText>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => handleDelete(key, credential)}>
+                <ThemedText type="link" style={styles.destructive}>
+                  Delete
+                </ThemedText>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      />
+
+      {renaming && credentials?.[renaming] && (
+        <RenameDialog
+          initialName={credentials[renaming].label ?? ''}
+          onSave={(name) => handleRename(renaming, name)}
+          onCancel={() => setRenaming(null)}
+        />
+      )}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  intro: {
+    padding: 16,
+    paddingBottom: 0,
+  },
+  list: {
+    padding: 16,
+  },
+  item: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    gap: 2,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  badge: {
+    fontSize: 12,
+    color: '#2e7d32',
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 16,
+    marginTop: 6,
+  },
+  destructive: {
+    color: '#c62828',
+  },
+  pending: {
+    fontSize: 13,
+    color: '#b26a00',
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  dialog: {
+    padding: 20,
+    borderRadius: 12,
+    gap: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 24,
+  },
+});
@@ -0,0 +1,161 @@
+import * as Location from 'expo-location';
+import { router } from 'expo-router';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Linking, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { useEnvironment } from '@/components/environment-provider';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import {
+  READINESS_ACTIONS,
+  READINESS_CHECKS,
+  READINESS_STATUS,
+  runReadinessCheck,
+} from '@/lib/device-readiness';
+
+type ReadinessResult = Awaited<ReturnType<typeof runReadinessCheck>>;
+
+const STATUS_STYLES: Record<string, { label: string; color: string }> = {
+  [READINESS_STATUS.OK]: { label: 'OK', color: '#2e7d32' },
+  [READINESS_STATUS.WARNING]: { label: 'Check', color: '#ef6c00' },
+  [READINESS_STATUS.PROBLEM]: { label: 'Problem', color: '#c62828' },
+  [READINESS_STATUS.SKIPPED]: { label: 'Skipped', color: '#999' },
+};
+
+const ACTION_LABELS: Record<string, string> = {
+  [READINESS_ACTIONS.OPEN_SETTINGS]: 'Open app settings',
+  [READINESS_ACTIONS.REQUEST_LOCATION]: 'Allow location',
+  [READINESS_ACTIONS.OPEN_PORTAL]: 'Go to the portal',
+};
+
+// Runs every readiness check in turn, showing each result as it comes in
+export default function DiagnosticsScreen() {
+  const { environment } = useEnvironment();
+  const [results, setResults] = useState<Record<string, ReadinessResult>>({});
+  const [running, setRunning] = useState(false);
+  // A second run started while one is going replaces it
+  const runId = useRef(0);
+
+  const runChecks = useCallback(async () => {
+    const id = ++runId.current;
+    setRunning(true);
+    setResults({});
+
+    const context = { environment };
+    for (const check of READINESS_CHECKS) {
+      const result = await runReadinessCheck(check, context);
+      if (runId.current !== id) return;
+      setResults((previous) => ({ ...previous, [check.id]: result }));
+    }
+    setRunning(false);
+  }, [environment]);
+
+  useEffect(() => {
+    runChecks();
+  }, [runChecks]);
+
+  const handleAction = async (action: string) => {
+    if (action === READINESS_ACTIONS.REQUEST_LOCATION) {
+      await Location.requestForegroundPermissionsAsync();
+      runChecks();
+    } else if (action === READINESS_ACTIONS.OPEN_SETTINGS) {
+      Linking.openSettings();
+    } else if (action === READINESS_ACTIONS.OPEN_PORTAL) {
+      router.navigate('/');
+    }
+  };
+
+  const finished = Object.values(results);
+  const problems = finished.filter((result) => result.status === READINESS_STATUS.PROBLEM).length;
+  const warnings = finished.filter((result) => result.status === READINESS_STATUS.WARNING).length;
+
+  let summary = 'Checking…';
+  if (!running) {
+    if (problems > 0) summary = `${problems} problem${problems === 1 ? '' : 's'} will stop attendance from being marked.`;
+    else if (warnings > 0) summary = `Ready, with ${warnings} thing${warnings === 1 ? '' : 's'} worth checking.`;
+    else summary = 'This device is ready to mark attendance.';
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.header}>
+          <ThemedText type="defaultSemiBold">{summary}</ThemedText>
+          <TouchableOpacity onPress={runChecks} disabled={running}>
+            <ThemedText type="link" style={running ? styles.disabled : undefined}>
+              Run again
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {READINESS_CHECKS.map((check) => {
+          const result = results[check.id];
+          const status = result ? STATUS_STYLES[result.status] : null;
+          return (
+            <View key={check.id} style={styles.item}>
+              <View style={styles.itemHeader}>
+                <ThemedText type="defaultSemiBold" style={styles.itemTitle}>
+                  {check.title}
+                </ThemedText>
+                {status ? (
+                  <ThemedText style={[styles.status, { color: status.color }]}>{status.label}</ThemedText>
+                ) : (
+                  running && <ActivityIndicator size="small" />
+                )}
+              </View>
+              {result && <ThemedText style={styles.muted}>{result.summary}</ThemedText>}
+              {result?.fix && <ThemedText style={styles.fix}>{result.fix}</ThemedText>}
+              {result?.action && (
+                <TouchableOpacity onPress={() => handleAction(result.action!)}>
+                  <ThemedText type="link">{ACTION_LABELS[result.action]}</ThemedText>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+        })}
+      </ScrollView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  header: {
+    gap: 6,
+    paddingBottom: 8,
+  },
+  item: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    gap: 4,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  itemTitle: {
+    flex: 1,
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  fix: {
+    fontSize: 13,
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
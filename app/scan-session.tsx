@@ -0,0 +1,92 @@
+import { type BarcodeScanningResult, CameraView, useCameraPermissions } from 'expo-camera';
+import { router, useLocalSearchParams } from 'expo-router';
+import { useRef } from 'react';
+import { Alert, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { parseSessionToken, SessionTokenError } from '@/lib/session-tokens';
+
+// Scans the classroom QR code and hands the token back to the attendance
+// screen, or to the portal with returnTo=portal, which checks its signature,
+// expiry and reuse.
+export default function ScanSessionScreen() {
+  const { returnTo } = useLocalSearchParams<{ returnTo?: string }>();
+  const [permission, requestPermission] = useCameraPermissions();
+  // The camera keeps reporting the same code until the screen closes
+  const handled = useRef(false);
+
+  const handleScan = ({ data }: BarcodeScanningResult) => {
+    if (handled.current) return;
+    handled.current = true;
+
+    try {
+      parseSessionToken(data);
+    } catch (error) {
+      Alert.alert(
+        'Not a Classroom Code',
+        error instanceof SessionTokenError ? error.message : 'This QR code could not be read.',
+        [{ text: 'Scan Again', onPress: () => (handled.current = false) }]
+      );
+      return;
+    }
+
+    router.dismissTo({ pathname: returnTo === 'portal' ? '/' : '/attendance', params: { sessionToken: data } });
+  };
+
+  if (!permission) return <ThemedView style={styles.container} />;
+
+  if (!permission.granted) {
+    return (
+      <ThemedView style={[styles.container, styles.centered]}>
+        <ThemedText style={styles.muted}>
+          Attendify needs the camera to scan the QR code your teacher is showing.
+        </ThemedText>
+        {permission.canAskAgain ? (
+          <TouchableOpacity onPress={requestPermission}>
+            <ThemedText type="link">Allow camera</ThemedText>
+          </TouchableOpacity>
+        ) : (
+          <ThemedText style={styles.muted}>Turn on camera access for Attendify in your device settings.</ThemedText>
+        )}
+      </ThemedView>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <CameraView
+        style={styles.camera}
+        facing="back"
+        barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+        onBarcodeScanned={handleScan}
+      />
+      <ThemedView style={styles.hint}>
+        <ThemedText style={styles.muted}>Point the camera at the QR code on the classroom screen.</ThemedText>
+      </ThemedView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    gap: 12,
+  },
+  camera: {
+    flex: 1,
+  },
+  hint: {
+    padding: 16,
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
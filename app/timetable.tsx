@@ -0,0 +1,349 @@
+import { useFocusEffect } from 'expo-router';
+import { useCallback, useState } from 'react';
+import { Alert, FlatList, Modal, StyleSheet, Switch, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { useEnvironment } from '@/components/environment-provider';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { CLASS_SOURCES, WEEKDAY_NAMES } from '@/constants/timetable';
+import { scheduleClassReminders } from '@/lib/class-reminders';
+import {
+  loadTimetable,
+  loadTimetableConfig,
+  removeClass,
+  saveManualClass,
+  saveTimetableConfig,
+} from '@/lib/timetable';
+
+type TimetableClass = {
+  id: string;
+  courseCode: string;
+  courseName: string;
+  room: string;
+  weekday: number;
+  startTime: string;
+  endTime: string;
+  source: string;
+};
+
+// A class being added (no id yet) or edited
+type ClassDraft = Omit<TimetableClass, 'id' | 'source'> & { id?: string };
+
+type TimetableConfig = Awaited<ReturnType<typeof loadTimetableConfig>>;
+
+// Starting point for a class entered by hand
+const NEW_CLASS: ClassDraft = {
+  courseCode: '',
+  courseName: '',
+  room: '',
+  weekday: 1,
+  startTime: '09:00',
+  endTime: '10:00',
+};
+
+function ClassDialog({
+  initialClass,
+  onSave,
+  onCancel,
+}: {
+  initialClass: ClassDraft;
+  onSave: (entry: ClassDraft) => void;
+  onCancel: () => void;
+}) {
+  const [entry, setEntry] = useState(initialClass);
+  const set = (field: keyof ClassDraft) => (value: string) => setEntry({ ...entry, [field]: value });
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <ThemedView style={styles.dialog}>
+          <ThemedText type="subtitle">{initialClass.id ? 'Edit class' : 'Add class'}</ThemedText>
+          <TextInput
+            style={styles.input}
+            value={entry.courseCode}
+            onChangeText={set('courseCode')}
+            autoCapitalize="characters"
+            placeholder="Course code"
+          />
+          <TextInput style={styles.input} value={entry.courseName} onChangeText={set('courseName')} placeholder="Course name" />
+          <TextInput style={styles.input} value={entry.room} onChangeText={set('room')} placeholder="Room" />
+          <View style={styles.weekdays}>
+            {WEEKDAY_NAMES.map((name, weekday) => (
+              <TouchableOpacity
+                key={name}
+                style={[styles.weekday, entry.weekday === weekday && styles.weekdayActive]}
+                onPress={() => setEntry({ ...entry, weekday })}>
+                <ThemedText style={entry.weekday === weekday ? styles.weekdayTextActive : undefined}>
+                  {name.substring(0, 3)}
+                </ThemedText>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.times}>
+            <TextInput
+              style={[styles.input, styles.time]}
+              value={entry.startTime}
+              onChangeText={set('startTime')}
+              placeholder="Start (HH:MM)"
+            />
+            <TextInput
+              style={[styles.input, styles.time]}
+              value={entry.endTime}
+              onChangeText={set('endTime')}
+              placeholder="End (HH:MM)"
+            />
+          </View>
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity onPress={onCancel}>
+              <ThemedText type="link">Cancel</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => onSave(entry)}>
+              <ThemedText type="link">Save</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </ThemedView>
+      </View>
+    </Modal>
+  );
+}
+
+export default function TimetableScreen() {
+  const { environment } = useEnvironment();
+  const [timetable, setTimetable] = useState<TimetableClass[] | null>(null);
+  const [config, setConfig] = useState<TimetableConfig | null>(null);
+  const [leadMinutes, setLeadMinutes] = useState('');
+  const [editing, setEditing] = useState<ClassDraft | null>(null);
+
+  const load = useCallback(async () => {
+    const [classes, timetableConfig] = await Promise.all([loadTimetable(), loadTimetableConfig()]);
+    setTimetable(classes as TimetableClass[]);
+    setConfig(timetableConfig);
+    setLeadMinutes(String(timetableConfig.reminderLeadMinutes));
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [load])
+  );
+
+  // Reminders always follow the stored timetable and settings
+  const reschedule = async () => {
+    await load();
+    await scheduleClassReminders();
+  };
+
+  const updateConfig = async (change: Partial<TimetableConfig>) => {
+    const next = { ...(config ?? (await loadTimetableConfig())), ...change };
+    await saveTimetableConfig(next);
+    await reschedule();
+  };
+
+  const handleLeadMinutes = () => {
+    const minutes = Number(leadMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 120) {
+      Alert.alert('Invalid Reminder Time', 'Enter a number of minutes from 0 to 120.');
+      setLeadMinutes(String(config?.reminderLeadMinutes ?? ''));
+      return;
+    }
+    if (minutes !== config?.reminderLeadMinutes) updateConfig({ reminderLeadMinutes: minutes });
+  };
+
+  const handleSave = async (entry: ClassDraft) => {
+    try {
+      await saveManualClass(entry);
+    } catch (error) {
+      Alert.alert('Check the Class', error instanceof Error ? error.message : String(error));
+      return;
+    }
+    setEditing(null);
+    await reschedule();
+  };
+
+  const handleDelete = (entry: TimetableClass) => {
+    Alert.alert(
+      'Delete Class?',
+      entry.source === CLASS_SOURCES.PORTAL
+        ? `${entry.courseCode} came from the portal and will come back the next time it sends your timetable.`
+        : `${entry.courseCode} and its reminder will be removed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await removeClass(entry.id);
+            await reschedule();
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <ThemedView style={styles.container}>
+      <View style={styles.intro}>
+        <ThemedText style={styles.muted}>
+          Classes for {environment.name}. The portal fills these in when you sign in; you can also add your own.
+        </ThemedText>
+        <View style={styles.setting}>
+          <ThemedText type="defaultSemiBold">Remind me before each class</ThemedText>
+          <Switch
+            value={!!config?.remindersEnabled}
+            disabled={!config}
+            onValueChange={(remindersEnabled) => updateConfig({ remindersEnabled })}
+          />
+        </View>
+        <View style={styles.setting}>
+          <ThemedText>Minutes before the class</ThemedText>
+          <TextInput
+            style={[styles.input, styles.minutes]}
+            value={leadMinutes}
+            onChangeText={setLeadMinutes}
+            onEndEditing={handleLeadMinutes}
+            keyboardType="number-pad"
+            editable={!!config?.remindersEnabled}
+          />
+        </View>
+        <TouchableOpacity onPress={() => setEditing(NEW_CLASS)}>
+          <ThemedText type="link">Add class</ThemedText>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={timetable ?? []}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <ThemedText style={[styles.muted, styles.empty]}>
+            {timetable ? 'No classes yet.' : 'Loading…'}
+          </ThemedText>
+        }
+        renderItem={({ item }) => (
+          <View style={styles.item}>
+            <ThemedText type="defaultSemiBold">
+              {item.courseCode}
+              {item.courseName ? ` · ${item.courseName}` : ''}
+            </ThemedText>
+            <ThemedText style={styles.muted}>
+              {WEEKDAY_NAMES[item.weekday]} {item.startTime}–{item.endTime}
+              {item.room ? ` · ${item.room}` : ''}
+            </ThemedText>
+            <ThemedText style={styles.muted}>
+              {item.source === CLASS_SOURCES.PORTAL ? 'From the portal' : 'Added by you'}
+            </ThemedText>
+            <View style={styles.actions}>
+              {item.source === CLASS_SOURCES.MANUAL && (
+                <TouchableOpacity onPress={() => setEditing(item)}>
+                  <ThemedText type="link">Edit</ThemedText>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => handleDelete(item)}>
+                <ThemedText type="link" style={styles.destructive}>
+                  Delete
+                </ThemedText>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      />
+
+      {editing && <ClassDialog initialClass={editing} onSave={handleSave} onCancel={() => setEditing(null)} />}
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  intro: {
+    padding: 16,
+    paddingBottom: 0,
+    gap: 10,
+  },
+  setting: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  minutes: {
+    width: 64,
+    textAlign: 'center',
+  },
+  list: {
+    padding: 16,
+  },
+  item: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+    gap: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 6,
+  },
+  destructive: {
+    color: '#c62828',
+  },
+  muted: {
+    fontSize: 13,
+    color: '#666',
+  },
+  empty: {
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  dialog: {
+    padding: 20,
+    borderRadius: 12,
+    gap: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+  },
+  weekdays: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  weekday: {
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#ccc',
+  },
+  weekdayActive: {
+    borderColor: '#007AFF',
+    backgroundColor: '#007AFF',
+  },
+  weekdayTextActive: {
+    color: 'white',
+  },
+  times: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  time: {
+    flex: 1,
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 24,
+  },
+});
@@ -0,0 +1,99 @@
+import { FlatList, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+export type AccountOption = {
+  key: string;
+  credentialId: string;
+  registeredAt?: number;
+};
+
+type AccountChooserProps = {
+  visible: boolean;
+  accounts: AccountOption[];
+  onSelect: (key: string) => void;
+  onCancel: () => void;
+};
+
+export function AccountChooser({ visible, accounts, onSelect, onCancel }: AccountChooserProps) {
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Choose an account</Text>
+          <Text style={styles.subtitle}>
+            More than one registered account can verify on this page.
+          </Text>
+
+          <FlatList
+            data={accounts}
+            keyExtractor={(item) => item.key}
+            style={styles.list}
+            renderItem={({ item }) => (
+              <TouchableOpacity style={styles.account} onPress={() => onSelect(item.key)}>
+                <Text style={styles.accountName}>{item.key}</Text>
+                <Text style={styles.accountDetail}>
+                  {item.credentialId.substring(0, 16)}…
+                  {item.registeredAt ? `  ·  ${new Date(item.registeredAt).toLocaleDateString()}` : ''}
+                </Text>
+              </TouchableOpacity>
+            )}
+          />
+
+          <TouchableOpacity style={styles.cancel} onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '70%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  account: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  accountName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  accountDetail: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  cancel: {
+    marginTop: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+});
@@ -0,0 +1,57 @@
+import { createContext, type PropsWithChildren, useCallback, useContext, useEffect, useState } from 'react';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import {
+  getActiveEnvironment,
+  loadEnvironment,
+  saveEnvironment,
+  setActiveEnvironment,
+} from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+type Environment = ReturnType<typeof getActiveEnvironment>;
+
+type EnvironmentContextValue = {
+  environment: Environment;
+  switchEnvironment: (environment: Environment) => Promise<void>;
+};
+
+const EnvironmentContext = createContext<EnvironmentContextValue | null>(null);
+
+// Holds rendering until the stored environment is known, so no screen reads
+// storage for the wrong environment on startup
+export function EnvironmentProvider({ children }: PropsWithChildren) {
+  const [environment, setEnvironment] = useState<Environment | null>(null);
+
+  useEffect(() => {
+    loadEnvironment().then((loaded) => {
+      setActiveEnvironment(loaded);
+      setEnvironment(loaded);
+    });
+  }, []);
+
+  const switchEnvironment = useCallback(async (next: Environment) => {
+    await saveEnvironment(next);
+    setActiveEnvironment(next);
+    setEnvironment(next);
+    log.info('Switched environment', { id: next.id, portalUrl: next.portalUrl });
+  }, []);
+
+  if (!environment) return null;
+
+  return (
+    <EnvironmentContext.Provider value={{ environment, switchEnvironment }}>
+      {children}
+    </EnvironmentContext.Provider>
+  );
+}
+
+export function useEnvironment() {
+  const context = useContext(EnvironmentContext);
+  if (!context) {
+    throw new Error('useEnvironment must be used inside EnvironmentProvider');
+  }
+  return context;
+}
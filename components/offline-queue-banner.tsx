@@ -0,0 +1,60 @@
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+
+type QueueEntry = {
+  status: 'pending' | 'synced' | 'conflict' | 'rejected';
+};
+
+type OfflineQueueBannerProps = {
+  queue: QueueEntry[];
+  syncing: boolean;
+  onPress: () => void;
+};
+
+export function OfflineQueueBanner({ queue, syncing, onPress }: OfflineQueueBannerProps) {
+  const pending = queue.filter((entry) => entry.status === 'pending').length;
+  const problems = queue.filter((entry) => entry.status === 'conflict' || entry.status === 'rejected').length;
+
+  if (pending === 0 && problems === 0) return null;
+
+  const parts = [];
+  if (pending > 0) {
+    parts.push(`${pending} attendance mark${pending === 1 ? '' : 's'} ${syncing ? 'syncing…' : 'waiting to sync'}`);
+  }
+  if (problems > 0) {
+    parts.push(`${problems} not accepted`);
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.banner, problems > 0 ? styles.bannerProblem : styles.bannerPending]}
+      onPress={onPress}>
+      <Text style={styles.text}>
+        {problems > 0 ? '⚠️' : '⏳'} {parts.join(' · ')}
+      </Text>
+      <Text style={styles.hint}>Tap for details</Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  bannerPending: {
+    backgroundColor: '#fff3cd',
+  },
+  bannerProblem: {
+    backgroundColor: '#f8d7da',
+  },
+  text: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  hint: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+});
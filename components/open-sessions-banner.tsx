@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { formatDuration, sessionDuration } from '@/lib/attendance-sessions';
+
+export type OpenSession = {
+  id: string;
+  studentId: string;
+  credentialId: string;
+  checkInAt: number;
+  checkOutAt?: number | null;
+  fenceName?: string | null;
+  scheduledEndAt?: number | null;
+};
+
+type OpenSessionsBannerProps = {
+  sessions: OpenSession[];
+  onCheckOut: (session: OpenSession) => void;
+};
+
+const TICK_MS = 60 * 1000;
+
+export function OpenSessionsBanner({ sessions, onCheckOut }: OpenSessionsBannerProps) {
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the time on site current while the banner is shown
+  useEffect(() => {
+    if (sessions.length === 0) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [sessions.length]);
+
+  if (sessions.length === 0) return null;
+
+  return (
+    <View style={styles.banner}>
+      {sessions.map((session) => {
+        const overdue = !!session.scheduledEndAt && now >= session.scheduledEndAt;
+        return (
+          <TouchableOpacity key={session.id} style={styles.session} onPress={() => onCheckOut(session)}>
+            <View style={styles.details}>
+              <Text style={styles.text}>
+                🟢 {session.studentId} checked in at {new Date(session.checkInAt).toLocaleTimeString()}
+              </Text>
+              <Text style={styles.hint}>
+                {formatDuration(sessionDuration(session, now))} on site
+                {session.fenceName ? ` · ${session.fenceName}` : ''}
+                {overdue ? ' · scheduled end passed' : ''}
+              </Text>
+            </View>
+            <Text style={styles.action}>Check out</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    backgroundColor: '#e8f5e9',
+  },
+  session: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  details: {
+    flex: 1,
+  },
+  text: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  hint: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+  action: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+});
@@ -0,0 +1,60 @@
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+type UntrustedPageBannerProps = {
+  url: string | null;
+  onReturn: () => void;
+};
+
+// Shown while the WebView is on a page outside the origin allowlist
+export function UntrustedPageBanner({ url, onReturn }: UntrustedPageBannerProps) {
+  if (!url) return null;
+
+  return (
+    <View style={styles.banner}>
+      <View style={styles.body}>
+        <Text style={styles.text}>⚠️ This page is not part of the attendance portal</Text>
+        <Text style={styles.hint} numberOfLines={1}>
+          {url} · fingerprint attendance is disabled here
+        </Text>
+      </View>
+      <TouchableOpacity style={styles.button} onPress={onReturn}>
+        <Text style={styles.buttonText}>Back to portal</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    backgroundColor: '#f8d7da',
+  },
+  body: {
+    flex: 1,
+    marginRight: 12,
+  },
+  text: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  hint: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+  button: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    backgroundColor: '#721c24',
+  },
+  buttonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
@@ -0,0 +1,42 @@
+/**
+ * How the user must prove they are present before attendance is marked.
+ *
+ *   securityLevel          'strong' accepts only strong (Class 3) biometrics;
+ *                          'weak' any enrolled biometric; 'device_credential'
+ *                          also lets a device with no biometrics use its
+ *                          PIN, pattern or passcode
+ *   allowPasscodeFallback  whether the prompt offers the device passcode when
+ *                          the biometric fails or is locked out; always on for
+ *                          'device_credential'
+ *   maxAttempts            failed prompts in a row before marking is locked
+ *   lockoutMinutes         how long marking stays locked after that
+ *
+ * The portal can push its own policy over the bridge ('biometric.policy');
+ * it is kept per server environment and takes precedence over this.
+ *
+ * Deployments override this by writing the same shape to
+ * BIOMETRIC_POLICY_CONFIG_KEY in AsyncStorage (see lib/biometric-policy.js).
+ */
+export const BIOMETRIC_POLICY_CONFIG_KEY = '@Attendify_Biometric_Policy_Config';
+
+export const SECURITY_LEVELS = {
+  STRONG: 'strong',
+  WEAK: 'weak',
+  DEVICE_CREDENTIAL: 'device_credential'
+};
+
+// How a prompt was passed, as stored on verification records
+export const AUTH_METHODS = {
+  FINGERPRINT: 'fingerprint',
+  FACE: 'face',
+  IRIS: 'iris',
+  BIOMETRIC: 'biometric',
+  PASSCODE: 'passcode'
+};
+
+export const DEFAULT_BIOMETRIC_POLICY = {
+  securityLevel: SECURITY_LEVELS.WEAK,
+  allowPasscodeFallback: true,
+  maxAttempts: 5,
+  lockoutMinutes: 15
+};
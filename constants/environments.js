@@ -0,0 +1,30 @@
+/**
+ * Server environments the app can point at.
+ *
+ * The selected environment is stored under ENVIRONMENT_KEY as
+ * { id, customUrl } (see lib/environment.js). Production keeps the original,
+ * unscoped storage keys; every other environment gets its own copy of the
+ * credential, verification record and offline queue storage so test
+ * registrations never mix with real ones.
+ *
+ * Deep link: attendify://settings?environment=staging
+ *            attendify://settings?environment=custom&url=https://portal.example.edu/
+ * Custom URLs must be https, except on localhost and in development builds.
+ */
+export const ENVIRONMENT_KEY = '@Attendify_Environment';
+
+export const PRODUCTION_ENVIRONMENT_ID = 'production';
+export const CUSTOM_ENVIRONMENT_ID = 'custom';
+
+export const ENVIRONMENTS = {
+  production: {
+    id: PRODUCTION_ENVIRONMENT_ID,
+    name: 'Production',
+    portalUrl: 'https://attendify.alhawaijtech.com/'
+  },
+  staging: {
+    id: 'staging',
+    name: 'Staging',
+    portalUrl: 'https://staging.attendify.alhawaijtech.com/'
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Default geofence configuration for attendance marking.
+ *
+ * Deployments override this by writing the same shape to
+ * GEOFENCE_CONFIG_KEY in AsyncStorage (see lib/geofence.js).
+ *
+ * Fence shapes:
+ *   { id, name, campus, room, type: 'circle', center: { latitude, longitude }, radius }
+ *   { id, name, campus, room, type: 'polygon', points: [{ latitude, longitude }, ...] }
+ *
+ * All distances are in meters. `accuracyTolerance` (per fence, or the
+ * config-wide default) is the largest GPS error that may be credited
+ * towards being inside a fence; fixes less accurate than `maxAccuracy`
+ * are rejected outright.
+ */
+export const GEOFENCE_CONFIG_KEY = '@Attendify_Geofences';
+
+export const DEFAULT_GEOFENCE_CONFIG = {
+  enabled: true,
+  maxAccuracy: 100,
+  accuracyTolerance: 30,
+  fences: []
+};
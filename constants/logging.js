@@ -0,0 +1,36 @@
+/**
+ * What the app log keeps.
+ *
+ *   minLevel     entries below this level are dropped ('debug' | 'info' |
+ *                'warn' | 'error')
+ *   maxEntries   size of the log ring buffer; the oldest entries are
+ *                overwritten first
+ *
+ * The log is sent with a diagnostics bundle (see lib/diagnostics-bundle.js),
+ * so it only ever holds redacted values (see lib/logger.js).
+ *
+ * Deployments override this by writing the same shape to LOG_CONFIG_KEY in
+ * AsyncStorage (see lib/logger.js).
+ */
+export const LOG_CONFIG_KEY = '@Attendify_Log_Config';
+
+export const LOG_LEVELS = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error'
+};
+
+export const LOG_CATEGORIES = {
+  APP: 'app',
+  BRIDGE: 'bridge',
+  LOCATION: 'location',
+  BIOMETRIC: 'biometric',
+  STORAGE: 'storage',
+  WEBVIEW: 'webview'
+};
+
+export const DEFAULT_LOG_CONFIG = {
+  minLevel: LOG_LEVELS.INFO,
+  maxEntries: 500
+};
@@ -0,0 +1,16 @@
+/**
+ * Origins the WebView may browse and accept bridge requests from.
+ *
+ * Deployments override this by writing the same shape to
+ * ORIGIN_POLICY_KEY in AsyncStorage (see lib/origin-policy.js).
+ *
+ * Entries are origins (`scheme://host[:port]`, no path). A leading `*.` in
+ * the host matches any subdomain, e.g. `https://*.alhawaijtech.com`; it does
+ * not match the bare domain itself. Top-frame navigations to any other web
+ * origin are opened in the system browser instead of the WebView.
+ */
+export const ORIGIN_POLICY_KEY = '@Attendify_Origin_Policy';
+
+export const DEFAULT_ORIGIN_POLICY = {
+  allowedOrigins: ['https://attendify.alhawaijtech.com']
+};
@@ -0,0 +1,27 @@
+/**
+ * How the WebView decides that a credentials.get call is an attendance
+ * verification (and should go to the mobile authenticator).
+ *
+ * Contract for the web app — any one of these marks the request:
+ *
+ *   <meta name="attendify-intent" content="attendance-verification">
+ *   <form data-attendify-intent="attendance-verification"> (any element)
+ *   navigator.credentials.get({ publicKey: { …, extensions: {
+ *     attendify: { intent: 'attendance-verification' } } } })
+ *
+ * A page that declares any other intent (e.g. content="none") is never
+ * treated as attendance, whatever its text says. Only pages that declare
+ * nothing fall back to the keyword heuristic, which matches the visible page
+ * text case-insensitively and can be switched off.
+ *
+ * Deployments override the fallback by writing the same shape to
+ * PAGE_DETECTION_CONFIG_KEY in AsyncStorage (see lib/page-detection.js).
+ */
+export const PAGE_DETECTION_CONFIG_KEY = '@Attendify_Page_Detection';
+
+export const ATTENDANCE_INTENT = 'attendance-verification';
+
+export const DEFAULT_PAGE_DETECTION_CONFIG = {
+  keywordFallback: true,
+  keywords: ['attendance', 'verify', 'fingerprint']
+};
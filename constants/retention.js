@@ -0,0 +1,28 @@
+/**
+ * How many verification records stay in the live log.
+ *
+ *   mode        'count' keeps the newest `maxRecords`; 'age' keeps records
+ *               newer than `maxAgeDays`
+ *
+ * Records past the policy are not deleted: they roll into compressed monthly
+ * archives (see lib/record-archive.js), which the history screen still
+ * searches and the audit log check still covers. The live log never holds
+ * more than MAX_LIVE_RECORDS, whatever the policy, to keep reads fast.
+ *
+ * Deployments override this by writing the same shape to RETENTION_CONFIG_KEY
+ * in AsyncStorage (see lib/verification-records.js).
+ */
+export const RETENTION_CONFIG_KEY = '@Attendify_Retention_Config';
+
+export const RETENTION_MODES = {
+  COUNT: 'count',
+  AGE: 'age'
+};
+
+export const MAX_LIVE_RECORDS = 1000;
+
+export const DEFAULT_RETENTION_CONFIG = {
+  mode: RETENTION_MODES.COUNT,
+  maxRecords: 200,
+  maxAgeDays: 90
+};
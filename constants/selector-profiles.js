@@ -0,0 +1,38 @@
+/**
+ * DOM selector profiles for auto-fill and auto-submit on the portal pages.
+ *
+ * Each institution's deployment of the portal has its own markup, so the
+ * elements the WebView touches after a verification or registration are
+ * looked up through the profile for the page's host:
+ *
+ *   studentIdField     Input(s) holding the student ID (first non-empty wins)
+ *   credentialField    Input(s) that receive the credential ID
+ *   verifyButton       Button clicked to complete the verification
+ *   submitForm         Form(s) submitted after the verification
+ *   submitFormKeywords Only submit forms whose markup contains one of these
+ *                      words (empty: submit every matching form)
+ *   registrationField  Input(s) that receive a newly registered credential ID
+ *   registrationForm   Form(s) submitted after a registration (empty: the
+ *                      forms the registration fields belong to)
+ *
+ * `hosts` lists exact hostnames or `*.domain` wildcards (subdomains only).
+ * Profiles are tried in order; the default profile, which reproduces the
+ * original hard-coded behaviour, applies when none matches.
+ *
+ * Deployments add profiles by writing an array of them to
+ * SELECTOR_PROFILES_KEY in AsyncStorage (see lib/selector-profiles.js).
+ */
+export const SELECTOR_PROFILES_KEY = '@Attendify_Selector_Profiles';
+
+export const DEFAULT_SELECTOR_PROFILE = {
+  id: 'default',
+  name: 'Attendify portal (default)',
+  hosts: [],
+  studentIdField: '#studentId, input[name="student_id"], input[name="studentId"]',
+  credentialField: 'input[name*="fingerprint" i], input[name*="credential" i], input[name*="attestation" i]',
+  verifyButton: '#verifyFingerprintBtn',
+  submitForm: 'form',
+  submitFormKeywords: ['verify', 'attendance'],
+  registrationField: 'input[name*="fingerprint" i]',
+  registrationForm: ''
+};
@@ -0,0 +1,32 @@
+/**
+ * Signed classroom session tokens.
+ *
+ * The teacher's screen shows a rotating QR code holding a compact JWS signed
+ * with ES256 (ECDSA P-256 / SHA-256) by the portal:
+ *
+ *   base64url(header) . base64url(claims) . base64url(signature)
+ *   header: { alg: 'ES256', kid, typ: 'attendify-session' }
+ *   claims: { course, room, iat, exp, nonce }
+ *
+ * iat and exp are epoch seconds; the signature is the raw 64-byte r || s.
+ * Public keys come from the environment's attendance API (see
+ * lib/attendance-api.js) and are cached on the device, so tokens can be
+ * checked before the API is reached.
+ *
+ * The app refuses tokens with an unknown key or bad signature, tokens past
+ * exp (allowing `clockSkewSeconds`), and tokens whose nonce this device has
+ * already submitted. A scanned token is sent with the attendance submission
+ * and kept in the verification record.
+ *
+ *   required          Mark attendance / check in only after scanning a token
+ *   clockSkewSeconds  Tolerance for the device clock when checking iat / exp
+ *
+ * Deployments override this by writing the same shape to
+ * SESSION_TOKEN_CONFIG_KEY in AsyncStorage (see lib/session-tokens.js).
+ */
+export const SESSION_TOKEN_CONFIG_KEY = '@Attendify_Session_Token_Config';
+
+export const DEFAULT_SESSION_TOKEN_CONFIG = {
+  required: false,
+  clockSkewSeconds: 30
+};
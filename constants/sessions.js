@@ -0,0 +1,27 @@
+/**
+ * Check-in / check-out settings.
+ *
+ * In the default `single` mode each verification is one attendance mark.
+ * In `check_in_out` mode a verification checks the student in and opens a
+ * session, which stays open until they check out in the app:
+ *
+ *   scheduledEnd          Local time (HH:MM) sessions are expected to end;
+ *                         null for none. Check-ins after it get no end.
+ *   promptOnGeofenceExit  Ask to check out when the device leaves the
+ *                         configured geofences (see constants/geofences.js)
+ *
+ * Deployments override this by writing the same shape to SESSION_CONFIG_KEY
+ * in AsyncStorage (see lib/attendance-sessions.js).
+ */
+export const SESSION_CONFIG_KEY = '@Attendify_Session_Config';
+
+export const ATTENDANCE_MODES = {
+  SINGLE: 'single',
+  CHECK_IN_OUT: 'check_in_out'
+};
+
+export const DEFAULT_SESSION_CONFIG = {
+  mode: ATTENDANCE_MODES.SINGLE,
+  scheduledEnd: '17:00',
+  promptOnGeofenceExit: true
+};
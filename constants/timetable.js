@@ -0,0 +1,36 @@
+/**
+ * Class timetable and reminder settings.
+ *
+ * Classes repeat weekly:
+ *   { id, courseCode, courseName, room, weekday, startTime, endTime, source }
+ * weekday is 0 (Sunday) to 6; times are local HH:MM; source is 'portal' or
+ * 'manual'.
+ *
+ * Contract for the web app — the portal fills in the timetable through the
+ * bridge (see lib/bridge.js), replacing any classes it sent before:
+ *
+ *   window.AttendifyBridge.request('timetable.sync', { classes: [
+ *     { id: 'cs101-mon', courseCode: 'CS101', courseName: 'Programming I',
+ *       room: 'B-204', weekday: 1, startTime: '09:00', endTime: '10:30' }
+ *   ] })
+ *
+ * Classes entered by hand are kept. A reminder is scheduled
+ * `reminderLeadMinutes` before each class; tapping it opens the attendance
+ * screen for that class.
+ *
+ * Deployments override the reminder settings by writing the same shape to
+ * TIMETABLE_CONFIG_KEY in AsyncStorage (see lib/timetable.js).
+ */
+export const TIMETABLE_CONFIG_KEY = '@Attendify_Timetable_Config';
+
+export const CLASS_SOURCES = {
+  PORTAL: 'portal',
+  MANUAL: 'manual'
+};
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DEFAULT_TIMETABLE_CONFIG = {
+  remindersEnabled: true,
+  reminderLeadMinutes: 10
+};
@@ -0,0 +1,152 @@
+/**
+ * Client for the portal's attendance REST API, used by the native
+ * "Mark attendance" screen when the web UI cannot be used.
+ *
+ * All paths are relative to the active environment's origin and exchange
+ * JSON. Errors are any non-2xx reply with a body of { error, message }.
+ *
+ *   POST /api/attendance/challenge
+ *     { studentId, credentialId, action }
+ *     action: 'mark' (default) | 'check_in' | 'check_out'
+ *     → 200 { challengeId, challenge, rpId, expiresAt }
+ *     challenge is base64url; expiresAt is epoch milliseconds.
+ *
+ *   POST /api/attendance/verify
+ *     { challengeId, studentId, credentialId, action, assertion, location, locationIntegrity, sessionToken?, auditHead }
+ *     assertion: { id, rawId, authenticatorData, clientDataJSON, signature, userHandle }
+ *     locationIntegrity: { verdict, allowed, reasons }, sent even when
+ *       location is null (see lib/location-integrity.js)
+ *     sessionToken: classroom QR token (see constants/session-tokens.js)
+ *     auditHead: { seq, hash } of the device's audit log before this
+ *       attempt, null while it is empty (see lib/verification-records.js)
+ *     → 201 { attendanceId, status }
+ *     Errors: 404 unknown_challenge, 410 challenge_expired,
+ *             409 challenge_used, 401 invalid_assertion,
+ *             401 invalid_session_token, 410 session_token_expired,
+ *             409 session_token_used
+ *
+ *   GET /api/attendance/session-keys
+ *     → 200 { keys: [{ kid, publicKey }] }
+ *     publicKey is the base64url uncompressed P-256 point that verifies
+ *     session tokens signed with that kid.
+ *
+ *   POST /api/attendance/offline
+ *     Idempotency-Key: <event.idempotencyKey>
+ *     { event, assertion }
+ *     event: { idempotencyKey, type, studentId, credentialId, capturedAt,
+ *       location, locationIntegrity, geofence, auditHead } as captured
+ *       offline (see lib/offline-queue.js)
+ *     assertion: as for /verify, over the base64url SHA-256 of the event's
+ *       JSON instead of a server challenge
+ *     → 201 { status: 'recorded' }
+ *     The key is the same on every replay of an event; a key the server
+ *     already recorded is answered 409 and the device stops replaying it.
+ *     Errors: 400 invalid_request, 409 duplicate
+ *
+ *   GET /api/attendance/:attendanceId
+ *     → 200 { attendanceId, studentId, action, status, markedAt, message, course, room }
+ *     status: 'recorded' | 'pending_review' | 'rejected'
+ *     course and room come from the session token, null without one
+ *
+ * scripts/mock-attendance-server.js implements this contract for trying the
+ * app locally (`npm run mock-server`, then point a custom environment at it).
+ */
+export const ATTENDANCE_API = {
+  CHALLENGE: '/api/attendance/challenge',
+  VERIFY: '/api/attendance/verify',
+  SESSION_KEYS: '/api/attendance/session-keys',
+  RESULT: '/api/attendance/'
+};
+
+export const ATTENDANCE_ACTIONS = {
+  MARK: 'mark',
+  CHECK_IN: 'check_in',
+  CHECK_OUT: 'check_out'
+};
+
+export const ATTENDANCE_STATUS = {
+  RECORDED: 'recorded',
+  PENDING_REVIEW: 'pending_review',
+  REJECTED: 'rejected'
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+export class AttendanceApiError extends Error {
+  /**
+   * @param {number|null} status - HTTP status, null when the server was not reached
+   * @param {string} code - Server error code, or 'network_error'
+   * @param {string} message
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AttendanceApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const request = async (origin, path, { method = 'GET', body } = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${origin}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json', Accept: 'application/json' } : { Accept: 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch (error) {
+    throw new AttendanceApiError(null, 'network_error', error.name === 'AbortError' ? 'The server did not respond in time' : error.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch {
+    // Non-JSON replies only carry the status
+  }
+
+  if (!response.ok) {
+    throw new AttendanceApiError(
+      response.status,
+      payload?.error || 'http_error',
+      payload?.message || `Server returned ${response.status}`
+    );
+  }
+  return payload;
+};
+
+/**
+ * @param {string} origin - Environment origin
+ * @param {{ studentId: string, credentialId: string, action?: string }} params
+ * @returns {Promise<{ challengeId: string, challenge: string, rpId: string, expiresAt: number }>}
+ */
+export const fetchAttendanceChallenge = (origin, { studentId, credentialId, action = ATTENDANCE_ACTIONS.MARK }) =>
+  request(origin, ATTENDANCE_API.CHALLENGE, { method: 'POST', body: { studentId, credentialId, action } });
+
+/**
+ * @param {string} origin - Environment origin
+ * @param {{ challengeId: string, studentId: string, credentialId: string, action?: string, assertion: object, location: object|null, locationIntegrity: object, sessionToken?: string, auditHead: { seq: number, hash: string }|null }} submission
+ * @returns {Promise<{ attendanceId: string, status: string }>}
+ */
+export const submitAttendanceAssertion = (origin, submission) =>
+  request(origin, ATTENDANCE_API.VERIFY, { method: 'POST', body: submission });
+
+/**
+ * @param {string} origin - Environment origin
+ * @param {string} attendanceId
+ * @returns {Promise<{ attendanceId: string, studentId: string, action: string, status: string, markedAt: number, message?: string, course?: string|null, room?: string|null }>}
+ */
+export const fetchAttendanceResult = (origin, attendanceId) =>
+  request(origin, `${ATTENDANCE_API.RESULT}${encodeURIComponent(attendanceId)}`);
+
+/**
+ * @param {string} origin - Environment origin
+ * @returns {Promise<{ keys: { kid: string, publicKey: string }[] }>}
+ */
+export const fetchSessionKeys = (origin) => request(origin, ATTENDANCE_API.SESSION_KEYS);
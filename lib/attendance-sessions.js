@@ -0,0 +1,227 @@
+/**
+ * Check-in / check-out sessions (see constants/sessions.js).
+ *
+ * A session is opened by a check-in and closed by a check-out, which records
+ * the time on site. Only one session per student can be open at a time.
+ * Stored per server environment (see lib/environment.js).
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_SESSION_CONFIG, SESSION_CONFIG_KEY } from '@/constants/sessions';
+import { environmentKey } from '@/lib/environment';
+import { evaluateGeofences } from '@/lib/geofence';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+export const ATTENDANCE_SESSIONS_KEY = '@Attendify_Attendance_Sessions';
+
+// Why the user is asked to check out
+export const CHECK_OUT_REASONS = {
+  USER: 'user',
+  LEFT_GEOFENCE: 'left_geofence',
+  SCHEDULED_END: 'scheduled_end'
+};
+
+// Closed sessions kept on the device; open ones are never dropped
+const MAX_CLOSED_SESSIONS = 50;
+
+/**
+ * @typedef {object} AttendanceSession
+ * @property {string} id
+ * @property {string} studentId - Account key of the credential that checked in
+ * @property {string} credentialId
+ * @property {number} checkInAt - Epoch ms
+ * @property {object|null} checkInLocation
+ * @property {string|null} fenceName - Fence the check-in was inside
+ * @property {number|null} scheduledEndAt - Epoch ms
+ * @property {string} source
+ * @property {number|null} checkOutAt - Epoch ms; null while open
+ * @property {object|null} checkOutLocation
+ * @property {string|null} checkOutReason - One of CHECK_OUT_REASONS
+ * @property {number|null} durationMs - Time on site, set at check-out
+ * @property {string[]} promptedReasons - Check-out prompts already shown
+ */
+
+export class SessionStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionStateError';
+  }
+}
+
+// ========== CONFIG ==========
+export const loadSessionConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(SESSION_CONFIG_KEY);
+    return configJson
+      ? { ...DEFAULT_SESSION_CONFIG, ...JSON.parse(configJson) }
+      : DEFAULT_SESSION_CONFIG;
+  } catch (error) {
+    log.error('Error loading session config, using defaults', error);
+    return DEFAULT_SESSION_CONFIG;
+  }
+};
+
+export const saveSessionConfig = async (config) => {
+  await AsyncStorage.setItem(SESSION_CONFIG_KEY, JSON.stringify(config));
+};
+
+// ========== STORAGE ==========
+export const loadSessions = async () => {
+  try {
+    return await readJson(environmentKey(ATTENDANCE_SESSIONS_KEY), [], Array.isArray);
+  } catch (error) {
+    log.error('Error loading attendance sessions', error);
+    return [];
+  }
+};
+
+const saveSessions = async (sessions) => {
+  const open = sessions.filter(session => !session.checkOutAt);
+  const closed = sessions.filter(session => session.checkOutAt).slice(-MAX_CLOSED_SESSIONS);
+  await writeJson(environmentKey(ATTENDANCE_SESSIONS_KEY), [...closed, ...open]);
+};
+
+export const openSessions = (sessions) => sessions.filter(session => !session.checkOutAt);
+
+export const findOpenSession = (sessions, studentId) =>
+  sessions.find(session => !session.checkOutAt && session.studentId === studentId) || null;
+
+// ========== DURATION ==========
+export const sessionDuration = (session, now = Date.now()) => (session.checkOutAt ?? now) - session.checkInAt;
+
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+/**
+ * Today's scheduled end for a check-in, or null when there is none or the
+ * check-in is already past it.
+ *
+ * @param {number} checkInAt - Epoch ms
+ * @param {string|null} scheduledEnd - Local time as HH:MM
+ * @returns {number|null}
+ */
+export const scheduledEndFor = (checkInAt, scheduledEnd) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(scheduledEnd || '');
+  if (!match) return null;
+
+  const end = new Date(checkInAt);
+  end.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return end.getTime() > checkInAt ? end.getTime() : null;
+};
+
+// ========== CHECK IN / OUT ==========
+/**
+ * Opens a session. Throws a SessionStateError if the student is already checked in.
+ *
+ * @param {object} checkIn
+ * @param {string} checkIn.studentId
+ * @param {string} checkIn.credentialId
+ * @param {object|null} checkIn.location
+ * @param {object|null} checkIn.geofence - Decision from evaluateGeofences
+ * @param {string} checkIn.source
+ * @param {number|null} [checkIn.scheduledEndAt]
+ * @returns {Promise<AttendanceSession>} The new session
+ */
+export const checkIn = async ({ studentId, credentialId, location, geofence, source, scheduledEndAt = null }) => {
+  const sessions = await loadSessions();
+  if (findOpenSession(sessions, studentId)) {
+    throw new SessionStateError(`${studentId} is already checked in`);
+  }
+
+  const session = {
+    id: Crypto.randomUUID(),
+    studentId,
+    credentialId,
+    checkInAt: Date.now(),
+    checkInLocation: location,
+    fenceName: geofence?.fenceName ?? null,
+    scheduledEndAt,
+    source,
+    checkOutAt: null,
+    checkOutLocation: null,
+    checkOutReason: null,
+    durationMs: null,
+    promptedReasons: []
+  };
+
+  await saveSessions([...sessions, session]);
+  log.info('Checked in', { studentId });
+  return session;
+};
+
+/**
+ * Closes an open session and works out the time on site.
+ * Throws a SessionStateError if the session is not open.
+ *
+ * @returns {Promise<AttendanceSession>} The closed session
+ */
+export const checkOut = async (sessionId, { location, reason = CHECK_OUT_REASONS.USER }) => {
+  const sessions = await loadSessions();
+  const session = sessions.find(candidate => candidate.id === sessionId);
+  if (!session || session.checkOutAt) {
+    throw new SessionStateError('This session is not open');
+  }
+
+  const checkOutAt = Date.now();
+  const closed = {
+    ...session,
+    checkOutAt,
+    checkOutLocation: location,
+    checkOutReason: reason,
+    durationMs: checkOutAt - session.checkInAt
+  };
+
+  await saveSessions(sessions.map(candidate => (candidate.id === sessionId ? closed : candidate)));
+  log.info('Checked out', { studentId: session.studentId, duration: formatDuration(closed.durationMs), reason: closed.checkOutReason });
+  return closed;
+};
+
+// ========== CHECK-OUT PROMPTS ==========
+/**
+ * Open sessions the user should be asked to check out of, each with the
+ * reason. A reason is only returned once per session (see markPrompted).
+ *
+ * @param {object[]} sessions
+ * @param {object} context
+ * @param {object|null} [context.location] - Latest fix, if being watched
+ * @param {object} context.geofenceConfig
+ * @param {object} context.sessionConfig
+ * @param {number} [context.now]
+ * @returns {{ session: object, reason: string }[]}
+ */
+export const pendingCheckOutPrompts = (sessions, { location = null, geofenceConfig, sessionConfig, now = Date.now() }) => {
+  // Only a fix precise enough to place outside a fence counts as leaving
+  const decision = location && sessionConfig.promptOnGeofenceExit && geofenceConfig.enabled && geofenceConfig.fences?.length
+    ? evaluateGeofences(location, geofenceConfig)
+    : null;
+  const leftGeofence = Boolean(decision && !decision.allowed && decision.distance !== null);
+
+  return openSessions(sessions).flatMap(session => {
+    const prompted = session.promptedReasons || [];
+    if (leftGeofence && !prompted.includes(CHECK_OUT_REASONS.LEFT_GEOFENCE)) {
+      return [{ session, reason: CHECK_OUT_REASONS.LEFT_GEOFENCE }];
+    }
+    if (session.scheduledEndAt && now >= session.scheduledEndAt && !prompted.includes(CHECK_OUT_REASONS.SCHEDULED_END)) {
+      return [{ session, reason: CHECK_OUT_REASONS.SCHEDULED_END }];
+    }
+    return [];
+  });
+};
+
+export const markPrompted = async (sessionId, reason) => {
+  const sessions = await loadSessions();
+  await saveSessions(sessions.map(session =>
+    session.id === sessionId
+      ? { ...session, promptedReasons: [...(session.promptedReasons || []), reason] }
+      : session
+  ));
+};
@@ -0,0 +1,326 @@
+/**
+ * Attendance steps shared by the portal bridge, offline capture and the
+ * native attendance screen: location, integrity and geofence checks,
+ * credential choice and assertion signing. The prompt itself is
+ * verifyUserPresence (see lib/biometric-policy.js).
+ */
+import * as Location from 'expo-location';
+import { Alert, Platform } from 'react-native';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { findOpenSession, loadSessions } from '@/lib/attendance-sessions';
+import { verifyUserPresence } from '@/lib/biometric-policy';
+import {
+  isVaultUnlocked,
+  loadVaultCredentials,
+  saveVaultCredentials,
+  unlockVault,
+  VaultLockedError
+} from '@/lib/credential-vault';
+import { findMatchingCredentials, pickDefaultMatch } from '@/lib/credentials';
+import { evaluateGeofences, loadGeofenceConfig } from '@/lib/geofence';
+import { assessLocationIntegrity, DEFAULT_INTEGRITY_POLICY } from '@/lib/location-integrity';
+import { createLogger } from '@/lib/logger';
+import { loadVerificationRecords, saveVerificationRecord } from '@/lib/verification-records';
+import { getAssertion } from '@/lib/webauthn';
+
+const locationLog = createLogger(LOG_CATEGORIES.LOCATION);
+const biometricLog = createLogger(LOG_CATEGORIES.BIOMETRIC);
+const storageLog = createLogger(LOG_CATEGORIES.STORAGE);
+
+// Marking was refused (or cancelled); any explanation has already been shown
+export class AttendanceBlockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttendanceBlockedError';
+  }
+}
+
+// ========== LOCATION ==========
+// Keep the fix's own timestamp and mock flag so integrity checks can use them
+export const toLocationData = (location, source) => ({
+  latitude: location.coords.latitude,
+  longitude: location.coords.longitude,
+  accuracy: location.coords.accuracy,
+  source,
+  mocked: location.mocked === true,
+  timestamp: location.timestamp,
+  acquiredAt: Date.now()
+});
+
+export const getOptimizedLocation = async () => {
+  try {
+    locationLog.debug('Requesting location');
+
+    const { status } = await Location.requestForegroundPermissionsAsync();
+
+    if (status !== 'granted') {
+      locationLog.warn('Location permission denied', { status });
+      return null;
+    }
+
+    // For Android: Try to minimize network location usage
+    if (Platform.OS === 'android') {
+      // 1. First try last known location (fastest, no network)
+      const lastLocation = await Location.getLastKnownPositionAsync({
+        maxAge: DEFAULT_INTEGRITY_POLICY.maxFixAgeMs,
+        requiredAccuracy: DEFAULT_INTEGRITY_POLICY.maxAccuracy
+      });
+
+      if (lastLocation) {
+        locationLog.info('Using last known location');
+        return toLocationData(lastLocation, 'cached');
+      }
+
+      // 2. Try GPS only
+      try {
+        const gpsLocation = await Location.getCurrentPositionAsync({
+          accuracy: Location.Accuracy.High, // GPS only
+          timeout: 5000,
+          maximumAge: 30000
+        });
+
+        locationLog.info('GPS location acquired');
+        return toLocationData(gpsLocation, 'gps');
+      } catch (gpsError) {
+        locationLog.warn('GPS failed, trying low accuracy network', gpsError);
+      }
+    }
+
+    // 3. Fallback (the only path on iOS): a fix the integrity policy can accept
+    const location = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.Balanced,
+      timeout: 5000,
+      maximumAge: DEFAULT_INTEGRITY_POLICY.maxFixAgeMs
+    });
+
+    locationLog.info('Location acquired (network)');
+    return toLocationData(location, 'network');
+
+  } catch (error) {
+    locationLog.error('Location error', error);
+    return null;
+  }
+};
+
+// ========== CREDENTIALS ==========
+// Credentials live in the encrypted vault; reading them needs a biometric unlock
+export const readCredentials = async () => {
+  await unlockVault();
+  return loadVaultCredentials();
+};
+
+/**
+ * verifyUserPresence, except that a locked vault is unlocked by the same
+ * prompt instead of asking twice.
+ *
+ * @param {string} promptMessage
+ * @returns {Promise<{ success: boolean, method?: string, error?: string }|null>} As verifyUserPresence
+ */
+export const verifyAndUnlock = async (promptMessage) => {
+  if (isVaultUnlocked()) return verifyUserPresence(promptMessage);
+  try {
+    return await unlockVault(promptMessage);
+  } catch (error) {
+    if (error instanceof VaultLockedError) return error.verification;
+    throw error;
+  }
+};
+
+export const updateCredential = async (userId, changes) => {
+  try {
+    // Read through to storage so counters never go backwards on stale state
+    const credentials = await readCredentials();
+
+    if (!credentials[userId]) {
+      throw new Error(`No stored credential for user: ${userId}`);
+    }
+
+    const updatedCredentials = {
+      ...credentials,
+      [userId]: { ...credentials[userId], ...changes }
+    };
+
+    await saveVaultCredentials(updatedCredentials);
+
+    return updatedCredentials[userId];
+  } catch (error) {
+    storageLog.error('Error updating credential', error);
+    throw error;
+  }
+};
+
+// Signs an assertion and persists the new signCount before it is sent anywhere.
+// `data.origin` must come from the app (the WebView's URL or the environment),
+// never from what a page says about itself.
+export const signAssertion = async (userId, data) => {
+  const credentials = await readCredentials();
+
+  const { signCount, response } = await getAssertion({
+    credential: credentials[userId],
+    origin: data.origin,
+    challenge: data.challenge,
+    rpId: data.rpId
+  });
+
+  await updateCredential(userId, { signCount, lastUsedAt: Date.now() });
+  biometricLog.info('Signed assertion', { signCount });
+
+  return { response, signCount };
+};
+
+// ========== CHECKS ==========
+/**
+ * Location, integrity, geofence and credential checks shared by every
+ * attendance path. Throws an AttendanceBlockedError (after telling the user)
+ * when marking is blocked.
+ *
+ * @param {{ studentId?: string|null, rpId?: string, allowCredentials?: string[] }} data
+ * @param {object} options
+ * @param {(matches: Array) => Promise<string|null>} options.chooseAccount - Asks the user when several credentials match
+ * @param {string} [options.source] - Recorded on failure records
+ * @param {boolean} [options.enforceLocation] - False records the integrity and
+ *   geofence results without blocking (a check-out may happen off site)
+ * @param {string} [options.promptMessage] - Shown if the vault has to be unlocked
+ * @returns {Promise<{ locationData: object|null, locationIntegrity: object, geofenceDecision: object, credentialKey: string, credentialId: string, verification: { success: boolean, method?: string, error?: string }|null }>}
+ *   `verification` is the unlock prompt's result when the vault was locked,
+ *   so callers need not prompt again; null when it was already unlocked
+ *   `locationIntegrity` is the verdict even without a fix; with one it is
+ *   also `locationData.integrity`
+ */
+export const prepareAttendance = async (data, {
+  chooseAccount,
+  source = 'mobile_biometric',
+  enforceLocation = true,
+  promptMessage = 'Verify fingerprint to mark attendance'
+}) => {
+  // 1. Get location first (before any network operations)
+  let locationData = null;
+  try {
+    locationData = await getOptimizedLocation();
+
+    if (locationData) {
+      locationLog.info('Location obtained', {
+        latitude: locationData.latitude,
+        longitude: locationData.longitude,
+        accuracy: locationData.accuracy,
+        source: locationData.source
+      });
+    } else {
+      locationLog.warn('Could not get location');
+    }
+  } catch (locationError) {
+    locationLog.warn('Location error, continuing without it', locationError);
+    // Continue without location; the integrity check blocks it when enforcing
+  }
+
+  // 2. Check the fix is genuine, fresh and precise enough
+  const integrity = assessLocationIntegrity(locationData, await loadVerificationRecords());
+  locationLog.info('Location integrity', { verdict: integrity.verdict, reasons: integrity.reasons });
+
+  if (locationData) {
+    locationData.integrity = integrity;
+  }
+
+  if (enforceLocation && !integrity.allowed) {
+    const reason = integrity.reasons.join('\n');
+    Alert.alert('Location Not Accepted', reason);
+    await saveVerificationRecord({
+      type: 'attendance_marking',
+      studentId: data.studentId || 'unknown',
+      timestamp: Date.now(),
+      success: false,
+      error: 'Location integrity check failed',
+      location: locationData,
+      locationIntegrity: integrity,
+      source
+    });
+    throw new AttendanceBlockedError('Location integrity check failed');
+  }
+
+  // 3. Check the fix against the configured geofences
+  const geofenceDecision = evaluateGeofences(locationData, await loadGeofenceConfig());
+  locationLog.info('Geofence decision', { allowed: geofenceDecision.allowed, reason: geofenceDecision.reason });
+
+  if (enforceLocation && !geofenceDecision.allowed) {
+    Alert.alert('Outside Attendance Area', geofenceDecision.reason);
+    await saveVerificationRecord({
+      type: 'attendance_marking',
+      studentId: data.studentId || 'unknown',
+      timestamp: Date.now(),
+      success: false,
+      error: 'Outside geofence',
+      location: locationData,
+      locationIntegrity: integrity,
+      geofence: geofenceDecision,
+      source
+    });
+    throw new AttendanceBlockedError(geofenceDecision.reason);
+  }
+
+  // 4. Pick the credential that answers this request
+  let credentials;
+  let verification;
+  try {
+    verification = await unlockVault(promptMessage);
+    credentials = await loadVaultCredentials();
+  } catch (error) {
+    if (error instanceof VaultLockedError) {
+      throw new AttendanceBlockedError('Credential vault is locked');
+    }
+    throw error;
+  }
+
+  const matches = findMatchingCredentials(credentials, {
+    allowCredentials: data.allowCredentials,
+    studentId: data.studentId,
+    rpId: data.rpId
+  });
+
+  if (matches.length === 0) {
+    biometricLog.warn('No registered credential matches this request', { rpId: data.rpId, allowCredentials: data.allowCredentials });
+    Alert.alert('No Matching Account', 'This device has no registered fingerprint for this account. Please register first.');
+    await saveVerificationRecord({
+      type: 'attendance_marking',
+      studentId: data.studentId || 'unknown',
+      timestamp: Date.now(),
+      success: false,
+      error: 'No matching credential',
+      source
+    });
+    throw new AttendanceBlockedError('No registered credential matches this request');
+  }
+
+  // The default credential answers without asking; otherwise the user picks
+  const credentialKey = pickDefaultMatch(matches) ?? await chooseAccount(matches);
+
+  if (!credentialKey) {
+    throw new AttendanceBlockedError('Account selection cancelled');
+  }
+
+  const credentialId = credentials[credentialKey].id;
+  biometricLog.info('Using stored credential', { credentialId });
+
+  return { locationData, locationIntegrity: integrity, geofenceDecision, credentialKey, credentialId, verification };
+};
+
+// Blocks a second check-in while the student still has an open session
+export const assertCanCheckIn = async (studentId, { source = 'mobile_biometric' } = {}) => {
+  const open = findOpenSession(await loadSessions(), studentId);
+  if (!open) return;
+
+  Alert.alert(
+    'Already Checked In',
+    `You checked in at ${new Date(open.checkInAt).toLocaleTimeString()}. Check out before checking in again.`
+  );
+  await saveVerificationRecord({
+    type: 'check_in',
+    studentId,
+    timestamp: Date.now(),
+    success: false,
+    error: 'Already checked in',
+    sessionId: open.id,
+    source
+  });
+  throw new AttendanceBlockedError('Already checked in');
+};
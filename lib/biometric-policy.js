@@ -0,0 +1,247 @@
+/**
+ * Biometric policy (see constants/biometric-policy.js), the failed-prompt
+ * counter behind its retry limit, and the prompt that applies both. Every
+ * check of the user, including unlocking the credential vault, goes through
+ * verifyUserPresence.
+ *
+ * A policy pushed by the portal is stored per server environment (see
+ * lib/environment.js); the counter is per device, so switching environments
+ * does not reset it.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import { Alert, Platform } from 'react-native';
+
+import {
+  AUTH_METHODS,
+  BIOMETRIC_POLICY_CONFIG_KEY,
+  DEFAULT_BIOMETRIC_POLICY,
+  SECURITY_LEVELS
+} from '@/constants/biometric-policy';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+
+const log = createLogger(LOG_CATEGORIES.BIOMETRIC);
+
+export const PORTAL_BIOMETRIC_POLICY_KEY = '@Attendify_Portal_Biometric_Policy';
+export const FAILED_AUTH_ATTEMPTS_KEY = '@Attendify_Failed_Auth_Attempts';
+
+export const POLICY_SOURCES = {
+  DEFAULT: 'default',
+  DEPLOYMENT: 'deployment',
+  PORTAL: 'portal'
+};
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * @typedef {object} BiometricPolicy
+ * @property {string} securityLevel - One of SECURITY_LEVELS
+ * @property {boolean} allowPasscodeFallback
+ * @property {number} maxAttempts
+ * @property {number} lockoutMinutes
+ * @property {string} setBy - One of POLICY_SOURCES
+ */
+
+// ========== POLICY ==========
+/**
+ * Checks a policy sent by the portal. Throws when any field is out of range,
+ * so a bad push never half-applies.
+ *
+ * @param {object} policy
+ * @returns {object} The policy's known fields
+ */
+export const validateBiometricPolicy = (policy) => {
+  const { securityLevel, allowPasscodeFallback, maxAttempts, lockoutMinutes = DEFAULT_BIOMETRIC_POLICY.lockoutMinutes } = policy;
+
+  if (!Object.values(SECURITY_LEVELS).includes(securityLevel)) {
+    throw new Error(`Unknown security level: ${securityLevel}`);
+  }
+  if (typeof allowPasscodeFallback !== 'boolean') {
+    throw new Error('allowPasscodeFallback must be true or false');
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error('maxAttempts must be a whole number of at least 1');
+  }
+  if (!Number.isFinite(lockoutMinutes) || lockoutMinutes < 0 || lockoutMinutes > MAX_LOCKOUT_MINUTES) {
+    throw new Error(`lockoutMinutes must be between 0 and ${MAX_LOCKOUT_MINUTES}`);
+  }
+  return { securityLevel, allowPasscodeFallback, maxAttempts, lockoutMinutes };
+};
+
+/**
+ * @returns {Promise<BiometricPolicy>}
+ */
+export const loadBiometricPolicy = async () => {
+  try {
+    const [configJson, portalPolicy] = await Promise.all([
+      AsyncStorage.getItem(BIOMETRIC_POLICY_CONFIG_KEY),
+      readJson(environmentKey(PORTAL_BIOMETRIC_POLICY_KEY), null)
+    ]);
+    if (portalPolicy) {
+      return { ...DEFAULT_BIOMETRIC_POLICY, ...portalPolicy, setBy: POLICY_SOURCES.PORTAL };
+    }
+    return configJson
+      ? { ...DEFAULT_BIOMETRIC_POLICY, ...JSON.parse(configJson), setBy: POLICY_SOURCES.DEPLOYMENT }
+      : { ...DEFAULT_BIOMETRIC_POLICY, setBy: POLICY_SOURCES.DEFAULT };
+  } catch (error) {
+    log.error('Error loading biometric policy, using defaults', error);
+    return { ...DEFAULT_BIOMETRIC_POLICY, setBy: POLICY_SOURCES.DEFAULT };
+  }
+};
+
+// Replaces the environment's portal policy; throws when the policy is invalid
+export const savePortalBiometricPolicy = async (policy) => {
+  const valid = validateBiometricPolicy(policy);
+  await writeJson(environmentKey(PORTAL_BIOMETRIC_POLICY_KEY), valid);
+  log.info('Portal biometric policy applied', valid);
+  return valid;
+};
+
+// Whether the policy lets the device passcode stand in for a biometric
+export const allowsPasscode = (policy) =>
+  policy.securityLevel === SECURITY_LEVELS.DEVICE_CREDENTIAL || policy.allowPasscodeFallback;
+
+// ========== RETRY LIMIT ==========
+const loadAttempts = () => readJson(FAILED_AUTH_ATTEMPTS_KEY, { failures: 0, lockedUntil: null });
+
+/**
+ * @returns {Promise<number|null>} Epoch ms marking unlocks again, or null when not locked
+ */
+export const authLockedUntil = async () => {
+  const { lockedUntil } = await loadAttempts();
+  return lockedUntil && lockedUntil > Date.now() ? lockedUntil : null;
+};
+
+/**
+ * Counts a prompt outcome against the retry limit. Success clears the count;
+ * the failure that reaches maxAttempts starts the lockout.
+ *
+ * @param {boolean} succeeded
+ * @param {BiometricPolicy} policy
+ */
+export const recordAuthAttempt = async (succeeded, policy) => {
+  if (succeeded) {
+    await writeJson(FAILED_AUTH_ATTEMPTS_KEY, { failures: 0, lockedUntil: null });
+    return;
+  }
+
+  const { failures, lockedUntil } = await loadAttempts();
+  // A lockout that has run out starts a fresh count
+  const count = (lockedUntil && lockedUntil <= Date.now() ? 0 : failures) + 1;
+  const locked = count >= policy.maxAttempts;
+  await writeJson(FAILED_AUTH_ATTEMPTS_KEY, {
+    failures: locked ? 0 : count,
+    lockedUntil: locked ? Date.now() + policy.lockoutMinutes * 60 * 1000 : null
+  });
+  log.warn('Failed verification prompt', { failures: count, maxAttempts: policy.maxAttempts, locked });
+};
+
+// ========== PROMPT ==========
+// Errors that mean the user left the prompt rather than failed it
+const CANCELLED_PROMPT_ERRORS = ['user_cancel', 'system_cancel', 'app_cancel', 'user_fallback'];
+
+const BIOMETRIC_METHODS = {
+  [LocalAuthentication.AuthenticationType.FINGERPRINT]: AUTH_METHODS.FINGERPRINT,
+  [LocalAuthentication.AuthenticationType.FACIAL_RECOGNITION]: AUTH_METHODS.FACE,
+  [LocalAuthentication.AuthenticationType.IRIS]: AUTH_METHODS.IRIS
+};
+
+// Devices with several biometric types do not say which one passed
+const biometricMethod = (types) =>
+  (types.length === 1 ? BIOMETRIC_METHODS[types[0]] : null) ?? AUTH_METHODS.BIOMETRIC;
+
+const promptDeviceCredential = (promptMessage) => LocalAuthentication.authenticateAsync({
+  promptMessage,
+  cancelLabel: 'Cancel',
+  disableDeviceFallback: false,
+  fallbackLabel: 'Use passcode'
+});
+
+/**
+ * Shows the prompt the biometric policy asks for (see
+ * constants/biometric-policy.js) and counts failures against its retry limit.
+ *
+ * The biometric prompt never offers the passcode itself, so a success there
+ * is known to be biometric. Where the policy allows the passcode, choosing it
+ * (or a biometric lockout) opens a second prompt that accepts the device
+ * credential; a success there is recorded as a passcode, since the system
+ * prompt does not say which was used.
+ *
+ * @param {string} promptMessage
+ * @returns {Promise<{ success: boolean, method?: string, error?: string }|null>}
+ *   null when verification cannot happen now: the device cannot meet the
+ *   policy or the retry limit was reached (the user has been told why);
+ *   `method` is one of AUTH_METHODS
+ */
+export const verifyUserPresence = async (promptMessage) => {
+  const policy = await loadBiometricPolicy();
+
+  const lockedUntil = await authLockedUntil();
+  if (lockedUntil) {
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+    Alert.alert('Too Many Attempts', `Verification failed too many times. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    return null;
+  }
+
+  const [hasHardware, isEnrolled, level, types] = await Promise.all([
+    LocalAuthentication.hasHardwareAsync(),
+    LocalAuthentication.isEnrolledAsync(),
+    LocalAuthentication.getEnrolledLevelAsync(),
+    LocalAuthentication.supportedAuthenticationTypesAsync()
+  ]);
+  const passcodeAllowed = allowsPasscode(policy);
+
+  // Only the device credential level lets a device without biometrics use its screen lock
+  const passcodeOnly = !hasHardware || !isEnrolled;
+  const screenLockAccepted = policy.securityLevel === SECURITY_LEVELS.DEVICE_CREDENTIAL &&
+    level !== LocalAuthentication.SecurityLevel.NONE;
+  if (passcodeOnly && !screenLockAccepted) {
+    Alert.alert('Biometric Unavailable', 'Please set up fingerprint/Face ID on your device.');
+    return null;
+  }
+  if (policy.securityLevel === SECURITY_LEVELS.STRONG && level !== LocalAuthentication.SecurityLevel.BIOMETRIC_STRONG) {
+    Alert.alert(
+      'Stronger Biometric Required',
+      'Your institution only accepts strong biometrics, such as a fingerprint. Set one up in your device settings.'
+    );
+    return null;
+  }
+
+  let result;
+  let method;
+  if (passcodeOnly) {
+    result = await promptDeviceCredential(promptMessage);
+    method = AUTH_METHODS.PASSCODE;
+  } else {
+    result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      // Android has no passcode button of its own here, so the cancel button offers it
+      cancelLabel: passcodeAllowed && Platform.OS === 'android' ? 'Use passcode' : 'Cancel',
+      fallbackLabel: passcodeAllowed ? 'Use passcode' : '',
+      disableDeviceFallback: true,
+      biometricsSecurityLevel: policy.securityLevel === SECURITY_LEVELS.STRONG ? 'strong' : 'weak'
+    });
+    method = biometricMethod(types);
+
+    const wantsPasscode = !result.success && (
+      result.error === 'user_fallback' ||
+      result.error === 'lockout' ||
+      (Platform.OS === 'android' && result.error === 'user_cancel')
+    );
+    if (wantsPasscode && passcodeAllowed) {
+      result = await promptDeviceCredential(promptMessage);
+      method = AUTH_METHODS.PASSCODE;
+    }
+  }
+
+  if (!result.success && CANCELLED_PROMPT_ERRORS.includes(result.error)) {
+    return result;
+  }
+  await recordAuthAttempt(result.success, policy);
+  log.info('Verification prompt', result.success ? { success: true, method } : { success: false, error: result.error });
+
+  return result.success ? { success: true, method } : result;
+};
@@ -0,0 +1,268 @@
+/**
+ * WebView ⇄ native message protocol.
+ *
+ * Every message is a JSON envelope:
+ *
+ *   request  (page → native)  { protocol, version, id, type, payload }
+ *   response (native → page)  { protocol, version, replyTo, ok: true, payload }
+ *                             { protocol, version, replyTo, ok: false, error: { code, message } }
+ *
+ * Requests are validated against MESSAGE_SCHEMAS before a handler sees them;
+ * anything malformed, from another protocol version or of an unknown type is
+ * answered with a typed error instead of being silently dropped. Error codes
+ * are DOMException names so the page can reject WebAuthn promises with them
+ * directly.
+ *
+ * To add a message type: add its schema here, a handler in the home screen's
+ * bridge handler map, and call `AttendifyBridge.request(type, payload)` from
+ * the page.
+ */
+
+export const BRIDGE_PROTOCOL = 'attendify-bridge';
+export const BRIDGE_VERSION = 1;
+
+export const BRIDGE_ERRORS = {
+  MALFORMED_MESSAGE: 'MalformedMessageError',
+  UNSUPPORTED_VERSION: 'UnsupportedVersionError',
+  UNKNOWN_TYPE: 'UnknownMessageTypeError',
+  INVALID_PAYLOAD: 'InvalidPayloadError',
+  NOT_ALLOWED: 'NotAllowedError',
+  NOT_SUPPORTED: 'NotSupportedError',
+  SECURITY: 'SecurityError',
+  UNKNOWN: 'UnknownError'
+};
+
+export class BridgeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+  }
+}
+
+// ========== SCHEMAS ==========
+// Field spec: { type: 'string' | 'number' | 'boolean' | 'array' | 'object', required?, nullable?, items? }
+export const MESSAGE_SCHEMAS = {
+  'webauthn.create': {
+    userIdentifier: { type: 'string', required: true },
+    rpName: { type: 'string' },
+    rpId: { type: 'string', required: true },
+    origin: { type: 'string', required: true },
+    challenge: { type: 'string', required: true },
+    userHandle: { type: 'string', nullable: true },
+    algorithms: { type: 'array', items: 'number' }
+  },
+  'webauthn.get': {
+    studentId: { type: 'string', nullable: true },
+    rpId: { type: 'string', required: true },
+    origin: { type: 'string', required: true },
+    challenge: { type: 'string', required: true },
+    allowCredentials: { type: 'array', items: 'string' },
+    detectedBy: { type: 'string' }
+  },
+  'credential.extracted': {
+    credentialId: { type: 'string', required: true },
+    fieldName: { type: 'string' }
+  },
+  'attendance.trigger': {
+    studentId: { type: 'string', nullable: true }
+  },
+  'timetable.sync': {
+    classes: { type: 'array', required: true, items: 'object' }
+  },
+  'selectors.dryRun': {
+    host: { type: 'string', required: true },
+    profileId: { type: 'string', required: true },
+    profileName: { type: 'string', required: true },
+    matches: { type: 'object', required: true },
+    errors: { type: 'array', items: 'string' }
+  },
+  'biometric.policy': {
+    securityLevel: { type: 'string', required: true },
+    allowPasscodeFallback: { type: 'boolean', required: true },
+    maxAttempts: { type: 'number', required: true },
+    lockoutMinutes: { type: 'number' }
+  },
+  'interceptor.ready': {
+    url: { type: 'string', required: true },
+    webauthn: { type: 'boolean', required: true },
+    selectorProfile: { type: 'string', nullable: true }
+  },
+  'log.forward': {
+    level: { type: 'string', required: true },
+    message: { type: 'string', required: true },
+    context: { type: 'object', nullable: true }
+  }
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+export const validatePayload = (payload, schema) => {
+  const errors = [];
+
+  if (typeOf(payload) !== 'object' || payload === null) {
+    return ['payload must be an object'];
+  }
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = payload[field];
+
+    if (value === undefined) {
+      if (spec.required) errors.push(`${field} is required`);
+      return;
+    }
+    if (value === null) {
+      if (!spec.nullable) errors.push(`${field} must not be null`);
+      return;
+    }
+    if (typeOf(value) !== spec.type) {
+      errors.push(`${field} must be a ${spec.type}`);
+      return;
+    }
+    if (spec.items && value.some(item => typeOf(item) !== spec.items)) {
+      errors.push(`${field} must only contain ${spec.items} values`);
+    }
+  });
+
+  return errors;
+};
+
+// ========== PARSING ==========
+/**
+ * Parses and validates a raw WebView message.
+ * Throws a BridgeError carrying the request id (when one could be read).
+ *
+ * @param {string} raw - event.nativeEvent.data
+ * @returns {{ id: string, type: string, version: number, payload: object }}
+ */
+export const parseBridgeMessage = (raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    throw new BridgeError(BRIDGE_ERRORS.MALFORMED_MESSAGE, 'Message is not valid JSON');
+  }
+
+  const fail = (code, text) => {
+    const error = new BridgeError(code, text);
+    error.requestId = typeof message?.id === 'string' ? message.id : null;
+    throw error;
+  };
+
+  if (typeOf(message) !== 'object' || message === null || message.protocol !== BRIDGE_PROTOCOL) {
+    fail(BRIDGE_ERRORS.MALFORMED_MESSAGE, `Message is not an ${BRIDGE_PROTOCOL} envelope`);
+  }
+  if (message.version !== BRIDGE_VERSION) {
+    fail(BRIDGE_ERRORS.UNSUPPORTED_VERSION, `Unsupported bridge version ${message.version}, expected ${BRIDGE_VERSION}`);
+  }
+  if (typeof message.id !== 'string' || message.id.length === 0) {
+    fail(BRIDGE_ERRORS.MALFORMED_MESSAGE, 'Message id is required');
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    fail(BRIDGE_ERRORS.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+  }
+
+  const payload = message.payload ?? {};
+  const errors = validatePayload(payload, schema);
+  if (errors.length > 0) {
+    fail(BRIDGE_ERRORS.INVALID_PAYLOAD, `Invalid ${message.type} payload: ${errors.join('; ')}`);
+  }
+
+  return { id: message.id, type: message.type, version: message.version, payload };
+};
+
+// ========== RESPONSES ==========
+export const buildResponse = (requestId, payload) => ({
+  protocol: BRIDGE_PROTOCOL,
+  version: BRIDGE_VERSION,
+  replyTo: requestId,
+  ok: true,
+  payload: payload ?? null
+});
+
+export const buildErrorResponse = (requestId, error) => ({
+  protocol: BRIDGE_PROTOCOL,
+  version: BRIDGE_VERSION,
+  replyTo: requestId ?? null,
+  ok: false,
+  error: {
+    code: error instanceof BridgeError ? error.code : BRIDGE_ERRORS.UNKNOWN,
+    message: error?.message || 'Unknown error'
+  }
+});
+
+// Script that delivers a response to the page-side client
+export const deliveryScript = (response) => `
+  if (window.AttendifyBridge) {
+    window.AttendifyBridge.receive(${JSON.stringify(response)});
+  }
+  true;
+`;
+
+// ========== PAGE CLIENT ==========
+// Injected ahead of the interceptor; exposes window.AttendifyBridge.request(type, payload)
+// and log(level, message, context), which forwards page logs to the app log
+export const BRIDGE_CLIENT_SCRIPT = `
+  (function() {
+    if (window.AttendifyBridge) return;
+
+    const pendingRequests = {};
+    let requestCounter = 0;
+
+    window.AttendifyBridge = {
+      protocol: '${BRIDGE_PROTOCOL}',
+      version: ${BRIDGE_VERSION},
+
+      request: function(type, payload) {
+        return new Promise(function(resolve, reject) {
+          if (!window.ReactNativeWebView || !window.ReactNativeWebView.postMessage) {
+            reject(new DOMException('Attendify app bridge is not available', 'NotSupportedError'));
+            return;
+          }
+
+          const id = 'req_' + Date.now().toString(36) + '_' + (++requestCounter);
+          pendingRequests[id] = { resolve: resolve, reject: reject, type: type };
+
+          window.ReactNativeWebView.postMessage(JSON.stringify({
+            protocol: '${BRIDGE_PROTOCOL}',
+            version: ${BRIDGE_VERSION},
+            id: id,
+            type: type,
+            payload: payload || {}
+          }));
+        });
+      },
+
+      // Nobody waits for a log entry, and a page without the bridge just keeps its console
+      log: function(level, message, context) {
+        let forwarded = null;
+        if (context instanceof Error) {
+          forwarded = { name: context.name, message: context.message };
+        } else if (context !== undefined && context !== null) {
+          forwarded = typeof context === 'object' && !Array.isArray(context) ? context : { value: String(context) };
+        }
+        this.request('log.forward', { level: level, message: String(message), context: forwarded })
+          .catch(function() {});
+      },
+
+      receive: function(message) {
+        if (!message || message.protocol !== '${BRIDGE_PROTOCOL}') return;
+
+        const pending = pendingRequests[message.replyTo];
+        if (!pending) {
+          this.log('warn', 'Bridge reply without a pending request', { replyTo: message.replyTo, error: message.error });
+          return;
+        }
+        delete pendingRequests[message.replyTo];
+
+        if (message.ok) {
+          pending.resolve(message.payload);
+        } else {
+          pending.reject(new DOMException(message.error.message, message.error.code));
+        }
+      }
+    };
+  })();
+`;
@@ -0,0 +1,91 @@
+/**
+ * Local reminder notifications before each class in the timetable.
+ *
+ * Every reminder carries an attendify:// URL for the attendance screen with
+ * the class ID, which the root layout opens when the notification is tapped.
+ */
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { createLogger } from '@/lib/logger';
+import { loadTimetable, loadTimetableConfig, minutesOfDay } from '@/lib/timetable';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+export const REMINDER_KIND = 'class_reminder';
+
+const REMINDER_CHANNEL_ID = 'class-reminders';
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+// Link opened when a reminder is tapped
+export const reminderUrl = (classId) => `attendify://attendance?classId=${encodeURIComponent(classId)}`;
+
+const ensurePermission = async () => {
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  return (await Notifications.requestPermissionsAsync()).granted;
+};
+
+// Weekly trigger `leadMinutes` before the class, wrapping into the previous day if needed
+const weeklyTrigger = (entry, leadMinutes) => {
+  const minuteOfWeek = (entry.weekday * 24 * 60 + minutesOfDay(entry.startTime) - leadMinutes + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+  return {
+    type: Notifications.SchedulableTriggerInputTypes.WEEKLY,
+    channelId: REMINDER_CHANNEL_ID,
+    weekday: Math.floor(minuteOfWeek / (24 * 60)) + 1, // 1 = Sunday
+    hour: Math.floor((minuteOfWeek % (24 * 60)) / 60),
+    minute: minuteOfWeek % 60
+  };
+};
+
+export const cancelClassReminders = async () => {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  await Promise.all(scheduled
+    .filter(request => request.content.data?.kind === REMINDER_KIND)
+    .map(request => Notifications.cancelScheduledNotificationAsync(request.identifier)));
+};
+
+/**
+ * Replaces all class reminders with ones for the current timetable.
+ *
+ * @returns {Promise<number>} Reminders scheduled (0 when disabled or not permitted)
+ */
+export const scheduleClassReminders = async () => {
+  try {
+    await cancelClassReminders();
+
+    const [timetable, config] = await Promise.all([loadTimetable(), loadTimetableConfig()]);
+    if (!config.remindersEnabled || timetable.length === 0) return 0;
+
+    if (!(await ensurePermission())) {
+      log.warn('Notifications not permitted; class reminders are off');
+      return 0;
+    }
+
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+        name: 'Class reminders',
+        importance: Notifications.AndroidImportance.HIGH
+      });
+    }
+
+    for (const entry of timetable) {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `${entry.courseCode} starts at ${entry.startTime}`,
+          body: `Tap to mark your attendance${entry.room ? ` in ${entry.room}` : ''}.`,
+          data: { kind: REMINDER_KIND, classId: entry.id, url: reminderUrl(entry.id) }
+        },
+        trigger: weeklyTrigger(entry, config.reminderLeadMinutes)
+      });
+    }
+
+    log.info('Scheduled class reminders', { classes: timetable.length });
+    return timetable.length;
+  } catch (error) {
+    log.error('Error scheduling class reminders', error);
+    return 0;
+  }
+};
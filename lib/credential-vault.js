@@ -0,0 +1,189 @@
+/**
+ * Encrypted store for registered WebAuthn credentials.
+ *
+ * The credential map (account key → credential metadata) is sealed with
+ * AES-256-GCM and kept in AsyncStorage, one vault per server environment.
+ * The vault key is random, generated on first use and held in the platform
+ * keystore (expo-secure-store), so a backup or storage dump only ever sees
+ * ciphertext. The key is only read after a successful biometric check and is
+ * kept in memory until the vault is locked again.
+ *
+ * That check is made by the app, not enforced by the keystore: the key is
+ * stored without `requireAuthentication`, on purpose.
+ *   - Keystore entries are readable only by this app on this device, and
+ *     the credentials' signing keys (see lib/webauthn.js) are stored the same
+ *     way. Code running inside the app could sign without opening the vault,
+ *     so gating only the vault key in the keystore would not stop it.
+ *   - On Android, `requireAuthentication` accepts strong biometrics only,
+ *     with no passcode, so it cannot follow the biometric policy (see
+ *     constants/biometric-policy.js).
+ *   - Such a key is also invalidated when a fingerprint is added, which would
+ *     leave every registered credential unreadable.
+ * What the vault protects against is data leaving the device.
+ *
+ * Plaintext credential maps written by earlier versions are sealed into the
+ * vault and removed on the first unlock. The sealed payload carries the
+ * storage schema version, and older payloads are migrated when opened.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { gcm } from '@noble/ciphers/aes';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { verifyUserPresence } from '@/lib/biometric-policy';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { quarantineValue, readJson, writeJson } from '@/lib/storage';
+import { migrateDataset, STORAGE_SCHEMA_VERSION } from '@/lib/storage-migrations';
+import { fromBase64Url, toBase64Url, utf8Decode, utf8Encode } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const CREDENTIAL_VAULT_KEY = '@Attendify_Credential_Vault';
+
+// Where credentials lived before the vault; only read for migration
+export const LEGACY_CREDENTIALS_KEY = '@Attendify_WebAuthn_Credentials';
+
+// Format 1 sealed the bare credential map; format 2 adds its schema version
+const VAULT_FORMAT_VERSION = 2;
+const VAULT_KEY_NAME = 'attendify_credential_vault_key';
+const VAULT_KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+
+export class VaultLockedError extends Error {
+  // `verification` is the failed unlock prompt's result (see verifyUserPresence)
+  constructor(message = 'Credential vault is locked', verification = null) {
+    super(message);
+    this.name = 'VaultLockedError';
+    this.verification = verification;
+  }
+}
+
+let vaultKey = null;
+
+// ========== LOCKING ==========
+export const isVaultUnlocked = () => vaultKey !== null;
+
+const loadOrCreateVaultKey = async () => {
+  const stored = await SecureStore.getItemAsync(VAULT_KEY_NAME);
+  if (stored) return fromBase64Url(stored);
+
+  const key = Crypto.getRandomBytes(VAULT_KEY_LENGTH);
+  await SecureStore.setItemAsync(VAULT_KEY_NAME, toBase64Url(key), {
+    keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY
+  });
+  return key;
+};
+
+/**
+ * Verifies the user as the biometric policy asks and, on success, loads the
+ * vault key. Throws VaultLockedError when verification fails, is cancelled
+ * or is not possible.
+ *
+ * @param {string} [promptMessage]
+ * @returns {Promise<{ success: true, method: string }|null>} The verification
+ *   that unlocked the vault; null when it was already unlocked
+ */
+export const unlockVault = async (promptMessage = 'Unlock your attendance credentials') => {
+  if (vaultKey) return null;
+
+  const result = await verifyUserPresence(promptMessage);
+  if (!result?.success) {
+    throw new VaultLockedError(`Credential vault unlock failed: ${result?.error ?? 'verification not possible'}`, result);
+  }
+
+  vaultKey = await loadOrCreateVaultKey();
+  log.info('Credential vault unlocked', { method: result.method });
+  return result;
+};
+
+export const lockVault = () => {
+  if (vaultKey) vaultKey.fill(0);
+  vaultKey = null;
+  log.info('Credential vault locked');
+};
+
+// ========== SEALING ==========
+// The storage key is bound in as associated data, so a vault copied to another
+// environment's slot fails to open instead of being read as that environment's
+const seal = (credentials, storageKey) => {
+  const nonce = Crypto.getRandomBytes(NONCE_LENGTH);
+  const payload = { schemaVersion: STORAGE_SCHEMA_VERSION, credentials };
+  const ciphertext = gcm(vaultKey, nonce, utf8Encode(storageKey)).encrypt(utf8Encode(JSON.stringify(payload)));
+  return {
+    version: VAULT_FORMAT_VERSION,
+    nonce: toBase64Url(nonce),
+    ciphertext: toBase64Url(ciphertext)
+  };
+};
+
+// Returns { schemaVersion, credentials }; throws if the vault cannot be opened
+const open = (sealed, storageKey) => {
+  if (sealed.version !== 1 && sealed.version !== VAULT_FORMAT_VERSION) {
+    throw new Error(`Unsupported credential vault version: ${sealed.version}`);
+  }
+  const plaintext = gcm(vaultKey, fromBase64Url(sealed.nonce), utf8Encode(storageKey))
+    .decrypt(fromBase64Url(sealed.ciphertext));
+  const payload = JSON.parse(utf8Decode(plaintext));
+  return sealed.version === 1 ? { schemaVersion: 1, credentials: payload } : payload;
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// ========== STORAGE ==========
+/**
+ * Reads the active environment's credentials, migrating a plaintext map or an
+ * older schema on first use. A vault that cannot be opened is moved aside
+ * (see lib/storage.js) and reads as empty. Throws VaultLockedError while the
+ * vault is locked.
+ *
+ * @returns {Promise<Object<string, object>>} Account key → credential
+ */
+export const loadVaultCredentials = async () => {
+  if (!vaultKey) throw new VaultLockedError();
+
+  const storageKey = environmentKey(CREDENTIAL_VAULT_KEY);
+  const sealed = await readJson(storageKey, null, isPlainObject);
+  if (sealed) {
+    let payload;
+    try {
+      payload = open(sealed, storageKey);
+    } catch (error) {
+      await quarantineValue(storageKey, JSON.stringify(sealed), error);
+      return {};
+    }
+
+    if (payload.schemaVersion >= STORAGE_SCHEMA_VERSION) {
+      return payload.credentials;
+    }
+    const credentials = migrateDataset('credentials', payload.credentials, payload.schemaVersion);
+    await saveVaultCredentials(credentials);
+    return credentials;
+  }
+
+  const legacyKey = environmentKey(LEGACY_CREDENTIALS_KEY);
+  const legacy = await readJson(legacyKey, null, isPlainObject);
+  if (!legacy) return {};
+
+  const credentials = migrateDataset('credentials', legacy, 0);
+  await saveVaultCredentials(credentials);
+  await AsyncStorage.removeItem(legacyKey);
+  log.info('Migrated plaintext credentials into the vault', { count: Object.keys(credentials).length });
+
+  return credentials;
+};
+
+export const saveVaultCredentials = async (credentials) => {
+  if (!vaultKey) throw new VaultLockedError();
+
+  const storageKey = environmentKey(CREDENTIAL_VAULT_KEY);
+  await writeJson(storageKey, seal(credentials, storageKey));
+};
+
+export const clearVaultCredentials = async () => {
+  await AsyncStorage.multiRemove([
+    environmentKey(CREDENTIAL_VAULT_KEY),
+    environmentKey(LEGACY_CREDENTIALS_KEY)
+  ]);
+};
@@ -0,0 +1,105 @@
+/**
+ * Credential lookup for verification requests, and the pure store updates
+ * used by the credential management screen.
+ *
+ * The credential store is keyed by the account identifier captured at
+ * registration (the page's user.name); values are the credential records
+ * written by saveCredential in the home screen.
+ */
+
+// Only credentials created by the mobile authenticator can sign assertions.
+// Entries scraped from the page ('extracted') are kept for reference only.
+export const isSigningCredential = (credential) =>
+  Boolean(credential && credential.id && credential.publicKey);
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Returns the stored credentials that may answer a verification request.
+ *
+ * @param {object} credentials - Credential store, keyed by account identifier
+ * @param {object} request
+ * @param {string[]} [request.allowCredentials] - base64url IDs the page accepts
+ * @param {string} [request.studentId] - Student ID scraped from the page
+ * @param {string} [request.rpId] - Relying party ID of the request
+ * @returns {Array<[string, object]>} Matching [accountKey, credential] entries
+ */
+export const findMatchingCredentials = (credentials, { allowCredentials, studentId, rpId } = {}) => {
+  let matches = Object.entries(credentials || {}).filter(([, credential]) => isSigningCredential(credential));
+
+  if (rpId) {
+    matches = matches.filter(([, credential]) => !credential.rpId || credential.rpId === rpId);
+  }
+
+  if (allowCredentials?.length > 0) {
+    const allowed = new Set(allowCredentials);
+    matches = matches.filter(([, credential]) => allowed.has(credential.id));
+  }
+
+  // The student ID narrows the choice when it names a registered account;
+  // otherwise the user picks from what the page allows.
+  if (studentId) {
+    const wanted = normalize(studentId);
+    const byStudent = matches.filter(([key, credential]) =>
+      normalize(key) === wanted || normalize(credential.studentId) === wanted
+    );
+    if (byStudent.length > 0) return byStudent;
+  }
+
+  return matches;
+};
+
+/**
+ * Picks the account to use when several credentials match: the default one
+ * if it is among them, otherwise null so the user is asked.
+ *
+ * @param {Array<[string, object]>} matches - From findMatchingCredentials
+ * @returns {string|null} Account key
+ */
+export const pickDefaultMatch = (matches) => {
+  if (matches.length === 1) return matches[0][0];
+  const preferred = matches.find(([, credential]) => credential.isDefault);
+  return preferred ? preferred[0] : null;
+};
+
+// ========== MANAGEMENT ==========
+// Pure updates of the credential store; callers persist the result.
+
+export const displayName = (key, credential) => credential?.label || key;
+
+export const renameCredential = (credentials, key, label) => ({
+  ...credentials,
+  [key]: { ...credentials[key], label: label.trim() || undefined }
+});
+
+// Only one credential is the default at a time
+export const setDefaultCredential = (credentials, defaultKey) => Object.fromEntries(
+  Object.entries(credentials).map(([key, credential]) => [key, { ...credential, isDefault: key === defaultKey }])
+);
+
+export const removeCredential = (credentials, key) => {
+  const { [key]: _removed, ...rest } = credentials;
+  return rest;
+};
+
+// A re-registration the portal never completed is forgotten after this long
+export const RE_REGISTER_REQUEST_TTL_MS = 24 * 60 * 60 * 1000;
+
+// The portal's registration replaces the whole record, which clears the mark
+export const requestReRegistration = (credentials, key, now = Date.now()) => ({
+  ...credentials,
+  [key]: { ...credentials[key], reRegisterRequestedAt: now }
+});
+
+export const cancelReRegistration = (credentials, key) => {
+  const { reRegisterRequestedAt: _cancelled, ...credential } = credentials[key];
+  return { ...credentials, [key]: credential };
+};
+
+// Returns the same store when no request has expired, so callers can skip saving
+export const expireReRegistrations = (credentials, now = Date.now()) => {
+  const expired = Object.keys(credentials).filter(key =>
+    credentials[key].reRegisterRequestedAt && now - credentials[key].reRegisterRequestedAt > RE_REGISTER_REQUEST_TTL_MS
+  );
+  return expired.reduce(cancelReRegistration, credentials);
+};
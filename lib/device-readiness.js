@@ -0,0 +1,371 @@
+/**
+ * Device readiness checks: everything marking attendance depends on, each
+ * with what was found and how to fix it.
+ *
+ * Checks run in order and share a context, so the test fix is skipped when
+ * location is off rather than failing with a less useful message. Nothing
+ * here prompts for permission; the screen offers that as a fix.
+ */
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as Location from 'expo-location';
+import * as Network from 'expo-network';
+import { Platform } from 'react-native';
+
+import { SECURITY_LEVELS } from '@/constants/biometric-policy';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { getOptimizedLocation } from '@/lib/attendance';
+import { allowsPasscode, loadBiometricPolicy } from '@/lib/biometric-policy';
+import { evaluateGeofences, loadGeofenceConfig } from '@/lib/geofence';
+import { assessLocationIntegrity } from '@/lib/location-integrity';
+import { createLogger } from '@/lib/logger';
+import { isAllowedOrigin, loadOriginPolicy, originOf } from '@/lib/origin-policy';
+import { loadVerificationRecords } from '@/lib/verification-records';
+import { getWebViewStatus } from '@/lib/webview-status';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+export const READINESS_STATUS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  PROBLEM: 'problem',
+  SKIPPED: 'skipped'
+};
+
+// Fixes the screen can start for the user
+export const READINESS_ACTIONS = {
+  OPEN_SETTINGS: 'open_settings',
+  REQUEST_LOCATION: 'request_location',
+  OPEN_PORTAL: 'open_portal'
+};
+
+const PORTAL_PROBE_TIMEOUT_MS = 10000;
+
+const AUTHENTICATION_TYPE_NAMES = {
+  [LocalAuthentication.AuthenticationType.FINGERPRINT]: 'Fingerprint',
+  [LocalAuthentication.AuthenticationType.FACIAL_RECOGNITION]: Platform.OS === 'ios' ? 'Face ID' : 'Face unlock',
+  [LocalAuthentication.AuthenticationType.IRIS]: 'Iris'
+};
+
+// Where getOptimizedLocation got the fix
+const LOCATION_SOURCE_NAMES = {
+  cached: 'Last known',
+  gps: 'GPS',
+  network: 'Network'
+};
+
+/**
+ * @typedef {object} ReadinessResult
+ * @property {string} status - One of READINESS_STATUS
+ * @property {string} summary - What was found
+ * @property {string|null} fix - How to fix it; null when there is nothing to do
+ * @property {string|null} action - One of READINESS_ACTIONS the screen can offer
+ */
+
+/**
+ * @typedef {object} ReadinessContext
+ * @property {{ origin: string, portalUrl: string }} environment - Active server environment
+ * @property {boolean} [locationGranted] - Set by the permission check
+ * @property {boolean} [locationServicesEnabled] - Set by the services check
+ */
+
+const result = (status, summary, fix = null, action = null) => ({ status, summary, fix, action });
+
+// ========== BIOMETRICS ==========
+const checkBiometricEnrollment = async () => {
+  const [hasHardware, isEnrolled] = await Promise.all([
+    LocalAuthentication.hasHardwareAsync(),
+    LocalAuthentication.isEnrolledAsync()
+  ]);
+
+  if (!hasHardware) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      'This device has no fingerprint sensor or face recognition that apps can use.',
+      'Attendify needs biometric hardware to register you. Use another device, or ask your institution how to mark attendance without one.'
+    );
+  }
+  if (!isEnrolled) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      'Biometric hardware is present, but no fingerprint or face is set up.',
+      "Add a fingerprint or face in the device's security settings, then run these checks again."
+    );
+  }
+  return result(READINESS_STATUS.OK, 'Biometric hardware is present and set up.');
+};
+
+// Judged against the biometric policy (see constants/biometric-policy.js)
+const checkSecurityLevel = async () => {
+  const [types, level, policy] = await Promise.all([
+    LocalAuthentication.supportedAuthenticationTypesAsync(),
+    LocalAuthentication.getEnrolledLevelAsync(),
+    loadBiometricPolicy()
+  ]);
+  const names = types.map(type => AUTHENTICATION_TYPE_NAMES[type]).filter(Boolean);
+  const supported = names.length > 0 ? `Supported: ${names.join(', ')}.` : 'No biometric types reported.';
+  const passcode = allowsPasscode(policy) ? 'The device passcode is accepted as a fallback.' : 'The device passcode is not accepted.';
+
+  switch (level) {
+    case LocalAuthentication.SecurityLevel.BIOMETRIC_STRONG:
+      return result(READINESS_STATUS.OK, `${supported} Strong biometrics are set up. ${passcode}`);
+    case LocalAuthentication.SecurityLevel.BIOMETRIC_WEAK:
+      return policy.securityLevel === SECURITY_LEVELS.STRONG
+        ? result(
+          READINESS_STATUS.PROBLEM,
+          `${supported} Only weak biometrics (such as camera-based face unlock) are set up, and your institution requires strong ones.`,
+          "Set up a fingerprint in the device's security settings."
+        )
+        : result(READINESS_STATUS.OK, `${supported} Biometrics are set up. ${passcode}`);
+    case LocalAuthentication.SecurityLevel.SECRET:
+      return policy.securityLevel === SECURITY_LEVELS.DEVICE_CREDENTIAL
+        ? result(
+          READINESS_STATUS.WARNING,
+          `${supported} Only a PIN, pattern or password protects the device; your institution accepts that.`,
+          "Adding a fingerprint or face in the device's security settings makes verification quicker."
+        )
+        : result(
+          READINESS_STATUS.PROBLEM,
+          `${supported} Only a PIN, pattern or password protects the device.`,
+          "Attendance needs a biometric check. Add a fingerprint or face in the device's security settings."
+        );
+    default:
+      return result(
+        READINESS_STATUS.PROBLEM,
+        `${supported} The device has no screen lock.`,
+        "Set a screen lock and add a fingerprint or face in the device's security settings."
+      );
+  }
+};
+
+// ========== LOCATION ==========
+const checkLocationPermission = async (context) => {
+  const permission = await Location.getForegroundPermissionsAsync();
+  context.locationGranted = permission.granted;
+
+  if (!permission.granted) {
+    return permission.canAskAgain
+      ? result(
+        READINESS_STATUS.PROBLEM,
+        'Attendify has not been allowed to use your location.',
+        'Allow location access so attendance can be stamped with where you are.',
+        READINESS_ACTIONS.REQUEST_LOCATION
+      )
+      : result(
+        READINESS_STATUS.PROBLEM,
+        'Location access was denied and the app cannot ask again.',
+        'Open the app settings and allow location access for Attendify.',
+        READINESS_ACTIONS.OPEN_SETTINGS
+      );
+  }
+
+  if (permission.android?.accuracy === 'coarse') {
+    return result(
+      READINESS_STATUS.WARNING,
+      'Location is allowed, but only approximate location.',
+      'Turn on precise location for Attendify in the app settings; approximate fixes are often too imprecise for the attendance area.',
+      READINESS_ACTIONS.OPEN_SETTINGS
+    );
+  }
+  return result(READINESS_STATUS.OK, 'Location access is allowed.');
+};
+
+const checkLocationServices = async (context) => {
+  const enabled = await Location.hasServicesEnabledAsync();
+  context.locationServicesEnabled = enabled;
+
+  if (!enabled) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      'Location services are turned off for the whole device.',
+      "Turn on Location in the quick settings or the device's location settings."
+    );
+  }
+
+  if (Platform.OS === 'android') {
+    const provider = await Location.getProviderStatusAsync();
+    if (provider.gpsAvailable === false) {
+      return result(
+        READINESS_STATUS.WARNING,
+        'Location services are on, but GPS is not available; only network location will be used.',
+        "Turn on high accuracy / Google location accuracy in the device's location settings."
+      );
+    }
+  }
+  return result(READINESS_STATUS.OK, 'Location services are on.');
+};
+
+const checkLocationFix = async (context) => {
+  if (!context.locationGranted || !context.locationServicesEnabled) {
+    return result(READINESS_STATUS.SKIPPED, 'Skipped until location access and services are on.');
+  }
+
+  const startedAt = Date.now();
+  const location = await getOptimizedLocation();
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+  if (!location) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      `No location fix after ${seconds} s.`,
+      'Move near a window or outdoors, check that airplane mode is off, and try again.'
+    );
+  }
+
+  const summary = `${LOCATION_SOURCE_NAMES[location.source] ?? location.source} fix, ±${Math.round(location.accuracy ?? 0)} m, in ${seconds} s.`;
+  const integrity = assessLocationIntegrity(location, await loadVerificationRecords());
+  if (!integrity.allowed) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      `${summary} The fix would not be accepted: ${integrity.reasons.join(' ')}`,
+      location.mocked
+        ? 'Turn off any mock location app or developer option that fakes your position.'
+        : 'Wait for a fresh, precise fix (outdoors if possible) and run the checks again.'
+    );
+  }
+
+  const geofence = evaluateGeofences(location, await loadGeofenceConfig());
+  if (!geofence.allowed) {
+    return result(
+      READINESS_STATUS.WARNING,
+      `${summary} ${geofence.reason}`,
+      'Marking only works inside the attendance area. If you are in class, move closer to the room or outdoors for a better fix.'
+    );
+  }
+  return result(READINESS_STATUS.OK, summary);
+};
+
+// ========== PORTAL ==========
+// Answers whether the server is up, independently of the WebView
+const probePortal = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PORTAL_PROBE_TIMEOUT_MS);
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(url, { method: 'GET', signal: controller.signal });
+    return { reached: true, status: response.status, ms: Date.now() - startedAt };
+  } catch (error) {
+    return { reached: false, error: controller.signal.aborted ? 'timed out' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkPortalReachable = async ({ environment }) => {
+  const network = await Network.getNetworkStateAsync();
+  if (!network.isConnected || network.isInternetReachable === false) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      'The device is offline.',
+      'Connect to Wi-Fi or mobile data. Attendance marked offline is sent once you are back online.'
+    );
+  }
+
+  const probe = await probePortal(environment.portalUrl);
+  const server = probe.reached
+    ? `The server answered HTTP ${probe.status} in ${probe.ms} ms.`
+    : `The server could not be reached (${probe.error}).`;
+  const { url, loadedAt, loadError } = getWebViewStatus();
+
+  if (loadError) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      `The portal page failed to load: ${loadError.description}. ${server}`,
+      probe.reached
+        ? 'The server is up; go back to the portal and tap Retry.'
+        : 'Check the portal address under Settings → Server environment, or try again later.',
+      READINESS_ACTIONS.OPEN_PORTAL
+    );
+  }
+  if (!probe.reached) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      server,
+      'Check the portal address under Settings → Server environment. If it is right, the portal may be down; try again later.'
+    );
+  }
+  if (!url || !loadedAt) {
+    return result(
+      READINESS_STATUS.WARNING,
+      `The portal has not finished loading in the app yet. ${server}`,
+      'Open the portal on the home screen and wait for it to load.',
+      READINESS_ACTIONS.OPEN_PORTAL
+    );
+  }
+  return result(READINESS_STATUS.OK, `The portal loaded ${originOf(url) ?? url}. ${server}`);
+};
+
+const checkInterceptor = async ({ environment }) => {
+  const { url, interceptor } = getWebViewStatus();
+  if (!url) {
+    return result(
+      READINESS_STATUS.SKIPPED,
+      'No portal page is open.',
+      'Open the portal on the home screen, then run the checks again.',
+      READINESS_ACTIONS.OPEN_PORTAL
+    );
+  }
+
+  const policy = await loadOriginPolicy();
+  const trusted = { ...policy, allowedOrigins: [environment.origin, ...policy.allowedOrigins] };
+  if (!isAllowedOrigin(url, trusted)) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      `The current page (${originOf(url) ?? url}) is not on the portal allowlist, so Attendify will not answer it.`,
+      "Go back to your institution's portal. If this page is part of it, ask your administrator to add it to the allowed origins.",
+      READINESS_ACTIONS.OPEN_PORTAL
+    );
+  }
+
+  if (!interceptor) {
+    return result(
+      READINESS_STATUS.PROBLEM,
+      "Attendify's page script has not started on the current page.",
+      'Reload the portal from the home screen. If this keeps happening, send diagnostics from Settings.',
+      READINESS_ACTIONS.OPEN_PORTAL
+    );
+  }
+
+  const profile = interceptor.selectorProfile ? ` using the "${interceptor.selectorProfile}" selector profile` : '';
+  if (!interceptor.webauthn) {
+    return result(
+      READINESS_STATUS.WARNING,
+      `The page script is installed${profile}, but the page has no WebAuthn support to route to the app.`,
+      "Attendance buttons that call Attendify directly still work. If the portal's fingerprint button does nothing, update the device's WebView / browser."
+    );
+  }
+  return result(READINESS_STATUS.OK, `The page script is installed${profile}.`);
+};
+
+// ========== RUNNING ==========
+/** @type {{ id: string, title: string, run: (context: ReadinessContext) => Promise<ReadinessResult> }[]} */
+export const READINESS_CHECKS = [
+  { id: 'biometric_enrollment', title: 'Biometric hardware and enrollment', run: checkBiometricEnrollment },
+  { id: 'security_level', title: 'Authentication types and security level', run: checkSecurityLevel },
+  { id: 'location_permission', title: 'Location permission', run: checkLocationPermission },
+  { id: 'location_services', title: 'Location services', run: checkLocationServices },
+  { id: 'location_fix', title: 'Test location fix', run: checkLocationFix },
+  { id: 'portal', title: 'Portal reachability', run: checkPortalReachable },
+  { id: 'interceptor', title: 'Page script on the current page', run: checkInterceptor }
+];
+
+/**
+ * Runs one check; a check that throws is reported as a problem instead.
+ *
+ * @param {(typeof READINESS_CHECKS)[number]} check
+ * @param {ReadinessContext} context
+ * @returns {Promise<ReadinessResult>}
+ */
+export const runReadinessCheck = async (check, context) => {
+  try {
+    const outcome = await check.run(context);
+    log.info('Readiness check', { id: check.id, status: outcome.status, summary: outcome.summary });
+    return outcome;
+  } catch (error) {
+    log.error('Readiness check failed to run', { id: check.id, error });
+    return result(
+      READINESS_STATUS.PROBLEM,
+      `The check could not run: ${error?.message || String(error)}`,
+      'Run the checks again. If this keeps happening, send diagnostics from Settings.'
+    );
+  }
+};
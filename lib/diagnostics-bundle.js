@@ -0,0 +1,64 @@
+/**
+ * "Send diagnostics": the app log (see lib/logger.js), including what the
+ * injected page script forwarded, together with what support needs to read
+ * it, as one JSON file handed to the share sheet.
+ *
+ * Nothing is sent automatically; the user picks where the file goes.
+ */
+import Constants from 'expo-constants';
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { Platform } from 'react-native';
+
+import { getActiveEnvironment } from '@/lib/environment';
+import { flushLogs, loadLogEntries } from '@/lib/logger';
+import { loadOfflineQueue } from '@/lib/offline-queue';
+import { recordStorageUsage } from '@/lib/verification-records';
+
+const BUNDLE_FORMAT_VERSION = 1;
+
+export const buildDiagnosticsBundle = async () => {
+  await flushLogs();
+  const [logs, queue, storage] = await Promise.all([
+    loadLogEntries(),
+    loadOfflineQueue(),
+    recordStorageUsage().catch(error => ({ error: error.message }))
+  ]);
+  const { id, name, portalUrl } = getActiveEnvironment();
+
+  return {
+    format: BUNDLE_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    app: {
+      version: Constants.expoConfig?.version ?? null,
+      runtimeVersion: Constants.expoConfig?.runtimeVersion ?? null
+    },
+    device: {
+      platform: Platform.OS,
+      osVersion: String(Platform.Version)
+    },
+    environment: { id, name, portalUrl },
+    offlineQueue: queue.reduce((counts, entry) => ({ ...counts, [entry.status]: (counts[entry.status] || 0) + 1 }), {}),
+    storage,
+    logs
+  };
+};
+
+export const shareDiagnosticsBundle = async () => {
+  const bundle = await buildDiagnosticsBundle();
+  const stamp = bundle.generatedAt.replace(/[:.]/g, '-');
+  const file = new File(Paths.cache, `attendify-diagnostics-${stamp}.json`);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(JSON.stringify(bundle, null, 2));
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: 'application/json',
+    UTI: 'public.json',
+    dialogTitle: 'Send Attendify diagnostics'
+  });
+};
@@ -0,0 +1,99 @@
+/**
+ * Active server environment (production, staging or a custom portal URL).
+ *
+ * Storage helpers elsewhere call environmentKey() so that each environment
+ * reads and writes its own credentials, records and offline queue. The
+ * active environment is set once at startup by EnvironmentProvider and again
+ * whenever the user switches.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import {
+  CUSTOM_ENVIRONMENT_ID,
+  ENVIRONMENT_KEY,
+  ENVIRONMENTS,
+  PRODUCTION_ENVIRONMENT_ID
+} from '@/constants/environments';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { createLogger } from '@/lib/logger';
+import { originOf } from '@/lib/origin-policy';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+// A custom portal is trusted with the bridge and the credentials, so plain
+// http is only accepted for this device (or the Android emulator's host
+// machine), and for any host in development builds
+const PLAIN_HTTP_HOSTS = ['localhost', '127.0.0.1', '[::1]', '10.0.2.2'];
+
+const allowsPlainHttp = (origin) =>
+  __DEV__ || PLAIN_HTTP_HOSTS.includes(origin.slice('http://'.length).replace(/:\d+$/, ''));
+
+/**
+ * Turns a stored selection into a usable environment.
+ * Throws when a custom URL is missing or not an https URL (see allowsPlainHttp).
+ *
+ * @param {{ id: string, customUrl?: string|null }} selection
+ * @returns {{ id: string, name: string, portalUrl: string, origin: string }}
+ */
+export const resolveEnvironment = ({ id, customUrl }) => {
+  if (id === CUSTOM_ENVIRONMENT_ID) {
+    const origin = originOf(customUrl);
+    if (!origin) {
+      throw new Error('Custom environment needs an https portal URL');
+    }
+    if (origin.startsWith('http://') && !allowsPlainHttp(origin)) {
+      throw new Error('Custom environment needs an https portal URL; plain http is only allowed for localhost');
+    }
+    return {
+      id,
+      name: 'Custom',
+      portalUrl: customUrl.trim(),
+      origin
+    };
+  }
+
+  const preset = ENVIRONMENTS[id];
+  if (!preset) {
+    throw new Error(`Unknown environment: ${id}`);
+  }
+  return { ...preset, origin: originOf(preset.portalUrl) };
+};
+
+const PRODUCTION = resolveEnvironment({ id: PRODUCTION_ENVIRONMENT_ID });
+
+let activeEnvironment = PRODUCTION;
+
+export const getActiveEnvironment = () => activeEnvironment;
+
+export const setActiveEnvironment = (environment) => {
+  activeEnvironment = environment;
+};
+
+/**
+ * Storage key for the given environment. Production uses the base key
+ * unchanged so existing installs keep their data.
+ */
+export const environmentKey = (baseKey, environment = activeEnvironment) => {
+  if (environment.id === PRODUCTION_ENVIRONMENT_ID) return baseKey;
+  if (environment.id === CUSTOM_ENVIRONMENT_ID) return `${baseKey}:custom:${environment.origin}`;
+  return `${baseKey}:${environment.id}`;
+};
+
+// ========== STORAGE ==========
+export const loadEnvironment = async () => {
+  try {
+    const selectionJson = await AsyncStorage.getItem(ENVIRONMENT_KEY);
+    return selectionJson ? resolveEnvironment(JSON.parse(selectionJson)) : PRODUCTION;
+  } catch (error) {
+    log.error('Error loading environment, using production', error);
+    return PRODUCTION;
+  }
+};
+
+export const saveEnvironment = async (environment) => {
+  const selection = {
+    id: environment.id,
+    customUrl: environment.id === CUSTOM_ENVIRONMENT_ID ? environment.portalUrl : null
+  };
+  await AsyncStorage.setItem(ENVIRONMENT_KEY, JSON.stringify(selection));
+};
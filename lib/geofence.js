@@ -0,0 +1,175 @@
+/**
+ * Geofence checks run before the biometric prompt when marking attendance.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { DEFAULT_GEOFENCE_CONFIG, GEOFENCE_CONFIG_KEY } from '@/constants/geofences';
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.LOCATION);
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// ========== GEOMETRY ==========
+export const distanceInMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Local equirectangular projection around `origin`; accurate enough at campus scale
+const project = (point, origin) => ({
+  x: toRadians(point.longitude - origin.longitude) * Math.cos(toRadians(origin.latitude)) * EARTH_RADIUS_METERS,
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS
+});
+
+const isInsidePolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+/**
+ * Distance in meters from the location to the fence boundary:
+ * negative (or zero) when inside, positive when outside.
+ */
+export const distanceOutsideFence = (location, fence) => {
+  if (fence.type === 'circle') {
+    return distanceInMeters(location, fence.center) - fence.radius;
+  }
+
+  const origin = { latitude: location.latitude, longitude: location.longitude };
+  const point = { x: 0, y: 0 };
+  const polygon = fence.points.map(vertex => project(vertex, origin));
+  const edgeDistance = Math.min(...polygon.map((vertex, i) =>
+    distanceToSegment(point, vertex, polygon[(i + 1) % polygon.length])
+  ));
+
+  return isInsidePolygon(point, polygon) ? -edgeDistance : edgeDistance;
+};
+
+// ========== CONFIG ==========
+// A polygon needs at least three corners to enclose anything
+const isValidFence = (fence) =>
+  fence?.type === 'circle' || (Array.isArray(fence?.points) && fence.points.length >= 3);
+
+// Fences that cannot be evaluated are dropped. `rejectedFences` keeps a config
+// left with none failing closed instead of reading as "not configured".
+const withValidFences = (config) => {
+  const fences = config.fences ?? [];
+  const valid = fences.filter(isValidFence);
+  if (valid.length === fences.length) return config;
+
+  log.error('Ignoring polygon geofences with fewer than 3 points', {
+    fenceIds: fences.filter(fence => !isValidFence(fence)).map(fence => fence?.id ?? null)
+  });
+  return { ...config, fences: valid, rejectedFences: fences.length - valid.length };
+};
+
+export const loadGeofenceConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(GEOFENCE_CONFIG_KEY);
+    return configJson
+      ? withValidFences({ ...DEFAULT_GEOFENCE_CONFIG, ...JSON.parse(configJson) })
+      : DEFAULT_GEOFENCE_CONFIG;
+  } catch (error) {
+    log.error('Error loading geofence config, using defaults', error);
+    return DEFAULT_GEOFENCE_CONFIG;
+  }
+};
+
+export const saveGeofenceConfig = async (config) => {
+  await AsyncStorage.setItem(GEOFENCE_CONFIG_KEY, JSON.stringify(config));
+};
+
+// ========== EVALUATION ==========
+/**
+ * Decides whether a location fix may be used to mark attendance.
+ *
+ * @param {object|null} location - Fix from getOptimizedLocation
+ * @param {object} config - Geofence configuration (see constants/geofences.js)
+ * @returns {object} Decision stored with the verification record:
+ *   { allowed, reason, fenceId, fenceName, distance, accuracy, checkedAt }
+ */
+export const evaluateGeofences = (location, config = DEFAULT_GEOFENCE_CONFIG) => {
+  const decision = {
+    allowed: false,
+    reason: null,
+    fenceId: null,
+    fenceName: null,
+    distance: null,
+    accuracy: location?.accuracy ?? null,
+    checkedAt: Date.now()
+  };
+
+  if (config.enabled && !config.fences?.length && config.rejectedFences) {
+    return { ...decision, reason: 'The attendance area is not set up correctly. Ask your institution to check its geofences.' };
+  }
+
+  if (!config.enabled || !config.fences?.length) {
+    return { ...decision, allowed: true, reason: 'Geofencing not configured' };
+  }
+
+  if (!location) {
+    return { ...decision, reason: 'Your location could not be determined. Turn on location services and try again.' };
+  }
+
+  const accuracy = location.accuracy ?? Infinity;
+  if (accuracy > config.maxAccuracy) {
+    return {
+      ...decision,
+      reason: `Your location is too imprecise (±${Math.round(accuracy)} m, need ±${config.maxAccuracy} m). Move to an open area and try again.`
+    };
+  }
+
+  let nearest = null;
+  for (const fence of config.fences) {
+    const distance = distanceOutsideFence(location, fence);
+    const tolerance = Math.min(accuracy, fence.accuracyTolerance ?? config.accuracyTolerance);
+
+    if (distance <= tolerance) {
+      return {
+        ...decision,
+        allowed: true,
+        reason: `Inside ${fence.name || fence.id}`,
+        fenceId: fence.id,
+        fenceName: fence.name || null,
+        distance: Math.max(0, Math.round(distance))
+      };
+    }
+
+    if (!nearest || distance < nearest.distance) {
+      nearest = { fence, distance };
+    }
+  }
+
+  return {
+    ...decision,
+    reason: `You are about ${Math.round(nearest.distance)} m outside ${nearest.fence.name || nearest.fence.id}. Attendance can only be marked on campus.`,
+    fenceId: nearest.fence.id,
+    fenceName: nearest.fence.name || null,
+    distance: Math.round(nearest.distance)
+  };
+};
@@ -0,0 +1,528 @@
+/**
+ * Script injected into the portal WebView.
+ *
+ * It replaces navigator.credentials.create/get on attendance pages and routes
+ * them through the bridge (see lib/bridge.js) to the native authenticator.
+ * All page ⇄ app traffic goes through window.AttendifyBridge.request, so the
+ * native side never has to template JavaScript to answer a request.
+ */
+import { ATTENDANCE_INTENT, DEFAULT_PAGE_DETECTION_CONFIG } from '@/constants/page-detection';
+import { DEFAULT_SELECTOR_PROFILE } from '@/constants/selector-profiles';
+import { BRIDGE_CLIENT_SCRIPT } from '@/lib/bridge';
+import { DETECTION_METHODS } from '@/lib/page-detection';
+
+// String.raw keeps the page code's regex escapes intact
+const INTERCEPTOR_SCRIPT = String.raw`
+(function() {
+  // Initialize window._webAuthnData FIRST
+  window._webAuthnData = {
+    registrationInProgress: false,
+    verificationInProgress: false,
+    userId: null,
+    challenge: null,
+    allowCredentials: []
+  };
+
+  // Store original functions
+  const originalCreate = navigator.credentials?.create;
+  const originalGet = navigator.credentials?.get;
+  const bridge = window.AttendifyBridge;
+
+  // Page console plus the app's diagnostics log; the app redacts what it keeps
+  function log(level, message, context) {
+    (console[level] || console.log).apply(console, context === undefined ? [message] : [message, context]);
+    if (bridge && bridge.log) bridge.log(level, message, context);
+  }
+
+  log('info', 'WebAuthn interceptor started', { url: window.location.origin + window.location.pathname });
+
+  // Binary helpers - WebAuthn buffers cross the bridge as base64url strings
+  function bufferToBase64Url(buffer) {
+    if (!buffer) return null;
+    const bytes = buffer instanceof ArrayBuffer
+      ? new Uint8Array(buffer)
+      : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBuffer(value) {
+    const base64 = (value || '').replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+  }
+
+  // Page feedback
+  function showToast(message, background, detail) {
+    const toast = document.createElement('div');
+    toast.style.cssText = 'position: fixed; top: 20px; left: 50%; transform: translateX(-50%);' +
+      'background: ' + background + '; color: white; padding: 15px 25px; border-radius: 8px;' +
+      'z-index: 9999; box-shadow: 0 4px 12px rgba(0,0,0,0.15); text-align: center; min-width: 300px;' +
+      'font-family: -apple-system, BlinkMacSystemFont, sans-serif; font-size: 16px; font-weight: 500;';
+    toast.textContent = message;
+
+    if (detail) {
+      const detailDiv = document.createElement('div');
+      detailDiv.style.cssText = 'margin-top: 5px; font-size: 12px; opacity: 0.8;';
+      detailDiv.textContent = detail;
+      toast.appendChild(detailDiv);
+    }
+
+    document.body.appendChild(toast);
+    setTimeout(() => {
+      if (toast.parentNode) toast.remove();
+    }, 3000);
+  }
+
+  function showRegistrationSuccess() {
+    const successMsg = document.createElement('div');
+    successMsg.style.cssText = 'background: #d4edda; color: #155724; border: 1px solid #c3e6cb;' +
+      'padding: 15px; margin: 15px 0; border-radius: 8px; text-align: center;';
+    successMsg.innerHTML = '<strong style="font-size: 16px;">✅ Fingerprint Registered</strong>' +
+      '<p style="margin: 8px 0 0 0; font-size: 14px;">Your device fingerprint has been registered successfully.</p>';
+    document.body.insertBefore(successMsg, document.body.firstChild);
+  }
+
+  // Selector profile for this deployment (see constants/selector-profiles.js)
+  function hostMatches(pattern, host) {
+    pattern = pattern.toLowerCase();
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+    return host === pattern;
+  }
+
+  function activeSelectorProfile() {
+    const profiles = window.__attendifySelectorProfiles || [];
+    const host = window.location.hostname.toLowerCase();
+    return profiles.find(profile => profile.hosts.some(pattern => hostMatches(pattern, host))) ||
+           profiles[profiles.length - 1];
+  }
+
+  const selectors = activeSelectorProfile();
+
+  // A broken selector in a profile must not break the page
+  function queryAll(selector, errors) {
+    if (!selector) return [];
+    try {
+      return Array.from(document.querySelectorAll(selector));
+    } catch (e) {
+      const problem = 'Invalid selector "' + selector + '"';
+      log('warn', problem);
+      if (errors) errors.push(problem);
+      return [];
+    }
+  }
+
+  function findSubmitForms(errors) {
+    const keywords = selectors.submitFormKeywords || [];
+    return queryAll(selectors.submitForm, errors).filter(form => {
+      if (keywords.length === 0) return true;
+      const formText = form.innerHTML.toLowerCase();
+      return keywords.some(keyword => formText.includes(keyword.toLowerCase()));
+    });
+  }
+
+  function findStudentId() {
+    const field = queryAll(selectors.studentIdField).find(input => input.value);
+    return field ? field.value : null;
+  }
+
+  function fillCredentialFields(credentialId) {
+    queryAll(selectors.credentialField).forEach(input => {
+      input.value = credentialId;
+      log('debug', 'Filled credential field', { field: input.name });
+    });
+  }
+
+  // The form the verification is submitted with: the one holding the verify
+  // button, else the first detected marking form. Fields never go to an
+  // unrelated form (search, logout, …) that happens to come first on the page.
+  function findMarkingForm() {
+    const verifyBtn = queryAll(selectors.verifyButton)[0];
+    const owner = verifyBtn && (verifyBtn.form || verifyBtn.closest('form'));
+    return owner || findSubmitForms()[0] || null;
+  }
+
+  function appendHiddenField(form, name, value) {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  }
+
+  // Location stamp for the server, as hidden fields next to the verification form
+  // The integrity verdict is attached with or without a fix, so the server can
+  // tell "no fix" from an app that sends no location at all
+  function attachLocation(form, location, integrity) {
+    try {
+      if (location) {
+        const locationJson = JSON.stringify(location);
+        const locDiv = document.createElement('div');
+        locDiv.style.display = 'none';
+        locDiv.id = 'mobile_location_data';
+        locDiv.setAttribute('data-location', locationJson);
+        document.body.appendChild(locDiv);
+
+        if (form) appendHiddenField(form, 'mobile_location', locationJson);
+      }
+      if (integrity && form) {
+        appendHiddenField(form, 'mobile_location_integrity', JSON.stringify(integrity));
+      }
+      log('info', 'Location fields added', { withFix: Boolean(location), toForm: Boolean(form) });
+    } catch (locErr) {
+      log('warn', 'Could not add location fields', locErr);
+    }
+  }
+
+  // Head of the device's audit log when this attendance was verified, so the
+  // server can tell whether records are missing in between
+  function attachAuditHead(form, auditHead) {
+    if (!auditHead || !form) return;
+    appendHiddenField(form, 'mobile_audit_head', JSON.stringify(auditHead));
+  }
+
+  // Everything the app returned alongside the verification, on the marking form
+  function attachVerificationFields(result) {
+    const form = findMarkingForm();
+    if (!form) log('warn', 'No marking form found; verification fields not attached');
+    attachLocation(form, result.location, result.locationIntegrity);
+    attachAuditHead(form, result.auditHead);
+    if (form && result.sessionToken) appendHiddenField(form, 'mobile_session_token', result.sessionToken);
+  }
+
+  // Through the form's own submit button when it has one, so page handlers run
+  function submitForm(form, kind) {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) {
+      submitBtn.click();
+    } else {
+      form.submit();
+    }
+    log('info', 'Submitted ' + kind + ' form');
+  }
+
+  function submitVerificationForms() {
+    findSubmitForms().forEach(form => submitForm(form, 'verification'));
+  }
+
+  // Registration: the profile's registrationForm, or else the forms that own
+  // the registration fields
+  function findRegistrationForms(errors) {
+    if (selectors.registrationForm) return queryAll(selectors.registrationForm, errors);
+    const owners = queryAll(selectors.registrationField, errors).map(input => input.form).filter(Boolean);
+    return owners.filter((form, index) => owners.indexOf(form) === index);
+  }
+
+  function fillRegistrationFields(credentialId) {
+    const fields = queryAll(selectors.registrationField);
+    if (fields.length === 0) log('warn', 'No registration field found; nothing to submit');
+    fields.forEach(input => {
+      input.value = credentialId;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      log('debug', 'Filled registration field', { field: input.name });
+    });
+  }
+
+  function submitRegistrationForms() {
+    findRegistrationForms().forEach(form => submitForm(form, 'registration'));
+  }
+
+  function clickVerifyButton() {
+    const verifyBtn = queryAll(selectors.verifyButton)[0];
+    if (verifyBtn && !verifyBtn.disabled) {
+      log('info', 'Clicking verify button');
+      verifyBtn.click();
+    }
+  }
+
+  function describeElement(element) {
+    let description = element.tagName.toLowerCase();
+    if (element.id) description += '#' + element.id;
+    if (element.name) description += '[name="' + element.name + '"]';
+    return description;
+  }
+
+  // Report what the auto-fill/auto-submit steps would touch, without touching it
+  window.attendifyDryRun = function() {
+    const errors = [];
+    const describeAll = elements => elements.map(describeElement);
+    const report = {
+      host: window.location.hostname,
+      profileId: selectors.id,
+      profileName: selectors.name,
+      matches: {
+        studentIdField: describeAll(queryAll(selectors.studentIdField, errors)),
+        credentialField: describeAll(queryAll(selectors.credentialField, errors)),
+        verifyButton: describeAll(queryAll(selectors.verifyButton, errors).slice(0, 1)),
+        submitForm: describeAll(findSubmitForms(errors)),
+        registrationField: describeAll(queryAll(selectors.registrationField, errors)),
+        registrationForm: describeAll(findRegistrationForms(errors))
+      },
+      errors: errors
+    };
+    return bridge.request('selectors.dryRun', report)
+      .catch(error => log('warn', 'Dry-run report rejected', error));
+  };
+
+  // 1. INTERCEPT REGISTRATION (credentials.create)
+  function buildCredential(result) {
+    const authenticatorData = base64UrlToBuffer(result.authenticatorData);
+    const publicKey = base64UrlToBuffer(result.publicKey);
+    return {
+      type: 'public-key',
+      id: result.id,
+      rawId: base64UrlToBuffer(result.rawId),
+      authenticatorAttachment: 'platform',
+      response: {
+        clientDataJSON: base64UrlToBuffer(result.clientDataJSON),
+        attestationObject: base64UrlToBuffer(result.attestationObject),
+        getTransports: () => result.transports || ['internal'],
+        getAuthenticatorData: () => authenticatorData,
+        getPublicKey: () => publicKey,
+        getPublicKeyAlgorithm: () => result.publicKeyAlgorithm
+      },
+      getClientExtensionResults: () => ({})
+    };
+  }
+
+  if (navigator.credentials && navigator.credentials.create) {
+    navigator.credentials.create = async function(options) {
+      log('info', 'navigator.credentials.create intercepted');
+
+      if (options && options.publicKey) {
+
+        if (options.publicKey.challenge) {
+          window._webAuthnData.challenge = options.publicKey.challenge;
+        }
+
+        // Extract user info
+        let userIdentifier = 'unknown';
+        if (options.publicKey.user && options.publicKey.user.name) {
+          userIdentifier = options.publicKey.user.name;
+        } else if (options.publicKey.user && options.publicKey.user.id) {
+          userIdentifier = 'user_' + Array.from(options.publicKey.user.id).slice(0, 4).join('');
+        }
+
+        const result = await bridge.request('webauthn.create', {
+          userIdentifier: userIdentifier,
+          rpName: options.publicKey.rp?.name || 'Attendify',
+          rpId: options.publicKey.rp?.id || window.location.hostname,
+          origin: window.location.origin,
+          challenge: bufferToBase64Url(options.publicKey.challenge),
+          userHandle: bufferToBase64Url(options.publicKey.user?.id),
+          algorithms: (options.publicKey.pubKeyCredParams || []).map(param => param.alg)
+        });
+
+        const credential = buildCredential(result);
+        log('info', 'Registration completed');
+        showRegistrationSuccess();
+
+        // Auto-fill the profile's registration fields and submit their forms
+        setTimeout(() => {
+          fillRegistrationFields(credential.id);
+          setTimeout(submitRegistrationForms, 500);
+        }, 300);
+
+        return credential;
+      }
+
+      return originalCreate ? originalCreate.call(this, options) : null;
+    };
+  }
+
+  // 2. INTERCEPT VERIFICATION (credentials.get)
+  // Explicit markers from the web app decide; the keyword heuristic only runs
+  // on pages that declare nothing. Returns how the intent was detected, or null.
+  function detectAttendanceIntent(publicKey) {
+    const detection = window.__attendifyPageDetection;
+    const methods = detection.methods;
+    let declared = false;
+
+    const extension = publicKey.extensions && publicKey.extensions.attendify;
+    if (extension && extension.intent) {
+      if (extension.intent === detection.intent) return methods.EXTENSION;
+      declared = true;
+    }
+
+    const meta = document.querySelector('meta[name="attendify-intent"]');
+    if (meta) {
+      if (meta.getAttribute('content') === detection.intent) return methods.META_TAG;
+      declared = true;
+    }
+
+    if (document.querySelector('[data-attendify-intent="' + detection.intent + '"]')) {
+      return methods.DATA_ATTRIBUTE;
+    }
+    if (declared || document.querySelector('[data-attendify-intent]')) return null;
+
+    if (!detection.keywordFallback) return null;
+    const pageText = (document.body.innerText || '').toLowerCase();
+    const matched = detection.keywords.some(keyword => pageText.includes(String(keyword).toLowerCase()));
+    return matched ? methods.KEYWORD : null;
+  }
+
+  function buildAssertion(result) {
+    return {
+      type: 'public-key',
+      id: result.id,
+      rawId: base64UrlToBuffer(result.rawId),
+      authenticatorAttachment: 'platform',
+      response: {
+        authenticatorData: base64UrlToBuffer(result.authenticatorData),
+        clientDataJSON: base64UrlToBuffer(result.clientDataJSON),
+        signature: base64UrlToBuffer(result.signature),
+        userHandle: result.userHandle ? base64UrlToBuffer(result.userHandle) : null
+      },
+      getClientExtensionResults: () => ({})
+    };
+  }
+
+  if (navigator.credentials && navigator.credentials.get) {
+    navigator.credentials.get = async function(options) {
+      log('info', 'navigator.credentials.get intercepted');
+
+      if (options && options.publicKey) {
+
+        if (options.publicKey.challenge) {
+          window._webAuthnData.challenge = options.publicKey.challenge;
+        }
+
+        const studentId = findStudentId();
+        const detectedBy = detectAttendanceIntent(options.publicKey);
+
+        log('info', 'Page context', { studentId: studentId, detectedBy: detectedBy });
+
+        // For attendance/verification requests, use mobile biometric
+        if (detectedBy) {
+          log('info', 'Routing verification to the app');
+
+          let result;
+          try {
+            result = await bridge.request('webauthn.get', {
+              studentId: studentId,
+              rpId: options.publicKey.rpId || window.location.hostname,
+              origin: window.location.origin,
+              challenge: bufferToBase64Url(window._webAuthnData.challenge),
+              allowCredentials: (options.publicKey.allowCredentials || []).map(cred => bufferToBase64Url(cred.id)),
+              detectedBy: detectedBy
+            });
+          } catch (error) {
+            log('warn', 'App verification failed', error);
+            showToast('❌ ' + (error.message || 'Authentication failed. Please try again.'), '#f44336');
+            throw error;
+          }
+
+          attachVerificationFields(result);
+          const assertion = buildAssertion(result.assertion);
+          log('info', 'Verification assertion returned to the page');
+
+          setTimeout(() => {
+            clickVerifyButton();
+            setTimeout(submitVerificationForms, 500);
+          }, 300);
+          setTimeout(() => {
+            showToast('✅ Attendance marked successfully!', '#4CAF50', result.location ? 'Location verified' : null);
+          }, 800);
+
+          return assertion;
+        }
+
+        // For other WebAuthn requests, proceed normally
+        log('info', 'Not an attendance request, using the browser authenticator');
+        return originalGet ? originalGet.call(this, options) : null;
+      }
+
+      return originalGet ? originalGet.call(this, options) : null;
+    };
+  }
+
+  // 3. MANUAL TRIGGER - for pages that mark attendance without WebAuthn
+  window.triggerMobileAttendance = async function() {
+    try {
+      const result = await bridge.request('attendance.trigger', { studentId: findStudentId() });
+      attachVerificationFields(result);
+
+      fillCredentialFields(result.credentialId);
+
+      setTimeout(clickVerifyButton, 300);
+      setTimeout(submitVerificationForms, 500);
+      setTimeout(() => {
+        showToast('✅ Attendance marked successfully!', '#4CAF50', result.location ? 'Location verified' : null);
+      }, 800);
+      return true;
+    } catch (error) {
+      log('warn', 'Manual attendance trigger failed', error);
+      showToast('❌ ' + (error.message || 'Authentication failed. Please try again.'), '#f44336');
+      return false;
+    }
+  };
+
+  // 4. EXTRACT CREDENTIAL FROM PAGE
+  function extractCredentialsFromPage() {
+    try {
+      // Look for hidden credential fields
+      const hiddenInputs = document.querySelectorAll('input[type="hidden"]');
+      hiddenInputs.forEach(input => {
+        if (input.value && input.value.length > 30) {
+          const name = input.name.toLowerCase();
+          if (name.includes('credential') ||
+              name.includes('fingerprint') ||
+              name.includes('attestation') ||
+              name.includes('webauthn')) {
+
+            log('info', 'Found credential in hidden input', { field: input.name });
+            bridge.request('credential.extracted', {
+              credentialId: input.value,
+              fieldName: input.name
+            }).catch(error => log('warn', 'Credential extraction rejected', error));
+          }
+        }
+      });
+    } catch (e) {
+      log('error', 'Error extracting credentials', e);
+    }
+  }
+
+  // Initial setup
+  log('info', 'WebAuthn interceptor initialized');
+
+  // Tells the app's device readiness check that this page is covered
+  bridge.request('interceptor.ready', {
+    url: window.location.origin + window.location.pathname,
+    webauthn: Boolean(navigator.credentials && navigator.credentials.get),
+    selectorProfile: (selectors && selectors.id) || null
+  }).catch(error => log('warn', 'Interceptor ready report rejected', error));
+
+  // Run extraction
+  setTimeout(() => {
+    extractCredentialsFromPage();
+  }, 2000);
+
+  return true;
+})();
+`;
+
+/**
+ * @param {object} [detectionConfig] - Keyword fallback settings (see constants/page-detection.js)
+ * @param {object[]} [selectorProfiles] - DOM selector profiles, default last (see constants/selector-profiles.js)
+ * @returns {string} Script for the WebView's injectedJavaScript prop
+ */
+export const buildInjectedScript = (
+  detectionConfig = DEFAULT_PAGE_DETECTION_CONFIG,
+  selectorProfiles = [DEFAULT_SELECTOR_PROFILE]
+) => {
+  const detection = {
+    ...detectionConfig,
+    intent: ATTENDANCE_INTENT,
+    methods: DETECTION_METHODS
+  };
+  return [
+    `window.__attendifyPageDetection = ${JSON.stringify(detection)};`,
+    `window.__attendifySelectorProfiles = ${JSON.stringify(selectorProfiles)};`,
+    BRIDGE_CLIENT_SCRIPT,
+    INTERCEPTOR_SCRIPT
+  ].join('\n');
+};
@@ -0,0 +1,90 @@
+/**
+ * Integrity checks for location fixes used to mark attendance.
+ *
+ * Mocked, stale and imprecise fixes are rejected, and so is having no fix
+ * at all: otherwise denying the location permission would skip every check.
+ * A fix that implies an impossible jump from a recent record is allowed but
+ * flagged, since a bad earlier fix can cause the same pattern.
+ */
+import { distanceInMeters } from '@/lib/geofence';
+
+export const DEFAULT_INTEGRITY_POLICY = {
+  maxFixAgeMs: 60000,
+  maxAccuracy: 100,
+  // ~250 km/h, generous for anything a student could do between classes
+  maxSpeedMetersPerSecond: 70,
+  recentWindowMs: 6 * 60 * 60 * 1000
+};
+
+export const INTEGRITY_VERDICT = {
+  TRUSTED: 'trusted',
+  SUSPICIOUS: 'suspicious',
+  REJECTED: 'rejected',
+  NO_FIX: 'no_fix'
+};
+
+const findImpossibleJump = (location, recentRecords, policy) => {
+  const previous = recentRecords
+    .filter(record => record.location?.timestamp && record.location.timestamp < location.timestamp)
+    .filter(record => location.timestamp - record.location.timestamp <= policy.recentWindowMs)
+    .sort((a, b) => b.location.timestamp - a.location.timestamp)[0];
+
+  if (!previous) return null;
+
+  const elapsedSeconds = (location.timestamp - previous.location.timestamp) / 1000;
+  // Give both fixes the benefit of their reported accuracy
+  const slack = (location.accuracy || 0) + (previous.location.accuracy || 0);
+  const distance = Math.max(0, distanceInMeters(previous.location, location) - slack);
+  const speed = distance / Math.max(elapsedSeconds, 1);
+
+  return speed > policy.maxSpeedMetersPerSecond
+    ? { distance: Math.round(distance), elapsedSeconds: Math.round(elapsedSeconds), speed: Math.round(speed) }
+    : null;
+};
+
+/**
+ * @param {object|null} location - Fix from getOptimizedLocation (timestamp is the fix time)
+ * @param {object[]} recentRecords - Stored verification records, used for jump detection
+ * @param {object} [policy]
+ * @returns {object} { verdict, allowed, reasons, checks, checkedAt }
+ */
+export const assessLocationIntegrity = (location, recentRecords = [], policy = DEFAULT_INTEGRITY_POLICY) => {
+  const checkedAt = Date.now();
+
+  if (!location) {
+    return {
+      verdict: INTEGRITY_VERDICT.NO_FIX,
+      allowed: false,
+      reasons: ['Attendify could not get your location. Turn on location services and allow Attendify to use them.'],
+      checks: {},
+      checkedAt
+    };
+  }
+
+  const fixAgeMs = checkedAt - location.timestamp;
+  const jump = findImpossibleJump(location, recentRecords, policy);
+  const checks = {
+    mocked: location.mocked === true,
+    fixAgeMs,
+    stale: fixAgeMs > policy.maxFixAgeMs,
+    accuracy: location.accuracy ?? null,
+    imprecise: location.accuracy == null || location.accuracy > policy.maxAccuracy,
+    impossibleJump: jump
+  };
+
+  const reasons = [];
+  if (checks.mocked) reasons.push('Your device reports a simulated (mock) location. Disable any fake GPS apps.');
+  if (checks.stale) reasons.push(`Your location fix is ${Math.round(fixAgeMs / 1000)} s old. Wait for a fresh GPS fix.`);
+  if (checks.imprecise) reasons.push(`Your location is too imprecise (need ±${policy.maxAccuracy} m or better).`);
+
+  if (reasons.length > 0) {
+    return { verdict: INTEGRITY_VERDICT.REJECTED, allowed: false, reasons, checks, checkedAt };
+  }
+
+  if (jump) {
+    reasons.push(`Location moved ${jump.distance} m in ${jump.elapsedSeconds} s since your last record.`);
+    return { verdict: INTEGRITY_VERDICT.SUSPICIOUS, allowed: true, reasons, checks, checkedAt };
+  }
+
+  return { verdict: INTEGRITY_VERDICT.TRUSTED, allowed: true, reasons, checks, checkedAt };
+};
@@ -0,0 +1,200 @@
+/**
+ * Structured app log.
+ *
+ * Entries are kept in a ring buffer (see constants/logging.js) that is
+ * persisted to AsyncStorage, so the log of a failed attendance attempt is
+ * still there when the user sends diagnostics after restarting the app. In
+ * development every entry is echoed to the console as well.
+ *
+ * Entries are redacted before they are stored:
+ *   - strings under credential-like keys (credential IDs, assertions,
+ *     signatures, challenges, tokens) become a short hash, so entries about
+ *     the same credential can still be matched up; objects under them are
+ *     dropped
+ *   - latitude/longitude, and coordinate pairs in text, are rounded to two
+ *     decimals (about 1 km)
+ *   - long base64url/hex runs in text are hashed like credential values
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex } from '@noble/hashes/utils';
+import { AppState } from 'react-native';
+
+import { DEFAULT_LOG_CONFIG, LOG_CONFIG_KEY, LOG_LEVELS } from '@/constants/logging';
+
+export const LOG_BUFFER_KEY = '@Attendify_Log_Buffer';
+
+const LEVEL_RANK = {
+  [LOG_LEVELS.DEBUG]: 0,
+  [LOG_LEVELS.INFO]: 1,
+  [LOG_LEVELS.WARN]: 2,
+  [LOG_LEVELS.ERROR]: 3
+};
+
+const PERSIST_DELAY_MS = 2000;
+const MAX_CONTEXT_DEPTH = 4;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_STRING_LENGTH = 500;
+
+/**
+ * @typedef {object} LogEntry
+ * @property {number} time - Epoch ms
+ * @property {string} level - One of LOG_LEVELS
+ * @property {string} category - One of LOG_CATEGORIES
+ * @property {string} message
+ * @property {any} [context] - Redacted copy of the values logged with the message
+ */
+
+// ========== REDACTION ==========
+const SECRET_KEY = /credential|assertion|signature|challenge|token|secret|password|passcode|nonce|userhandle|authenticatordata|clientdata|attestation|publickey|privatekey/i;
+const COORDINATE_KEY = /^(latitude|longitude|lat|lng|lon)$/i;
+const COORDINATE_PAIR = /(-?\d{1,3}\.\d{3,})(\s*,\s*)(-?\d{1,3}\.\d{3,})/g;
+// Storage keys and paths are long too; IDs and hashes contain digits
+const OPAQUE_RUN = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+
+const fingerprint = (value) => `[redacted #${bytesToHex(sha256(new TextEncoder().encode(String(value)))).slice(0, 8)}]`;
+
+const roundCoordinate = (value) => Math.round(value * 100) / 100;
+
+const scrubText = (text) => {
+  const scrubbed = text
+    .replace(COORDINATE_PAIR, (match, lat, separator, lng) => `${roundCoordinate(Number(lat))}${separator}${roundCoordinate(Number(lng))}`)
+    .replace(OPAQUE_RUN, (match) => (/\d/.test(match) ? fingerprint(match) : match));
+  return scrubbed.length > MAX_STRING_LENGTH ? `${scrubbed.slice(0, MAX_STRING_LENGTH)}…` : scrubbed;
+};
+
+const redact = (value, key = '', depth = 0) => {
+  if (value == null || typeof value === 'boolean') return value;
+
+  if (typeof value === 'number') {
+    return COORDINATE_KEY.test(key) ? roundCoordinate(value) : value;
+  }
+
+  if (SECRET_KEY.test(key)) {
+    return typeof value === 'string' ? fingerprint(value) : '[redacted]';
+  }
+
+  if (typeof value === 'string') return scrubText(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubText(value.message || ''),
+      ...(value.code ? { code: String(value.code) } : {})
+    };
+  }
+
+  if (typeof value !== 'object') return String(value);
+  if (depth >= MAX_CONTEXT_DEPTH) return '[…]';
+
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map(item => redact(item, key, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([childKey, child]) => [childKey, redact(child, childKey, depth + 1)])
+  );
+};
+
+// ========== BUFFER ==========
+let config = DEFAULT_LOG_CONFIG;
+let buffer = [];
+let persistTimer = null;
+
+export const loadLogConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(LOG_CONFIG_KEY);
+    return configJson ? { ...DEFAULT_LOG_CONFIG, ...JSON.parse(configJson) } : DEFAULT_LOG_CONFIG;
+  } catch (error) {
+    console.error('❌ Error loading log config, using defaults:', error);
+    return DEFAULT_LOG_CONFIG;
+  }
+};
+
+// Entries logged while the stored buffer loads are kept after it
+const ready = (async () => {
+  config = await loadLogConfig();
+  try {
+    const stored = JSON.parse((await AsyncStorage.getItem(LOG_BUFFER_KEY)) || '[]');
+    if (Array.isArray(stored)) buffer = [...stored, ...buffer].slice(-config.maxEntries);
+  } catch (error) {
+    console.error('❌ Could not restore the log buffer:', error);
+  }
+})();
+
+export const flushLogs = async () => {
+  await ready;
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    await AsyncStorage.setItem(LOG_BUFFER_KEY, JSON.stringify(buffer));
+  } catch (error) {
+    console.error('❌ Could not persist the log buffer:', error);
+  }
+};
+
+const schedulePersist = () => {
+  if (persistTimer) return;
+  persistTimer = setTimeout(flushLogs, PERSIST_DELAY_MS);
+};
+
+// The app can be killed once it is in the background
+AppState.addEventListener('change', (state) => {
+  if (state === 'background') flushLogs();
+});
+
+/**
+ * @returns {Promise<LogEntry[]>} Oldest first
+ */
+export const loadLogEntries = async () => {
+  await ready;
+  return [...buffer];
+};
+
+export const clearLogs = async () => {
+  await ready;
+  buffer = [];
+  await flushLogs();
+};
+
+// ========== LOGGING ==========
+const write = (level, category, message, context) => {
+  if ((LEVEL_RANK[level] ?? LEVEL_RANK.info) < (LEVEL_RANK[config.minLevel] ?? LEVEL_RANK.info)) return;
+
+  /** @type {LogEntry} */
+  const entry = { time: Date.now(), level, category, message: scrubText(String(message)) };
+  if (context !== undefined) entry.context = redact(context);
+
+  buffer.push(entry);
+  if (buffer.length > config.maxEntries) buffer.splice(0, buffer.length - config.maxEntries);
+  schedulePersist();
+
+  if (__DEV__) {
+    const echo = level === LOG_LEVELS.DEBUG ? console.log : console[level] || console.log;
+    echo(`[${category}] ${entry.message}`, ...(context !== undefined ? [entry.context] : []));
+  }
+};
+
+/**
+ * Logger for one category (see LOG_CATEGORIES). `context` is any value worth
+ * keeping with the message; it is redacted before it is stored.
+ *
+ * @param {string} category
+ */
+export const createLogger = (category) => ({
+  /** @param {string} message @param {any} [context] */
+  debug: (message, context) => write(LOG_LEVELS.DEBUG, category, message, context),
+  /** @param {string} message @param {any} [context] */
+  info: (message, context) => write(LOG_LEVELS.INFO, category, message, context),
+  /** @param {string} message @param {any} [context] */
+  warn: (message, context) => write(LOG_LEVELS.WARN, category, message, context),
+  /** @param {string} message @param {any} [context] */
+  error: (message, context) => write(LOG_LEVELS.ERROR, category, message, context),
+  /**
+   * Writes an entry at a level chosen at run time, e.g. one forwarded from the page
+   *
+   * @param {string} level
+   * @param {string} message
+   * @param {any} [context]
+   */
+  log: (level, message, context) => write(LEVEL_RANK[level] !== undefined ? level : LOG_LEVELS.INFO, category, message, context)
+});
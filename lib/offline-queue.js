@@ -0,0 +1,164 @@
+/**
+ * Persistent queue of attendance events captured while the portal is unreachable.
+ *
+ * Each event is biometric-verified and location-stamped on the device, then
+ * replayed to the server once connectivity returns. The idempotency key is
+ * sent with every attempt so a replay that the server already counted is
+ * reported back as a conflict rather than a second mark.
+ */
+import { sha256 } from '@noble/hashes/sha2';
+import * as Crypto from 'expo-crypto';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+import { toBase64Url, utf8Encode } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const OFFLINE_QUEUE_KEY = '@Attendify_Offline_Queue';
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+  REJECTED: 'rejected'
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// ========== STORAGE ==========
+export const loadOfflineQueue = async () => {
+  try {
+    return await readJson(environmentKey(OFFLINE_QUEUE_KEY), [], Array.isArray);
+  } catch (error) {
+    log.error('Error loading offline queue', error);
+    return [];
+  }
+};
+
+const saveOfflineQueue = async (queue) => {
+  await writeJson(environmentKey(OFFLINE_QUEUE_KEY), queue);
+};
+
+// ========== EVENTS ==========
+export const createOfflineEvent = ({ studentId, credentialId, location, locationIntegrity, geofence, auditHead = null }) => ({
+  idempotencyKey: Crypto.randomUUID(),
+  type: 'attendance_marking',
+  studentId,
+  credentialId,
+  capturedAt: Date.now(),
+  location,
+  locationIntegrity,
+  geofence,
+  auditHead
+});
+
+// The assertion for an offline event signs a hash of the event itself,
+// binding the biometric check to exactly what is replayed later
+export const offlineEventChallenge = (event) => toBase64Url(sha256(utf8Encode(JSON.stringify(event))));
+
+export const enqueueOfflineEvent = async (event, assertion) => {
+  const queue = await loadOfflineQueue();
+  const entry = {
+    event,
+    assertion,
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    lastAttemptAt: null,
+    message: null
+  };
+
+  await saveOfflineQueue([...queue, entry]);
+  return entry;
+};
+
+// Drops conflicts and rejections once the user has seen them
+export const dismissResolvedEntries = async () => {
+  const queue = await loadOfflineQueue();
+  const remaining = queue.filter(entry => entry.status === QUEUE_STATUS.PENDING);
+  await saveOfflineQueue(remaining);
+  return remaining;
+};
+
+// ========== REPLAY ==========
+const postEntry = async (endpoint, entry) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': entry.event.idempotencyKey
+      },
+      body: JSON.stringify({ event: entry.event, assertion: entry.assertion }),
+      signal: controller.signal
+    });
+
+    let body = null;
+    try {
+      body = await response.json();
+    } catch {
+      // Non-JSON replies only carry the status
+    }
+
+    return { status: response.status, message: body?.message || body?.error || null };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+const outcomeFor = (status) => {
+  if (status >= 200 && status < 300) return QUEUE_STATUS.SYNCED;
+  if (status === 409) return QUEUE_STATUS.CONFLICT;
+  if (status >= 400 && status < 500 && status !== 408 && status !== 429) return QUEUE_STATUS.REJECTED;
+  return QUEUE_STATUS.PENDING;
+};
+
+/**
+ * Replays every pending entry to the server, oldest first.
+ * Network failures and 5xx/408/429 replies leave the entry pending.
+ *
+ * @param {string} endpoint - Offline attendance endpoint on the portal
+ * @returns {Promise<object>} { queue, synced, conflicts, rejected } after the replay
+ */
+export const replayOfflineQueue = async (endpoint) => {
+  const queue = await loadOfflineQueue();
+  const synced = [];
+  const conflicts = [];
+  const rejected = [];
+
+  for (const entry of queue) {
+    if (entry.status !== QUEUE_STATUS.PENDING) continue;
+
+    entry.attempts += 1;
+    entry.lastAttemptAt = Date.now();
+
+    try {
+      const { status, message } = await postEntry(endpoint, entry);
+      entry.status = outcomeFor(status);
+      entry.message = message || (entry.status === QUEUE_STATUS.PENDING ? `Server returned ${status}` : null);
+    } catch (error) {
+      // Still offline (or timed out); stop here and retry the rest later
+      entry.message = error.message;
+      break;
+    }
+
+    if (entry.status === QUEUE_STATUS.SYNCED) synced.push(entry);
+    if (entry.status === QUEUE_STATUS.CONFLICT) conflicts.push(entry);
+    if (entry.status === QUEUE_STATUS.REJECTED) rejected.push(entry);
+  }
+
+  // Merge into the latest stored queue so events captured during the replay survive.
+  // Synced entries are recorded by the caller; only unresolved ones stay queued.
+  const replayed = new Map(queue.map(entry => [entry.event.idempotencyKey, entry]));
+  const remaining = (await loadOfflineQueue())
+    .map(entry => replayed.get(entry.event.idempotencyKey) || entry)
+    .filter(entry => entry.status !== QUEUE_STATUS.SYNCED);
+  await saveOfflineQueue(remaining);
+
+  return { queue: remaining, synced, conflicts, rejected };
+};
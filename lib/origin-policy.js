@@ -0,0 +1,111 @@
+/**
+ * Origin allowlist checks for the portal WebView.
+ *
+ * Only pages on an allowed origin may talk to the native bridge; every other
+ * web page is opened in the system browser, where it cannot reach the
+ * device's credentials, and embedded frames from other origins are blocked.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_ORIGIN_POLICY, ORIGIN_POLICY_KEY } from '@/constants/origins';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
+// ========== STORAGE ==========
+export const loadOriginPolicy = async () => {
+  try {
+    const policyJson = await AsyncStorage.getItem(ORIGIN_POLICY_KEY);
+    return policyJson
+      ? { ...DEFAULT_ORIGIN_POLICY, ...JSON.parse(policyJson) }
+      : DEFAULT_ORIGIN_POLICY;
+  } catch (error) {
+    log.error('Error loading origin policy, using defaults', error);
+    return DEFAULT_ORIGIN_POLICY;
+  }
+};
+
+export const saveOriginPolicy = async (policy) => {
+  await AsyncStorage.setItem(ORIGIN_POLICY_KEY, JSON.stringify(policy));
+};
+
+// ========== MATCHING ==========
+/**
+ * Normalized origin of an http(s) URL: lower-case, credentials and default
+ * port removed. React Native's URL polyfill keeps both, so parse by hand.
+ *
+ * @param {string} url
+ * @returns {string|null} null for non-web URLs (about:, data:, mailto:, …)
+ */
+export const originOf = (url) => {
+  const match = /^(https?):\/\/(?:[^@/?#]*@)?(\[[^\]]+\]|[^:/?#]+)(?::(\d+))?(?:[/?#]|$)/i.exec(url || '');
+  if (!match) return null;
+
+  const scheme = match[1].toLowerCase();
+  const host = match[2].toLowerCase();
+  const port = match[3] && match[3] !== DEFAULT_PORTS[scheme] ? `:${match[3]}` : '';
+  return `${scheme}://${host}${port}`;
+};
+
+const matchesEntry = (origin, entry) => {
+  const wildcard = /^(https?:\/\/)\*\.(.+)$/i.exec(entry);
+  if (!wildcard) {
+    return originOf(entry) === origin;
+  }
+
+  const base = originOf(`${wildcard[1]}${wildcard[2]}`);
+  if (!base) return false;
+
+  // Same scheme and port, strictly deeper host
+  const [scheme, rest] = base.split('://');
+  return origin.startsWith(`${scheme}://`) && origin.endsWith(`.${rest}`);
+};
+
+/**
+ * WebAuthn's relying party ID rule: a page may use its own host, or a parent
+ * domain of it, as the RP ID. Without a public suffix list a single label
+ * (`com`) never counts as a parent, and IP addresses have no parents.
+ *
+ * @param {string} rpId
+ * @param {string|null} origin - Normalized origin (see originOf)
+ */
+export const isValidRpId = (rpId, origin) => {
+  const host = origin?.split('://')[1]?.replace(/:\d+$/, '');
+  if (!host || typeof rpId !== 'string') return false;
+
+  const id = rpId.toLowerCase();
+  if (id === host) return true;
+  if (host.startsWith('[') || /^\d+(\.\d+){3}$/.test(host)) return false;
+  return id.includes('.') && !id.startsWith('.') && host.endsWith(`.${id}`);
+};
+
+export const isAllowedOrigin = (url, policy = DEFAULT_ORIGIN_POLICY) => {
+  const origin = originOf(url);
+  return Boolean(origin) && policy.allowedOrigins.some(entry => matchesEntry(origin, entry));
+};
+
+/**
+ * What the WebView should do with a navigation request.
+ *
+ * @param {{ url: string, isTopFrame?: boolean }} request - onShouldStartLoadWithRequest event
+ * @param {object} policy - Origin policy (see constants/origins.js)
+ * @returns {'load'|'external'|'block'} 'external' means open in the system
+ *   browser; 'block' means do not load it anywhere
+ */
+export const navigationDecision = (request, policy = DEFAULT_ORIGIN_POLICY) => {
+  // about:blank, srcdoc and data: frames have no origin of their own
+  if (!originOf(request.url)) return 'load';
+
+  // Every frame can post to the bridge (Android exposes ReactNativeWebView to
+  // iframes too) and the app only sees the top frame's URL, so embedded frames
+  // need an allowed origin as well. Nobody navigated to them, so they are
+  // blocked rather than opened in the browser.
+  if (request.isTopFrame === false) {
+    return isAllowedOrigin(request.url, policy) ? 'load' : 'block';
+  }
+
+  return isAllowedOrigin(request.url, policy) ? 'load' : 'external';
+};
@@ -0,0 +1,35 @@
+/**
+ * Storage for the attendance page detection settings injected into the
+ * WebView (see constants/page-detection.js for the web app contract).
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_PAGE_DETECTION_CONFIG, PAGE_DETECTION_CONFIG_KEY } from '@/constants/page-detection';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+// How a verification request was recognised; sent with webauthn.get
+export const DETECTION_METHODS = {
+  META_TAG: 'meta',
+  DATA_ATTRIBUTE: 'data-attribute',
+  EXTENSION: 'extension',
+  KEYWORD: 'keyword'
+};
+
+export const loadPageDetectionConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(PAGE_DETECTION_CONFIG_KEY);
+    return configJson
+      ? { ...DEFAULT_PAGE_DETECTION_CONFIG, ...JSON.parse(configJson) }
+      : DEFAULT_PAGE_DETECTION_CONFIG;
+  } catch (error) {
+    log.error('Error loading page detection config, using defaults', error);
+    return DEFAULT_PAGE_DETECTION_CONFIG;
+  }
+};
+
+export const savePageDetectionConfig = async (config) => {
+  await AsyncStorage.setItem(PAGE_DETECTION_CONFIG_KEY, JSON.stringify(config));
+};
@@ -0,0 +1,168 @@
+/**
+ * Compressed monthly archives of verification records.
+ *
+ * Records rolled out of the live log (see lib/verification-records.js) are
+ * grouped by the local month of their timestamp and stored gzip-compressed,
+ * one AsyncStorage entry per month, next to an index of what each month
+ * holds. Archived records keep their audit chain fields unchanged.
+ * Stored per server environment (see lib/environment.js).
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { gunzipSync, gzipSync, strFromU8, strToU8 } from 'fflate';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { quarantineValue, readJson, writeJson } from '@/lib/storage';
+import { fromBase64Url, toBase64Url } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const RECORD_ARCHIVE_INDEX_KEY = '@Attendify_Record_Archive_Index';
+export const RECORD_ARCHIVE_PREFIX = '@Attendify_Record_Archive/';
+
+const ARCHIVE_FORMAT_VERSION = 1;
+
+export class ArchiveReadError extends Error {
+  constructor(month, cause) {
+    super(`Record archive ${month} could not be read: ${cause?.message || cause}`);
+    this.name = 'ArchiveReadError';
+    this.month = month;
+  }
+}
+
+/**
+ * @typedef {object} ArchiveMonth
+ * @property {string} month - YYYY-MM, local time
+ * @property {number} count - Records in the month
+ * @property {number} firstSeq
+ * @property {number} lastSeq
+ * @property {number} bytes - Size as stored (compressed)
+ * @property {number} rawBytes - Size of the records as plain JSON
+ */
+
+// ========== MONTHS ==========
+export const monthOf = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// [from, to) of a month in epoch ms
+export const monthBounds = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    from: new Date(year, monthNumber - 1, 1).getTime(),
+    to: new Date(year, monthNumber, 1).getTime()
+  };
+};
+
+const monthKey = (month) => environmentKey(`${RECORD_ARCHIVE_PREFIX}${month}`);
+
+// ========== STORAGE ==========
+/**
+ * @returns {Promise<ArchiveMonth[]>} Oldest month first
+ */
+export const loadArchiveIndex = async () => {
+  try {
+    return await readJson(environmentKey(RECORD_ARCHIVE_INDEX_KEY), [], Array.isArray);
+  } catch (error) {
+    log.error('Error loading record archive index', error);
+    return [];
+  }
+};
+
+const isArchive = (value) => value?.format === ARCHIVE_FORMAT_VERSION && typeof value.data === 'string';
+
+/**
+ * A month with no archive reads as empty. One that cannot be decoded is moved
+ * aside (see lib/storage.js) and an ArchiveReadError is thrown, so a roll
+ * never rewrites the month as if it held nothing.
+ *
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<object[]>}
+ */
+export const loadArchiveMonth = async (month) => {
+  const key = monthKey(month);
+  const raw = await AsyncStorage.getItem(key);
+  if (raw == null) return [];
+
+  try {
+    const stored = JSON.parse(raw);
+    if (!isArchive(stored)) {
+      throw new Error('Stored value has an unexpected shape');
+    }
+    return JSON.parse(strFromU8(gunzipSync(fromBase64Url(stored.data))));
+  } catch (error) {
+    await quarantineValue(key, raw, error);
+    throw new ArchiveReadError(month, error);
+  }
+};
+
+/**
+ * Adds records to their monthly archives. Records a month already holds
+ * (by seq) are skipped, so an interrupted roll can safely be repeated.
+ * Throws ArchiveReadError when a month it adds to cannot be read.
+ *
+ * @param {object[]} records
+ */
+export const archiveRecords = async (records) => {
+  if (records.length === 0) return;
+
+  const byMonth = new Map();
+  records.forEach(record => {
+    const month = monthOf(record.timestamp);
+    byMonth.set(month, [...(byMonth.get(month) || []), record]);
+  });
+
+  const index = await loadArchiveIndex();
+  for (const [month, monthRecords] of byMonth) {
+    const existing = await loadArchiveMonth(month);
+    const archivedSeqs = new Set(existing.map(record => record.seq));
+    const merged = [...existing, ...monthRecords.filter(record => !archivedSeqs.has(record.seq))]
+      .sort((a, b) => a.seq - b.seq);
+
+    const raw = strToU8(JSON.stringify(merged));
+    const data = toBase64Url(gzipSync(raw));
+    await writeJson(monthKey(month), { format: ARCHIVE_FORMAT_VERSION, data });
+
+    const entry = {
+      month,
+      count: merged.length,
+      firstSeq: merged[0].seq,
+      lastSeq: merged[merged.length - 1].seq,
+      bytes: data.length,
+      rawBytes: raw.length
+    };
+    const position = index.findIndex(candidate => candidate.month === month);
+    if (position === -1) index.push(entry);
+    else index[position] = entry;
+  }
+
+  await writeJson(environmentKey(RECORD_ARCHIVE_INDEX_KEY), index.sort((a, b) => a.month.localeCompare(b.month)));
+  log.info('Archived verification records', { count: records.length });
+};
+
+/**
+ * Archived records from the months overlapping [from, to), in chain order.
+ * Records are not filtered by timestamp within those months.
+ *
+ * @param {{ from?: number|null, to?: number|null }} [range] - Epoch ms
+ * @returns {Promise<object[]>}
+ */
+export const loadArchivedRecords = async ({ from = null, to = null } = {}) => {
+  const months = (await loadArchiveIndex()).filter(entry => {
+    const bounds = monthBounds(entry.month);
+    return (from == null || bounds.to > from) && (to == null || bounds.from < to);
+  });
+
+  const records = [];
+  for (const { month } of months) {
+    try {
+      records.push(...(await loadArchiveMonth(month)));
+    } catch (error) {
+      // Moved aside already; the rest of the history is still worth showing
+      log.error('Skipping an unreadable record archive', { month, error });
+    }
+  }
+  return records.sort((a, b) => a.seq - b.seq);
+};
@@ -0,0 +1,137 @@
+/**
+ * CSV / JSON export of verification records.
+ *
+ * Column schema (CSV header order; JSON uses the same keys per record):
+ *
+ *   timestamp        ISO 8601 time of the attempt (UTC)
+ *   type             Event type, e.g. attendance_marking, check_in, check_out, offline_sync
+ *   studentId        Student / account identifier, "unknown" if none
+ *   credentialId     First 8 characters of the credential ID followed by "…"
+ *   success          true / false
+ *   error            Failure reason, empty on success
+ *   source           How the attempt was made (mobile_biometric, offline_queue, …)
+ *   authMethod       What passed the verification prompt (fingerprint, face, iris,
+ *                    biometric or passcode), empty if no prompt was passed
+ *   latitude         WGS84 latitude of the fix, empty without location
+ *   longitude        WGS84 longitude of the fix, empty without location
+ *   accuracy         Reported horizontal accuracy in meters
+ *   locationSource   gps, network or cached
+ *   integrity        Location integrity verdict (trusted, suspicious, rejected,
+ *                    or no_fix when there was no fix; unavailable in older records)
+ *   geofence         inside / outside, empty when no geofence was evaluated
+ *   durationMinutes  Time on site for a check-out, empty otherwise
+ *   course           Course code of the class being attended, empty if none
+ *   sessionRoom      Room from the scanned classroom QR token, empty if none
+ *   sessionNonce     Nonce of that token, empty if none
+ *   auditSeq         Position in the device's audit log (see lib/verification-records.js)
+ *   auditHash        SHA-256 hash of the audit log entry, hex
+ */
+import { Directory, File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+export const EXPORT_SCHEMA_VERSION = 5;
+
+const truncateCredentialId = (credentialId) => (credentialId ? `${credentialId.substring(0, 8)}…` : '');
+
+export const EXPORT_COLUMNS = [
+  { key: 'timestamp', value: record => new Date(record.timestamp).toISOString() },
+  { key: 'type', value: record => record.type || '' },
+  { key: 'studentId', value: record => record.studentId || 'unknown' },
+  { key: 'credentialId', value: record => truncateCredentialId(record.credentialId) },
+  { key: 'success', value: record => Boolean(record.success) },
+  { key: 'error', value: record => record.error || '' },
+  { key: 'source', value: record => record.source || '' },
+  { key: 'authMethod', value: record => record.authMethod || '' },
+  { key: 'latitude', value: record => record.location?.latitude ?? '' },
+  { key: 'longitude', value: record => record.location?.longitude ?? '' },
+  { key: 'accuracy', value: record => record.location?.accuracy ?? '' },
+  { key: 'locationSource', value: record => record.location?.source || '' },
+  { key: 'integrity', value: record => (record.locationIntegrity ?? record.location?.integrity)?.verdict || '' },
+  {
+    key: 'geofence',
+    value: record => (record.geofence ? (record.geofence.allowed ? 'inside' : 'outside') : '')
+  },
+  { key: 'durationMinutes', value: record => (record.durationMs != null ? Math.round(record.durationMs / 60000) : '') },
+  { key: 'course', value: record => record.course?.courseCode || record.sessionToken?.course || '' },
+  { key: 'sessionRoom', value: record => record.sessionToken?.room || '' },
+  { key: 'sessionNonce', value: record => record.sessionToken?.nonce || '' },
+  { key: 'auditSeq', value: record => record.seq ?? '' },
+  { key: 'auditHash', value: record => record.hash || '' }
+];
+
+const FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+  json: { extension: 'json', mimeType: 'application/json', uti: 'public.json' }
+};
+
+// ========== SERIALIZATION ==========
+const escapeCsv = (value) => {
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating free-text fields as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (record) => Object.fromEntries(EXPORT_COLUMNS.map(column => [column.key, column.value(record)]));
+
+export const recordsToCsv = (records) => [
+  EXPORT_COLUMNS.map(column => column.key).join(','),
+  ...records.map(record => EXPORT_COLUMNS.map(column => escapeCsv(column.value(record))).join(','))
+].join('\r\n');
+
+export const recordsToJson = (records, { from, to } = {}) => JSON.stringify({
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  range: {
+    from: from == null ? null : new Date(from).toISOString(),
+    to: to == null ? null : new Date(to).toISOString()
+  },
+  records: records.map(toRow)
+}, null, 2);
+
+/**
+ * @param {object[]} records - Records to export (already filtered to the chosen range)
+ * @param {'csv'|'json'} format
+ * @param {object} [range] - { from, to } epoch ms, recorded in the filename and JSON header
+ * @returns {{ filename: string, content: string, mimeType: string, uti: string }}
+ */
+export const buildExport = (records, format, range = {}) => {
+  const { extension, mimeType, uti } = FORMATS[format];
+  const day = (time) => new Date(time).toISOString().slice(0, 10);
+  const suffix = range.from == null ? 'all' : `${day(range.from)}_${day(range.to != null ? range.to - 1 : Date.now())}`;
+
+  return {
+    filename: `attendify-records-${suffix}.${extension}`,
+    content: format === 'csv' ? recordsToCsv(records) : recordsToJson(records, range),
+    mimeType,
+    uti
+  };
+};
+
+// ========== OUTPUT ==========
+export const shareExport = async (exported) => {
+  const file = new File(Paths.cache, exported.filename);
+  if (file.exists) file.delete();
+  file.create();
+  file.write(exported.content);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: exported.mimeType,
+    UTI: exported.uti,
+    dialogTitle: 'Export attendance records'
+  });
+};
+
+// Lets the user pick a folder and writes the export there; returns the file URI
+export const saveExportToFile = async (exported) => {
+  const directory = await Directory.pickDirectoryAsync();
+  const file = directory.createFile(exported.filename, exported.mimeType);
+  file.write(exported.content);
+  return file.uri;
+};
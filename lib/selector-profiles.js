@@ -0,0 +1,72 @@
+/**
+ * Storage and validation for per-deployment DOM selector profiles
+ * (see constants/selector-profiles.js). Profile selection by host happens in
+ * the page, where the hostname is known.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_SELECTOR_PROFILE, SELECTOR_PROFILES_KEY } from '@/constants/selector-profiles';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+const SELECTOR_FIELDS = ['studentIdField', 'credentialField', 'verifyButton', 'submitForm', 'registrationField', 'registrationForm'];
+
+// Missing fields fall back to the default profile's selectors
+const withDefaults = (profile) => ({
+  ...DEFAULT_SELECTOR_PROFILE,
+  ...profile,
+  hosts: Array.isArray(profile.hosts) ? profile.hosts : []
+});
+
+const isValidProfile = (profile) =>
+  Boolean(profile && typeof profile.id === 'string') &&
+  SELECTOR_FIELDS.every(field => profile[field] === undefined || typeof profile[field] === 'string');
+
+/**
+ * @returns {Promise<object[]>} Deployment profiles, in match order, followed by the default
+ */
+export const loadSelectorProfiles = async () => {
+  try {
+    const profilesJson = await AsyncStorage.getItem(SELECTOR_PROFILES_KEY);
+    const stored = profilesJson ? JSON.parse(profilesJson) : [];
+    const valid = (Array.isArray(stored) ? stored : []).filter(profile => {
+      if (isValidProfile(profile)) return true;
+      log.warn('Ignoring invalid selector profile', { id: profile?.id ?? null });
+      return false;
+    });
+    return [...valid.map(withDefaults), DEFAULT_SELECTOR_PROFILE];
+  } catch (error) {
+    log.error('Error loading selector profiles, using default', error);
+    return [DEFAULT_SELECTOR_PROFILE];
+  }
+};
+
+export const saveSelectorProfiles = async (profiles) => {
+  await AsyncStorage.setItem(
+    SELECTOR_PROFILES_KEY,
+    JSON.stringify(profiles.filter(profile => profile.id !== DEFAULT_SELECTOR_PROFILE.id))
+  );
+};
+
+/**
+ * Human-readable summary of a dry-run report sent by the page.
+ *
+ * @param {{ host: string, profileName: string, matches: Object<string, string[]>, errors?: string[] }} report
+ * @returns {string}
+ */
+export const formatDryRunReport = (report) => {
+  const lines = [`Host: ${report.host}`, `Profile: ${report.profileName}`, ''];
+
+  SELECTOR_FIELDS.forEach(field => {
+    const elements = report.matches[field] || [];
+    lines.push(`${field}: ${elements.length === 0 ? 'nothing found' : `${elements.length} element(s)`}`);
+    elements.slice(0, 5).forEach(element => lines.push(`  • ${element}`));
+  });
+
+  if (report.errors?.length > 0) {
+    lines.push('', 'Problems:', ...report.errors.map(error => `  • ${error}`));
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,221 @@
+/**
+ * Verification of classroom session tokens (see constants/session-tokens.js).
+ *
+ * Signing keys and the nonces already submitted are stored per server
+ * environment (see lib/environment.js).
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { p256 } from '@noble/curves/nist';
+import { sha256 } from '@noble/hashes/sha2';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_SESSION_TOKEN_CONFIG, SESSION_TOKEN_CONFIG_KEY } from '@/constants/session-tokens';
+import { fetchSessionKeys } from '@/lib/attendance-api';
+import { environmentKey, getActiveEnvironment } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+import { fromBase64Url, utf8Decode, utf8Encode } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+export const SESSION_TOKEN_KEYS_KEY = '@Attendify_Session_Token_Keys';
+export const USED_SESSION_TOKENS_KEY = '@Attendify_Used_Session_Tokens';
+
+export const SESSION_TOKEN_ERRORS = {
+  MALFORMED: 'malformed',
+  UNKNOWN_KEY: 'unknown_key',
+  BAD_SIGNATURE: 'bad_signature',
+  NOT_YET_VALID: 'not_yet_valid',
+  EXPIRED: 'expired',
+  REPLAYED: 'replayed'
+};
+
+/**
+ * @typedef {object} SessionTokenClaims
+ * @property {string} token - The token as scanned
+ * @property {string} kid
+ * @property {string} course
+ * @property {string} room
+ * @property {number} iat - Epoch seconds
+ * @property {number} exp - Epoch seconds
+ * @property {string} nonce
+ */
+
+export class SessionTokenError extends Error {
+  /**
+   * @param {string} code - One of SESSION_TOKEN_ERRORS
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionTokenError';
+    this.code = code;
+  }
+}
+
+// ========== CONFIG ==========
+export const loadSessionTokenConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(SESSION_TOKEN_CONFIG_KEY);
+    return configJson
+      ? { ...DEFAULT_SESSION_TOKEN_CONFIG, ...JSON.parse(configJson) }
+      : DEFAULT_SESSION_TOKEN_CONFIG;
+  } catch (error) {
+    log.error('Error loading session token config, using defaults', error);
+    return DEFAULT_SESSION_TOKEN_CONFIG;
+  }
+};
+
+// ========== SIGNING KEYS ==========
+const loadSessionKeys = () => readJson(environmentKey(SESSION_TOKEN_KEYS_KEY), [], Array.isArray);
+
+// Replaces the cached keys with the environment's current ones
+export const refreshSessionKeys = async (origin = getActiveEnvironment().origin) => {
+  const { keys } = await fetchSessionKeys(origin);
+  const valid = (Array.isArray(keys) ? keys : [])
+    .filter(key => typeof key?.kid === 'string' && typeof key.publicKey === 'string');
+  await writeJson(environmentKey(SESSION_TOKEN_KEYS_KEY), valid);
+  log.info('Session token keys refreshed', { keys: valid.length });
+  return valid;
+};
+
+// A key missing from the cache may have been rotated in since the last fetch
+const findSessionKey = async (kid) => {
+  const cached = (await loadSessionKeys()).find(key => key.kid === kid);
+  if (cached) return cached;
+
+  try {
+    return (await refreshSessionKeys()).find(key => key.kid === kid) || null;
+  } catch (error) {
+    log.warn('Could not refresh session token keys', error);
+    return null;
+  }
+};
+
+// ========== TOKENS ==========
+const decodeSegment = (segment) => JSON.parse(utf8Decode(fromBase64Url(segment)));
+
+/**
+ * Splits a scanned token and checks its shape, without checking the signature.
+ * Throws a SessionTokenError when it is not a session token.
+ *
+ * @param {string} token
+ * @returns {{ header: object, claims: object, signingInput: string, signature: Uint8Array }}
+ */
+export const parseSessionToken = (token) => {
+  const segments = typeof token === 'string' ? token.trim().split('.') : [];
+  if (segments.length !== 3) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.MALFORMED, 'This is not a classroom QR code');
+  }
+
+  let header;
+  let claims;
+  let signature;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+    signature = fromBase64Url(segments[2]);
+  } catch {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.MALFORMED, 'This is not a classroom QR code');
+  }
+
+  if (
+    header?.alg !== 'ES256' ||
+    typeof header.kid !== 'string' ||
+    typeof claims?.course !== 'string' ||
+    typeof claims.room !== 'string' ||
+    typeof claims.nonce !== 'string' ||
+    !Number.isFinite(claims.iat) ||
+    !Number.isFinite(claims.exp) ||
+    signature.length !== 64
+  ) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.MALFORMED, 'This classroom QR code is not in a supported format');
+  }
+
+  return { header, claims, signingInput: `${segments[0]}.${segments[1]}`, signature };
+};
+
+const loadUsedTokens = () => readJson(environmentKey(USED_SESSION_TOKENS_KEY), [], Array.isArray);
+
+/**
+ * Checks a token's signature, validity period and that it has not been
+ * submitted from this device before. Throws a SessionTokenError otherwise.
+ *
+ * @param {string} token
+ * @param {{ now?: number }} [options]
+ * @returns {Promise<SessionTokenClaims>}
+ */
+export const verifySessionToken = async (token, { now = Date.now() } = {}) => {
+  const { header, claims, signingInput, signature } = parseSessionToken(token);
+  const { clockSkewSeconds } = await loadSessionTokenConfig();
+
+  const key = await findSessionKey(header.kid);
+  if (!key) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.UNKNOWN_KEY, 'This QR code was not issued by your attendance server');
+  }
+
+  let valid = false;
+  try {
+    // Signatures from other ECDSA implementations are not normalized to low-S
+    valid = p256.verify(signature, sha256(utf8Encode(signingInput)), fromBase64Url(key.publicKey), { lowS: false });
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.BAD_SIGNATURE, 'This QR code has an invalid signature');
+  }
+
+  const nowSeconds = now / 1000;
+  if (claims.iat > nowSeconds + clockSkewSeconds) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.NOT_YET_VALID, 'This QR code is not valid yet. Check the time on your device.');
+  }
+  if (nowSeconds > claims.exp + clockSkewSeconds) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.EXPIRED, 'This QR code has expired. Scan the code currently on screen.');
+  }
+
+  if ((await loadUsedTokens()).some(used => used.nonce === claims.nonce)) {
+    throw new SessionTokenError(SESSION_TOKEN_ERRORS.REPLAYED, 'This QR code has already been used from this device');
+  }
+
+  return {
+    token: token.trim(),
+    kid: header.kid,
+    course: claims.course,
+    room: claims.room,
+    iat: claims.iat,
+    exp: claims.exp,
+    nonce: claims.nonce
+  };
+};
+
+/**
+ * Verifies a token and marks it used, right before it is submitted, so the
+ * same code cannot be submitted twice even if the submission then fails.
+ * Nonces are forgotten once their token could no longer pass the expiry check.
+ *
+ * @param {string} token
+ * @returns {Promise<SessionTokenClaims>}
+ */
+export const consumeSessionToken = async (token) => {
+  const claims = await verifySessionToken(token);
+  const { clockSkewSeconds } = await loadSessionTokenConfig();
+  const nowSeconds = Date.now() / 1000;
+
+  const used = (await loadUsedTokens()).filter(entry => entry.exp + clockSkewSeconds >= nowSeconds);
+  await writeJson(environmentKey(USED_SESSION_TOKENS_KEY), [...used, { nonce: claims.nonce, exp: claims.exp }]);
+
+  log.info('Session token used', { course: claims.course, room: claims.room, nonce: claims.nonce });
+  return claims;
+};
+
+// What a verification record keeps about the token
+export const sessionTokenSummary = (claims) => (claims
+  ? {
+    token: claims.token,
+    kid: claims.kid,
+    course: claims.course,
+    room: claims.room,
+    nonce: claims.nonce,
+    expiresAt: claims.exp * 1000
+  }
+  : null);
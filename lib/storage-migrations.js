@@ -0,0 +1,122 @@
+/**
+ * Storage schema version and the ordered migrations that reach it.
+ *
+ * The installed schema version is kept under STORAGE_SCHEMA_VERSION_KEY.
+ * At startup runStorageMigrations() applies every migration newer than that
+ * version, in order, to each environment's copy of the affected data, then
+ * records the new version. Migrations are pure transforms of one dataset so
+ * they can also be applied to data that is only readable later: credentials
+ * are sealed in the vault and are upgraded with migrateDataset() on unlock
+ * (see lib/credential-vault.js).
+ *
+ * To change a stored shape: append a migration with the next version number.
+ * Never edit or reorder a migration that has shipped.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+import { chainRecords, recordId, VERIFICATION_RECORDS_KEY } from '@/lib/verification-records';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const STORAGE_SCHEMA_VERSION_KEY = '@Attendify_Storage_Schema_Version';
+
+// Datasets kept directly in AsyncStorage, by base key (environment copies use `${key}:…`)
+const STORED_DATASETS = {
+  verificationRecords: VERIFICATION_RECORDS_KEY
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    dataset: 'verificationRecords',
+    description: 'Give every verification record an id, type, source and credentialId',
+    migrate: (records) => (Array.isArray(records) ? records : []).map((record, index) => ({
+      ...record,
+      id: recordId(record, index),
+      type: record.type || 'attendance_marking',
+      studentId: record.studentId || 'unknown',
+      credentialId: record.credentialId ?? null,
+      success: Boolean(record.success),
+      source: record.source || 'mobile_biometric'
+    }))
+  },
+  {
+    version: 2,
+    dataset: 'credentials',
+    description: 'Give extracted and fingerprint credentials the same registeredAt/source fields',
+    migrate: (credentials) => Object.fromEntries(
+      Object.entries(credentials || {}).map(([key, credential]) => {
+        const { timestamp, ...rest } = credential;
+        const extracted = credential.type === 'extracted';
+        return [key, {
+          ...rest,
+          type: extracted ? 'extracted' : 'fingerprint',
+          source: credential.source || (extracted ? 'page_extraction' : 'mobile_app'),
+          registeredAt: credential.registeredAt ?? timestamp ?? null,
+          ...(credential.publicKey ? { signCount: credential.signCount ?? 0 } : {})
+        }];
+      })
+    )
+  },
+  {
+    version: 3,
+    dataset: 'verificationRecords',
+    description: 'Link existing verification records into the audit hash chain',
+    migrate: (records) => chainRecords((Array.isArray(records) ? records : []).map((record, index) => ({
+      ...record,
+      id: recordId(record, index)
+    })))
+  }
+];
+
+export const STORAGE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Applies the migrations for one dataset that are newer than `fromVersion`.
+ *
+ * @param {string} dataset - Dataset name used in MIGRATIONS
+ * @param {*} value - Data as stored at `fromVersion`
+ * @param {number} fromVersion
+ * @returns {*} Data in the current schema
+ */
+export const migrateDataset = (dataset, value, fromVersion) => MIGRATIONS
+  .filter(migration => migration.dataset === dataset && migration.version > fromVersion)
+  .reduce((migrated, migration) => migration.migrate(migrated), value);
+
+export const loadStorageSchemaVersion = () => readJson(STORAGE_SCHEMA_VERSION_KEY, 0, Number.isInteger);
+
+/**
+ * Brings AsyncStorage up to STORAGE_SCHEMA_VERSION. Safe to call on every
+ * start; a failing migration is logged and retried from that step on the
+ * next start.
+ */
+export const runStorageMigrations = async () => {
+  const installedVersion = await loadStorageSchemaVersion();
+  if (installedVersion >= STORAGE_SCHEMA_VERSION) return;
+
+  try {
+    const allKeys = await AsyncStorage.getAllKeys();
+
+    for (const migration of MIGRATIONS.filter(m => m.version > installedVersion)) {
+      // Vault-only datasets have no stored keys here; they migrate on unlock
+      const baseKey = STORED_DATASETS[migration.dataset];
+      const keys = baseKey
+        ? allKeys.filter(key => key === baseKey || key.startsWith(`${baseKey}:`))
+        : [];
+      for (const key of keys) {
+        const value = await readJson(key, null);
+        if (value !== null) {
+          await writeJson(key, migration.migrate(value));
+        }
+      }
+      // Record progress per step so a later failure does not re-run this one
+      await writeJson(STORAGE_SCHEMA_VERSION_KEY, migration.version);
+      log.info(`Storage migration ${migration.version}: ${migration.description}`, { keys: keys.length });
+    }
+  } catch (error) {
+    log.error('Storage migration failed, will retry next start', error);
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * JSON helpers for AsyncStorage with corrupt-value recovery.
+ *
+ * A value that no longer parses is moved aside under CORRUPT_KEY_PREFIX
+ * (so it can still be inspected or recovered by hand) and the caller gets
+ * its fallback instead of an exception. Recoveries are remembered for the
+ * session so the UI can tell the user once.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { createLogger } from '@/lib/logger';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const CORRUPT_KEY_PREFIX = '@Attendify_Corrupt/';
+
+let recoveries = [];
+
+/**
+ * Moves a value that could not be read out of the way.
+ *
+ * @param {string} key - Storage key the value was read from
+ * @param {string} raw - The unreadable value, stored verbatim
+ * @param {Error} error - Why it could not be read
+ */
+export const quarantineValue = async (key, raw, error) => {
+  log.error('Corrupt data moved aside', { key, error });
+  try {
+    await AsyncStorage.setItem(`${CORRUPT_KEY_PREFIX}${key}`, raw);
+    await AsyncStorage.removeItem(key);
+  } catch (storageError) {
+    log.error('Could not quarantine corrupt data', { key, error: storageError });
+  }
+  recoveries.push({ key, error: error?.message || String(error), recoveredAt: Date.now() });
+};
+
+/**
+ * @param {string} key
+ * @param {*} fallback - Returned when the key is empty or its value is corrupt
+ * @param {(value: *) => boolean} [isValid] - Shape check; failing values are treated as corrupt
+ */
+export const readJson = async (key, fallback, isValid = () => true) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw == null) return fallback;
+
+  try {
+    const value = JSON.parse(raw);
+    if (!isValid(value)) {
+      throw new Error('Stored value has an unexpected shape');
+    }
+    return value;
+  } catch (error) {
+    await quarantineValue(key, raw, error);
+    return fallback;
+  }
+};
+
+export const writeJson = async (key, value) => {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+};
+
+// Returns and forgets the recoveries made since the last call
+export const consumeStorageRecoveries = () => {
+  const recovered = recoveries;
+  recoveries = [];
+  return recovered;
+};
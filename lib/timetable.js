@@ -0,0 +1,151 @@
+/**
+ * Class timetable (see constants/timetable.js), filled in by the portal or by
+ * hand. Stored per server environment (see lib/environment.js).
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { CLASS_SOURCES, DEFAULT_TIMETABLE_CONFIG, TIMETABLE_CONFIG_KEY } from '@/constants/timetable';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { readJson, writeJson } from '@/lib/storage';
+
+const log = createLogger(LOG_CATEGORIES.APP);
+
+export const TIMETABLE_KEY = '@Attendify_Timetable';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ========== CONFIG ==========
+export const loadTimetableConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(TIMETABLE_CONFIG_KEY);
+    return configJson
+      ? { ...DEFAULT_TIMETABLE_CONFIG, ...JSON.parse(configJson) }
+      : DEFAULT_TIMETABLE_CONFIG;
+  } catch (error) {
+    log.error('Error loading timetable config, using defaults', error);
+    return DEFAULT_TIMETABLE_CONFIG;
+  }
+};
+
+export const saveTimetableConfig = async (config) => {
+  await AsyncStorage.setItem(TIMETABLE_CONFIG_KEY, JSON.stringify(config));
+};
+
+// ========== STORAGE ==========
+export const loadTimetable = async () => {
+  try {
+    return await readJson(environmentKey(TIMETABLE_KEY), [], Array.isArray);
+  } catch (error) {
+    log.error('Error loading timetable', error);
+    return [];
+  }
+};
+
+export const saveTimetable = async (classes) => {
+  await writeJson(environmentKey(TIMETABLE_KEY), sortClasses(classes));
+};
+
+// ========== CLASSES ==========
+export const minutesOfDay = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+export const sortClasses = (classes) =>
+  [...classes].sort((a, b) => a.weekday - b.weekday || minutesOfDay(a.startTime) - minutesOfDay(b.startTime));
+
+/**
+ * Checks and trims a class entry. Throws with a readable message when invalid.
+ *
+ * @param {object} entry
+ * @param {string} source - One of CLASS_SOURCES
+ * @returns {object} The class as stored
+ */
+export const normalizeClass = (entry, source) => {
+  const courseCode = typeof entry?.courseCode === 'string' ? entry.courseCode.trim() : '';
+  if (!courseCode) throw new Error('Course code is required');
+  if (!Number.isInteger(entry.weekday) || entry.weekday < 0 || entry.weekday > 6) {
+    throw new Error(`${courseCode}: weekday must be 0 (Sunday) to 6`);
+  }
+  if (!TIME_PATTERN.test(entry.startTime) || !TIME_PATTERN.test(entry.endTime)) {
+    throw new Error(`${courseCode}: times must be HH:MM`);
+  }
+  if (minutesOfDay(entry.endTime) <= minutesOfDay(entry.startTime)) {
+    throw new Error(`${courseCode}: the class must end after it starts`);
+  }
+
+  return {
+    id: typeof entry.id === 'string' && entry.id ? entry.id : Crypto.randomUUID(),
+    courseCode,
+    courseName: typeof entry.courseName === 'string' ? entry.courseName.trim() : '',
+    room: typeof entry.room === 'string' ? entry.room.trim() : '',
+    weekday: entry.weekday,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    source
+  };
+};
+
+/**
+ * Replaces the classes the portal sent before, keeping those entered by hand.
+ * Throws (and stores nothing) if any class is invalid.
+ *
+ * @param {object[]} classes - As sent with timetable.sync
+ * @returns {Promise<object[]>} The updated timetable
+ */
+export const importPortalTimetable = async (classes) => {
+  const imported = classes.map(entry => normalizeClass(entry, CLASS_SOURCES.PORTAL));
+  const manual = (await loadTimetable()).filter(entry => entry.source !== CLASS_SOURCES.PORTAL);
+  const timetable = sortClasses([...manual, ...imported]);
+
+  await saveTimetable(timetable);
+  log.info('Imported portal timetable', { classes: imported.length });
+  return timetable;
+};
+
+export const saveManualClass = async (entry) => {
+  const saved = normalizeClass(entry, CLASS_SOURCES.MANUAL);
+  const timetable = (await loadTimetable()).filter(existing => existing.id !== saved.id);
+  await saveTimetable([...timetable, saved]);
+  return saved;
+};
+
+export const removeClass = async (classId) => {
+  await saveTimetable((await loadTimetable()).filter(entry => entry.id !== classId));
+};
+
+// Start and end (epoch ms) of the class on the calendar day `dayOffset` days
+// from `now`, or null when it is not held that day
+const occurrenceOn = (entry, now, dayOffset) => {
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+  if (day.getDay() !== entry.weekday) return null;
+  const at = (time) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutesOfDay(time)).getTime();
+  return { startsAt: at(entry.startTime), endsAt: at(entry.endTime) };
+};
+
+/**
+ * The class whose marking window (from the reminder until it ends) contains `now`.
+ * Windows are compared as timestamps, so a reminder before midnight counts
+ * for a class early the next day.
+ *
+ * @returns {object|null}
+ */
+export const currentClass = (timetable, leadMinutes = DEFAULT_TIMETABLE_CONFIG.reminderLeadMinutes, now = new Date()) => {
+  const time = now.getTime();
+  const leadMs = leadMinutes * 60 * 1000;
+  // Today's classes, plus those whose reminder reaches back into today
+  const dayOffsets = Array.from({ length: Math.ceil(leadMinutes / (24 * 60)) + 1 }, (_, offset) => offset);
+
+  return timetable.find(entry => dayOffsets.some(offset => {
+    const occurrence = occurrenceOn(entry, now, offset);
+    return Boolean(occurrence) && time >= occurrence.startsAt - leadMs && time <= occurrence.endsAt;
+  })) || null;
+};
+
+// What a verification record keeps about the class
+export const courseSummary = (entry) => (entry
+  ? { classId: entry.id, courseCode: entry.courseCode, courseName: entry.courseName || null }
+  : null);
@@ -0,0 +1,331 @@
+/**
+ * Verification records written whenever attendance marking is attempted.
+ * Stored per server environment (see lib/environment.js).
+ *
+ * The records are an append-only audit log. Each entry carries a sequence
+ * number, the hash of the entry before it (prevHash) and a SHA-256 hash over
+ * its own content including both, so editing, removing or reordering any
+ * entry breaks the chain. The newest { seq, hash } is also kept in the
+ * device keystore, which catches a log that was cut short or rebuilt from
+ * scratch, and is sent with each attendance submission so the server can
+ * spot gaps between what it received and what the device logged.
+ *
+ * The retention policy (see constants/retention.js) decides how much stays
+ * in the live log; older entries roll into compressed monthly archives (see
+ * lib/record-archive.js), still chained, instead of being dropped.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { sha256 } from '@noble/hashes/sha2';
+import { bytesToHex } from '@noble/hashes/utils';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+
+import { LOG_CATEGORIES } from '@/constants/logging';
+import { DEFAULT_RETENTION_CONFIG, MAX_LIVE_RECORDS, RETENTION_CONFIG_KEY, RETENTION_MODES } from '@/constants/retention';
+import { environmentKey } from '@/lib/environment';
+import { createLogger } from '@/lib/logger';
+import { archiveRecords, loadArchiveIndex, loadArchivedRecords } from '@/lib/record-archive';
+import { readJson, writeJson } from '@/lib/storage';
+import { utf8Encode } from '@/lib/webauthn';
+
+const log = createLogger(LOG_CATEGORIES.STORAGE);
+
+export const VERIFICATION_RECORDS_KEY = '@Attendify_Verification_Records';
+// Single uncompressed archive used before monthly archives; folded into them on the next roll
+export const LEGACY_ARCHIVE_KEY = '@Attendify_Verification_Archive';
+
+// prevHash of the first entry
+export const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUDIT_ANCHOR_PREFIX = 'attendify_audit_head';
+
+// Older records were stored without an id; derive a stable one from their position
+export const recordId = (record, index) => record.id || `${record.timestamp}-${index}`;
+
+// ========== HASH CHAIN ==========
+// JSON with object keys sorted, so a record hashes the same however it was built
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(item => canonicalJson(item ?? null)).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const hashRecord = (record) => {
+  const { hash, ...content } = record;
+  return bytesToHex(sha256(utf8Encode(canonicalJson(content))));
+};
+
+/**
+ * Links records onto the chain after `previous`, in order.
+ *
+ * @param {object[]} records - Records without seq / prevHash / hash
+ * @param {{ seq: number, hash: string }|null} [previous] - Current head, null for an empty log
+ * @returns {object[]} The chained records
+ */
+export const chainRecords = (records, previous = null) => {
+  let head = previous || { seq: 0, hash: AUDIT_GENESIS_HASH };
+  return records.map(record => {
+    const { seq, prevHash, hash, ...content } = record;
+    const linked = { ...content, seq: head.seq + 1, prevHash: head.hash };
+    head = { ...linked, hash: hashRecord(linked) };
+    return head;
+  });
+};
+
+/**
+ * Checks every link from `start` on. Stops at the first problem.
+ *
+ * @param {object[]} entries - Oldest first
+ * @param {{ seq: number, hash: string }} [start] - Entry the first one follows
+ * @returns {{ valid: boolean, problem: string|null, brokenAt: number|null }}
+ */
+export const verifyRecordChain = (entries, start = { seq: 0, hash: AUDIT_GENESIS_HASH }) => {
+  let previous = start;
+  for (const entry of entries) {
+    const broken = (problem) => ({ valid: false, problem, brokenAt: entry.seq ?? null });
+
+    if (!Number.isInteger(entry.seq) || typeof entry.hash !== 'string') {
+      return broken(`An entry after #${previous.seq} is not part of the chain`);
+    }
+    if (entry.seq !== previous.seq + 1) {
+      if (entry.seq <= previous.seq) return broken(`Entry #${entry.seq} is out of order`);
+      return broken(entry.seq === previous.seq + 2
+        ? `Entry #${previous.seq + 1} is missing`
+        : `Entries #${previous.seq + 1}–#${entry.seq - 1} are missing`);
+    }
+    if (entry.prevHash !== previous.hash) {
+      return broken(`Entry #${entry.seq} does not follow entry #${previous.seq}`);
+    }
+    if (hashRecord(entry) !== entry.hash) {
+      return broken(`Entry #${entry.seq} was modified after it was written`);
+    }
+    previous = entry;
+  }
+  return { valid: true, problem: null, brokenAt: null };
+};
+
+// ========== RETENTION ==========
+export const loadRetentionConfig = async () => {
+  try {
+    const configJson = await AsyncStorage.getItem(RETENTION_CONFIG_KEY);
+    return configJson
+      ? { ...DEFAULT_RETENTION_CONFIG, ...JSON.parse(configJson) }
+      : DEFAULT_RETENTION_CONFIG;
+  } catch (error) {
+    log.error('Error loading retention config, using defaults', error);
+    return DEFAULT_RETENTION_CONFIG;
+  }
+};
+
+export const saveRetentionConfig = async (config) => {
+  await AsyncStorage.setItem(RETENTION_CONFIG_KEY, JSON.stringify(config));
+};
+
+/**
+ * How many of the oldest records the policy rolls out of the live log. The
+ * newest record always stays, as it is the audit log head.
+ *
+ * @param {object[]} records - Oldest first
+ * @param {object} config - Retention config
+ * @param {number} [now]
+ * @returns {number}
+ */
+export const overflowCount = (records, config, now = Date.now()) => {
+  let count = 0;
+  if (config.mode === RETENTION_MODES.AGE) {
+    const cutoff = now - config.maxAgeDays * DAY_MS;
+    while (count < records.length - 1 && records[count].timestamp < cutoff) count++;
+  } else {
+    count = records.length - Math.max(1, config.maxRecords);
+  }
+  return Math.max(0, count, records.length - MAX_LIVE_RECORDS);
+};
+
+// ========== STORAGE ==========
+export const loadVerificationRecords = async () => {
+  try {
+    const records = await readJson(environmentKey(VERIFICATION_RECORDS_KEY), [], Array.isArray);
+    return records.map((record, index) => ({ ...record, id: recordId(record, index) }));
+  } catch (error) {
+    log.error('Error loading verification records', error);
+    return [];
+  }
+};
+
+const loadLegacyArchive = () => readJson(environmentKey(LEGACY_ARCHIVE_KEY), [], Array.isArray);
+
+// Keystore names only allow letters, digits, '.', '-' and '_'
+const anchorName = () => `${AUDIT_ANCHOR_PREFIX}${environmentKey('')}`.replace(/[^A-Za-z0-9._-]/g, '_');
+
+const loadAuditAnchor = async () => {
+  try {
+    const stored = await SecureStore.getItemAsync(anchorName());
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    log.warn('Could not read the audit log anchor', error);
+    return null;
+  }
+};
+
+const saveAuditAnchor = async (head) => {
+  try {
+    await SecureStore.setItemAsync(anchorName(), JSON.stringify(head));
+  } catch (error) {
+    log.warn('Could not update the audit log anchor', error);
+  }
+};
+
+// Appends run one at a time so concurrent saves cannot fork the chain
+let appendQueue = Promise.resolve();
+
+// Writes the live log, first rolling what the retention policy no longer
+// keeps into the archives. Archiving first means an interrupted roll leaves
+// records in both places rather than in neither. A roll that fails, e.g. on
+// an unreadable archive month, keeps every record live until the next one.
+const writeLiveLog = async (records) => {
+  let overflow = [];
+  try {
+    const legacy = await loadLegacyArchive();
+    if (legacy.length > 0) {
+      await archiveRecords(legacy);
+      await AsyncStorage.removeItem(environmentKey(LEGACY_ARCHIVE_KEY));
+    }
+
+    overflow = records.slice(0, overflowCount(records, await loadRetentionConfig()));
+    await archiveRecords(overflow);
+  } catch (error) {
+    log.error('Records not archived, keeping them in the live log', error);
+    overflow = [];
+  }
+  await writeJson(environmentKey(VERIFICATION_RECORDS_KEY), records.slice(overflow.length));
+};
+
+const appendRecord = async (record) => {
+  const records = await readJson(environmentKey(VERIFICATION_RECORDS_KEY), [], Array.isArray);
+
+  const [entry] = chainRecords([{ id: Crypto.randomUUID(), ...record }], records[records.length - 1] || null);
+  await writeLiveLog([...records, entry]);
+  await saveAuditAnchor({ seq: entry.seq, hash: entry.hash });
+
+  log.info('Saved verification record', { type: record.type, seq: entry.seq, success: record.success });
+};
+
+export const saveVerificationRecord = (record) => {
+  appendQueue = appendQueue
+    .then(() => appendRecord(record))
+    .catch(error => log.error('Error saving verification record', error));
+  return appendQueue;
+};
+
+// Rolls records out under the current policy, e.g. after it changed or as records age
+export const applyRetentionPolicy = () => {
+  appendQueue = appendQueue
+    .then(async () => writeLiveLog(await readJson(environmentKey(VERIFICATION_RECORDS_KEY), [], Array.isArray)))
+    .catch(error => log.error('Error applying the retention policy', error));
+  return appendQueue;
+};
+
+/**
+ * Live and archived records that may fall in [from, to), for the history
+ * screen; narrow them with filterVerificationRecords.
+ *
+ * @param {{ from?: number|null, to?: number|null }} [range] - Epoch ms
+ * @returns {Promise<object[]>}
+ */
+export const queryVerificationRecords = async (range = {}) => {
+  const [live, archived] = await Promise.all([loadVerificationRecords(), loadArchivedRecords(range)]);
+  const liveSeqs = new Set(live.map(record => record.seq));
+  return [...archived.filter(record => !liveSeqs.has(record.seq)), ...live];
+};
+
+/**
+ * Space taken by the live log and the archives of the current environment.
+ *
+ * @returns {Promise<{ liveRecords: number, liveBytes: number, archivedRecords: number, archiveBytes: number, archiveRawBytes: number, months: import('@/lib/record-archive').ArchiveMonth[] }>}
+ */
+export const recordStorageUsage = async () => {
+  const [liveJson, months] = await Promise.all([
+    AsyncStorage.getItem(environmentKey(VERIFICATION_RECORDS_KEY)),
+    loadArchiveIndex()
+  ]);
+  const live = liveJson ? JSON.parse(liveJson) : [];
+  return {
+    liveRecords: Array.isArray(live) ? live.length : 0,
+    liveBytes: liveJson ? utf8Encode(liveJson).length : 0,
+    archivedRecords: months.reduce((sum, month) => sum + month.count, 0),
+    archiveBytes: months.reduce((sum, month) => sum + month.bytes, 0),
+    archiveRawBytes: months.reduce((sum, month) => sum + month.rawBytes, 0),
+    months
+  };
+};
+
+/**
+ * Newest entry of the audit log, as sent with attendance submissions.
+ *
+ * @returns {Promise<{ seq: number, hash: string }|null>} null while the log is empty
+ */
+export const loadAuditHead = async () => {
+  await appendQueue;
+  const records = await loadVerificationRecords();
+  const head = records[records.length - 1];
+  return head?.hash ? { seq: head.seq, hash: head.hash } : null;
+};
+
+/**
+ * Checks the whole audit log, archive included, against its hash chain and
+ * the head kept in the keystore.
+ *
+ * @returns {Promise<{ valid: boolean, problem: string|null, brokenAt: number|null, entries: number, archived: number, head: { seq: number, hash: string }|null, anchored: boolean }>}
+ */
+export const verifyAuditLog = async () => {
+  await appendQueue;
+  const [live, legacy, monthly, anchor] = await Promise.all([
+    readJson(environmentKey(VERIFICATION_RECORDS_KEY), [], Array.isArray),
+    loadLegacyArchive(),
+    loadArchivedRecords(),
+    loadAuditAnchor()
+  ]);
+
+  // Entries archived just before the app stopped can still be in the live log,
+  // and legacy entries in the monthly archives
+  const archive = [...new Map([...legacy, ...monthly].map(entry => [entry.seq, entry])).values()]
+    .sort((a, b) => a.seq - b.seq);
+  const archived = live.length > 0 ? archive.filter(entry => entry.seq < live[0].seq) : archive;
+  const entries = [...archived, ...live];
+  const last = entries[entries.length - 1];
+  const head = last ? { seq: last.seq, hash: last.hash } : null;
+  const summary = { entries: entries.length, archived: archived.length, head, anchored: Boolean(anchor) };
+
+  const chain = verifyRecordChain(entries);
+  if (!chain.valid) return { ...chain, ...summary };
+
+  if (anchor && (!head || head.seq < anchor.seq)) {
+    return { valid: false, problem: `The log ends before entry #${anchor.seq}`, brokenAt: anchor.seq, ...summary };
+  }
+  if (anchor && (head.seq !== anchor.seq || head.hash !== anchor.hash)) {
+    return { valid: false, problem: `Entry #${head.seq} does not match the device keystore`, brokenAt: head.seq, ...summary };
+  }
+  return { ...chain, ...summary };
+};
+
+/**
+ * @param {object[]} records
+ * @param {object} filters
+ * @param {number} [filters.from] - Inclusive start, epoch ms
+ * @param {number} [filters.to] - Exclusive end, epoch ms
+ * @param {'all'|'success'|'failure'} [filters.outcome]
+ * @returns {object[]} Matching records, newest first
+ */
+export const filterVerificationRecords = (records, { from, to, outcome = 'all' } = {}) =>
+  records
+    .filter(record => from == null || record.timestamp >= from)
+    .filter(record => to == null || record.timestamp < to)
+    .filter(record => outcome === 'all' || (outcome === 'success') === Boolean(record.success))
+    .sort((a, b) => b.timestamp - a.timestamp);
@@ -0,0 +1,276 @@
+/**
+ * Minimal platform authenticator used by the WebAuthn interceptor.
+ *
+ * Credentials are ES256 (P-256) key pairs. The private key never leaves the
+ * device keystore (expo-secure-store); only the COSE public key and the
+ * credential metadata are kept with the rest of the credential store.
+ */
+import { p256 } from '@noble/curves/nist';
+import { sha256 } from '@noble/hashes/sha2';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+
+export const COSE_ALG_ES256 = -7;
+
+const PRIVATE_KEY_PREFIX = 'attendify_webauthn_key_';
+const CREDENTIAL_ID_LENGTH = 32;
+
+// All-zero AAGUID, as used by authenticators that return "none" attestation
+const AAGUID = new Uint8Array(16);
+
+// Authenticator data flags (WebAuthn §6.1)
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+// DER prefix of a SubjectPublicKeyInfo for an uncompressed P-256 point
+const P256_SPKI_PREFIX = Uint8Array.from([
+  0x30, 0x59, 0x30, 0x13, 0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01,
+  0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07, 0x03, 0x42, 0x00
+]);
+
+// ========== ENCODING ==========
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+export const toBase64Url = (bytes) => {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    output += BASE64_CHARS[(chunk >> 18) & 63] + BASE64_CHARS[(chunk >> 12) & 63];
+    if (i + 1 < bytes.length) output += BASE64_CHARS[(chunk >> 6) & 63];
+    if (i + 2 < bytes.length) output += BASE64_CHARS[chunk & 63];
+  }
+  return output;
+};
+
+export const fromBase64Url = (value) => {
+  const clean = (value || '').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+
+  for (const char of clean) {
+    const sextet = BASE64_CHARS.indexOf(char);
+    if (sextet === -1) throw new Error('Invalid base64url input');
+    buffer = (buffer << 6) | sextet;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+};
+
+export const utf8Encode = (text) => new TextEncoder().encode(text);
+
+export const utf8Decode = (bytes) => new TextDecoder().decode(bytes);
+
+export const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+// ========== CBOR ==========
+// Only the subset needed for attestation objects and COSE keys: integers,
+// byte strings, text strings, arrays and maps (Map keeps integer keys).
+const cborHead = (major, length) => {
+  if (length < 24) return Uint8Array.from([(major << 5) | length]);
+  if (length < 0x100) return Uint8Array.from([(major << 5) | 24, length]);
+  if (length < 0x10000) return Uint8Array.from([(major << 5) | 25, length >> 8, length & 0xff]);
+  return Uint8Array.from([
+    (major << 5) | 26,
+    (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff
+  ]);
+};
+
+export const encodeCbor = (value) => {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  }
+  if (value instanceof Uint8Array) {
+    return concatBytes(cborHead(2, value.length), value);
+  }
+  if (typeof value === 'string') {
+    const bytes = utf8Encode(value);
+    return concatBytes(cborHead(3, bytes.length), bytes);
+  }
+  if (Array.isArray(value)) {
+    return concatBytes(cborHead(4, value.length), ...value.map(encodeCbor));
+  }
+  const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+  return concatBytes(
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])
+  );
+};
+
+// ========== AUTHENTICATOR DATA ==========
+const uint32 = (value) => Uint8Array.from([
+  (value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff
+]);
+
+export const buildAuthenticatorData = ({ rpId, signCount, attestedCredentialData }) => {
+  let flags = FLAG_USER_PRESENT | FLAG_USER_VERIFIED;
+  if (attestedCredentialData) flags |= FLAG_ATTESTED_CREDENTIAL_DATA;
+
+  return concatBytes(
+    sha256(utf8Encode(rpId)),
+    Uint8Array.from([flags]),
+    uint32(signCount),
+    attestedCredentialData || new Uint8Array(0)
+  );
+};
+
+const buildCosePublicKey = (uncompressedPoint) => encodeCbor(new Map([
+  [1, 2], // kty: EC2
+  [3, COSE_ALG_ES256], // alg: ES256
+  [-1, 1], // crv: P-256
+  [-2, uncompressedPoint.slice(1, 33)], // x
+  [-3, uncompressedPoint.slice(33, 65)] // y
+]));
+
+export const buildClientDataJSON = ({ type, challenge, origin }) => utf8Encode(JSON.stringify({
+  type,
+  challenge,
+  origin,
+  crossOrigin: false
+}));
+
+// ========== KEY STORAGE ==========
+const privateKeyName = (credentialId) => `${PRIVATE_KEY_PREFIX}${credentialId}`;
+
+const storePrivateKey = async (credentialId, privateKey) => {
+  await SecureStore.setItemAsync(privateKeyName(credentialId), toBase64Url(privateKey), {
+    keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY
+  });
+};
+
+export const loadPrivateKey = async (credentialId) => {
+  const stored = await SecureStore.getItemAsync(privateKeyName(credentialId));
+  return stored ? fromBase64Url(stored) : null;
+};
+
+export const deletePrivateKey = async (credentialId) => {
+  await SecureStore.deleteItemAsync(privateKeyName(credentialId));
+};
+
+const generatePrivateKey = () => {
+  let privateKey = Crypto.getRandomBytes(32);
+  while (!p256.utils.isValidPrivateKey(privateKey)) {
+    privateKey = Crypto.getRandomBytes(32);
+  }
+  return privateKey;
+};
+
+export const generateCredentialId = () => toBase64Url(Crypto.getRandomBytes(CREDENTIAL_ID_LENGTH));
+
+// ========== REGISTRATION ==========
+/**
+ * Creates a new ES256 credential and the "none" attestation response for it.
+ * Must only be called after the user has passed the biometric prompt.
+ *
+ * @param {object} options
+ * @param {string} options.rpId - Relying party ID the credential is scoped to
+ * @param {string} options.origin - Origin of the page that called credentials.create
+ * @param {string} options.challenge - Challenge from the page, base64url encoded
+ * @param {string} [options.userHandle] - user.id from the page, base64url encoded
+ * @returns {Promise<object>} Credential metadata plus the base64url encoded response
+ */
+export const createCredential = async ({ rpId, origin, challenge, userHandle }) => {
+  if (!rpId || !origin || !challenge) {
+    throw new Error('rpId, origin and challenge are required to create a credential');
+  }
+
+  const privateKey = generatePrivateKey();
+  const publicPoint = p256.getPublicKey(privateKey, false);
+  const credentialIdBytes = Crypto.getRandomBytes(CREDENTIAL_ID_LENGTH);
+  const credentialId = toBase64Url(credentialIdBytes);
+  const cosePublicKey = buildCosePublicKey(publicPoint);
+
+  const attestedCredentialData = concatBytes(
+    AAGUID,
+    Uint8Array.from([credentialIdBytes.length >> 8, credentialIdBytes.length & 0xff]),
+    credentialIdBytes,
+    cosePublicKey
+  );
+  const authenticatorData = buildAuthenticatorData({ rpId, signCount: 0, attestedCredentialData });
+  const attestationObject = encodeCbor(new Map([
+    ['fmt', 'none'],
+    ['attStmt', new Map()],
+    ['authData', authenticatorData]
+  ]));
+  const clientDataJSON = buildClientDataJSON({ type: 'webauthn.create', challenge, origin });
+
+  await storePrivateKey(credentialId, privateKey);
+
+  return {
+    credentialId,
+    publicKey: toBase64Url(cosePublicKey),
+    algorithm: COSE_ALG_ES256,
+    rpId,
+    userHandle: userHandle || null,
+    signCount: 0,
+    response: {
+      id: credentialId,
+      rawId: credentialId,
+      clientDataJSON: toBase64Url(clientDataJSON),
+      attestationObject: toBase64Url(attestationObject),
+      authenticatorData: toBase64Url(authenticatorData),
+      publicKey: toBase64Url(concatBytes(P256_SPKI_PREFIX, publicPoint)),
+      publicKeyAlgorithm: COSE_ALG_ES256,
+      transports: ['internal']
+    }
+  };
+};
+
+// ========== ASSERTION ==========
+/**
+ * Signs a WebAuthn assertion with the private key bound to a stored credential.
+ * The caller is responsible for persisting the returned signCount before the
+ * assertion is handed to the page, so a counter value is never reused.
+ *
+ * @param {object} options
+ * @param {object} options.credential - Stored credential (id, rpId, signCount, userHandle)
+ * @param {string} options.origin - Origin of the page that called credentials.get
+ * @param {string} options.challenge - Challenge from the page, base64url encoded
+ * @param {string} [options.rpId] - Relying party ID requested by the page
+ * @returns {Promise<object>} The new signCount and the base64url encoded response
+ */
+export const getAssertion = async ({ credential, origin, challenge, rpId }) => {
+  if (!credential?.id || !origin || !challenge) {
+    throw new Error('credential, origin and challenge are required to sign an assertion');
+  }
+
+  const privateKey = await loadPrivateKey(credential.id);
+  if (!privateKey) {
+    throw new Error('No private key is bound to this credential');
+  }
+
+  const signCount = (credential.signCount || 0) + 1;
+  const authenticatorData = buildAuthenticatorData({
+    rpId: rpId || credential.rpId,
+    signCount
+  });
+  const clientDataJSON = buildClientDataJSON({ type: 'webauthn.get', challenge, origin });
+  const signedData = concatBytes(authenticatorData, sha256(clientDataJSON));
+  const signature = p256.sign(sha256(signedData), privateKey).toDERRawBytes();
+
+  return {
+    signCount,
+    response: {
+      id: credential.id,
+      rawId: credential.id,
+      authenticatorData: toBase64Url(authenticatorData),
+      clientDataJSON: toBase64Url(clientDataJSON),
+      signature: toBase64Url(signature),
+      userHandle: credential.userHandle || null
+    }
+  };
+};
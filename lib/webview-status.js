@@ -0,0 +1,47 @@
+/**
+ * What the portal WebView on the home screen last reported, for the device
+ * readiness screen (see lib/device-readiness.js).
+ *
+ * Kept in memory only: it describes the page on screen right now, and a new
+ * page load starts from a blank status until that page reports in.
+ */
+
+/**
+ * @typedef {object} InterceptorReport
+ * @property {string} url - Page the interceptor started on, without query or fragment
+ * @property {boolean} webauthn - Whether the page has navigator.credentials to wrap
+ * @property {string|null} selectorProfile - Selector profile chosen for the page
+ * @property {number} reportedAt - Epoch ms
+ */
+
+/**
+ * @typedef {object} WebViewStatus
+ * @property {string|null} url - Page being shown; null before the first load
+ * @property {number|null} loadedAt - Epoch ms the page finished loading
+ * @property {{ description: string, code: number|null }|null} loadError
+ * @property {InterceptorReport|null} interceptor - null until the page's interceptor reports in
+ */
+
+/** @type {WebViewStatus} */
+let status = { url: null, loadedAt: null, loadError: null, interceptor: null };
+
+export const reportPageLoadStarted = (url) => {
+  status = { url, loadedAt: null, loadError: null, interceptor: null };
+};
+
+export const reportPageLoaded = (url) => {
+  status = { ...status, url, loadedAt: Date.now(), loadError: null };
+};
+
+export const reportPageLoadFailed = (url, { description, code = null }) => {
+  status = { ...status, url, loadError: { description, code } };
+};
+
+export const reportInterceptorReady = ({ url, webauthn, selectorProfile = null }) => {
+  status = { ...status, interceptor: { url, webauthn, selectorProfile, reportedAt: Date.now() } };
+};
+
+/**
+ * @returns {WebViewStatus}
+ */
+export const getWebViewStatus = () => status;
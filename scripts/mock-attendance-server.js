@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of the attendance REST API (see lib/attendance-api.js) for
+ * trying out the native attendance screen and the offline queue by hand
+ * without the real portal.
+ *
+ *   npm run mock-server            # listens on port 4010
+ *   PORT=5000 npm run mock-server
+ *
+ * Point the app at it with a custom environment, e.g. http://10.0.2.2:4010/
+ * from the Android emulator or http://<your LAN IP>:4010/ from a device
+ * running a development build (release builds need https off localhost).
+ *
+ * The mock checks what it can without the registered public key: the
+ * challenge must be known, unexpired and unused, and the assertion's
+ * clientDataJSON must be a webauthn.get over that challenge. Signatures are
+ * not verified. State is in memory and lost on restart.
+ *
+ * It also stands in for the teacher's rotating classroom QR code (see
+ * constants/session-tokens.js): GET /mock/session-token?course=CS101&room=B-204
+ * returns a freshly signed token to paste into any QR generator, and
+ * REQUIRE_SESSION_TOKEN=1 makes /verify refuse submissions without one.
+ *
+ * Submissions carry the head of the device's audit log; the mock logs a
+ * warning when a device's log went backwards or was rewritten since its
+ * last submission.
+ */
+
+const { Buffer } = require('buffer');
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 4010;
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const SESSION_TOKEN_TTL_S = 60;
+const REQUIRE_SESSION_TOKEN = process.env.REQUIRE_SESSION_TOKEN === '1';
+
+// Session token signing key, new on every start
+const SESSION_KEY_ID = `mock-${Date.now().toString(36)}`;
+const sessionKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const sessionPublicJwk = sessionKeys.publicKey.export({ format: 'jwk' });
+const SESSION_PUBLIC_KEY = Buffer.concat([
+  Buffer.from([0x04]),
+  Buffer.from(sessionPublicJwk.x, 'base64url'),
+  Buffer.from(sessionPublicJwk.y, 'base64url')
+]).toString('base64url');
+
+const challenges = new Map();
+const attendance = new Map();
+const offlineEvents = new Map();
+const usedSessionTokens = new Set(); // `${nonce}:${studentId}`
+const auditHeads = new Map(); // credentialId → last { seq, hash } received
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const fail = (res, status, error, message) => send(res, status, { error, message });
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const decodeClientData = (clientDataJSON) => {
+  try {
+    return JSON.parse(Buffer.from(clientDataJSON, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// ========== SESSION TOKENS ==========
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signSessionToken = ({ course, room }) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const signingInput = [
+    encodeSegment({ alg: 'ES256', kid: SESSION_KEY_ID, typ: 'attendify-session' }),
+    encodeSegment({ course, room, iat, exp: iat + SESSION_TOKEN_TTL_S, nonce: crypto.randomBytes(16).toString('base64url') })
+  ].join('.');
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: sessionKeys.privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+// Returns the claims, or [status, error, message] when the token is refused
+const checkSessionToken = (token, studentId) => {
+  const [header, claims, signature] = String(token).split('.');
+  const signed = signature && crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${claims}`),
+    { key: sessionKeys.publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url')
+  );
+  if (!signed) return [401, 'invalid_session_token', 'The classroom QR code is not valid'];
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+  } catch {
+    return [400, 'invalid_session_token', 'The classroom QR code could not be read'];
+  }
+  if (Date.now() / 1000 > decoded.exp) return [410, 'session_token_expired', 'The classroom QR code has expired'];
+  if (usedSessionTokens.has(`${decoded.nonce}:${studentId}`)) {
+    return [409, 'session_token_used', 'This classroom QR code was already used'];
+  }
+  return decoded;
+};
+
+const handleSessionToken = (res, query) => {
+  const token = signSessionToken({ course: query.get('course') || 'CS101', room: query.get('room') || 'B-204' });
+  return send(res, 200, { token, expiresAt: Date.now() + SESSION_TOKEN_TTL_S * 1000 });
+};
+
+// ========== AUDIT HEADS ==========
+const checkAuditHead = (credentialId, head) => {
+  if (!head) return;
+  const last = auditHeads.get(credentialId);
+  if (last && (head.seq < last.seq || (head.seq === last.seq && head.hash !== last.hash))) {
+    console.warn(`⚠️ Audit log of ${credentialId} went from #${last.seq} to #${head.seq}; records may have been removed`);
+  } else if (last && head.seq > last.seq) {
+    console.log(`🔗 Audit log of ${credentialId}: ${head.seq - last.seq} entries since the last submission`);
+  }
+  auditHeads.set(credentialId, head);
+};
+
+const handleChallenge = (req, res, body) => {
+  if (!body.studentId || !body.credentialId) {
+    return fail(res, 400, 'invalid_request', 'studentId and credentialId are required');
+  }
+
+  const challenge = {
+    challengeId: crypto.randomUUID(),
+    challenge: crypto.randomBytes(32).toString('base64url'),
+    rpId: (req.headers.host || 'localhost').split(':')[0],
+    expiresAt: Date.now() + CHALLENGE_TTL_MS
+  };
+  challenges.set(challenge.challengeId, {
+    ...challenge,
+    studentId: body.studentId,
+    credentialId: body.credentialId,
+    action: body.action || 'mark',
+    used: false
+  });
+
+  console.log(`🎫 Challenge ${challenge.challengeId} for ${body.studentId} (${body.action || 'mark'})`);
+  return send(res, 200, challenge);
+};
+
+const handleVerify = (res, body) => {
+  const issued = challenges.get(body.challengeId);
+  if (!issued) return fail(res, 404, 'unknown_challenge', 'This challenge was never issued');
+  if (issued.used) return fail(res, 409, 'challenge_used', 'This challenge has already been used');
+  if (Date.now() > issued.expiresAt) return fail(res, 410, 'challenge_expired', 'The challenge has expired, please try again');
+
+  const assertion = body.assertion || {};
+  const clientData = decodeClientData(assertion.clientDataJSON || '');
+  if (
+    !clientData ||
+    clientData.type !== 'webauthn.get' ||
+    clientData.challenge !== issued.challenge ||
+    assertion.id !== issued.credentialId ||
+    !assertion.signature
+  ) {
+    return fail(res, 401, 'invalid_assertion', 'The assertion does not answer this challenge');
+  }
+
+  let sessionToken = null;
+  if (body.sessionToken) {
+    sessionToken = checkSessionToken(body.sessionToken, issued.studentId);
+    if (Array.isArray(sessionToken)) return fail(res, ...sessionToken);
+    usedSessionTokens.add(`${sessionToken.nonce}:${issued.studentId}`);
+  } else if (REQUIRE_SESSION_TOKEN && issued.action !== 'check_out') {
+    return fail(res, 401, 'invalid_session_token', 'Scan the classroom QR code first');
+  }
+
+  issued.used = true;
+  checkAuditHead(issued.credentialId, body.auditHead);
+  const record = {
+    attendanceId: crypto.randomUUID(),
+    studentId: issued.studentId,
+    action: issued.action,
+    status: 'recorded',
+    markedAt: Date.now(),
+    location: body.location || null,
+    course: sessionToken?.course || null,
+    room: sessionToken?.room || null,
+    message: body.location ? 'Attendance recorded' : 'Attendance recorded without location'
+  };
+  attendance.set(record.attendanceId, record);
+
+  console.log(`✅ Attendance ${record.attendanceId} for ${record.studentId} (${record.action})`);
+  return send(res, 201, { attendanceId: record.attendanceId, status: record.status });
+};
+
+const handleResult = (res, attendanceId) => {
+  const record = attendance.get(attendanceId);
+  if (!record) return fail(res, 404, 'unknown_attendance', 'No attendance with this ID');
+
+  const { location, ...result } = record;
+  return send(res, 200, result);
+};
+
+// Offline queue replay (lib/offline-queue.js): duplicates are conflicts
+const handleOffline = (req, res, body) => {
+  const key = req.headers['idempotency-key'];
+  if (!key || !body.event) return fail(res, 400, 'invalid_request', 'Idempotency-Key and event are required');
+  if (offlineEvents.has(key)) return fail(res, 409, 'duplicate', 'This event was already recorded');
+
+  offlineEvents.set(key, body.event);
+  checkAuditHead(body.event.credentialId, body.event.auditHead);
+  console.log(`📥 Offline event ${key} for ${body.event.studentId}`);
+  return send(res, 201, { status: 'recorded' });
+};
+
+const route = (req, res, path, search, body) => {
+  if (req.method === 'POST' && path === '/api/attendance/challenge') return handleChallenge(req, res, body);
+  if (req.method === 'POST' && path === '/api/attendance/verify') return handleVerify(res, body);
+  if (req.method === 'POST' && path === '/api/attendance/offline') return handleOffline(req, res, body);
+  if (req.method === 'GET' && path === '/api/attendance/session-keys') {
+    return send(res, 200, { keys: [{ kid: SESSION_KEY_ID, publicKey: SESSION_PUBLIC_KEY }] });
+  }
+  if (req.method === 'GET' && path === '/mock/session-token') return handleSessionToken(res, new URLSearchParams(search));
+  if (req.method === 'GET' && path.startsWith('/api/attendance/')) {
+    return handleResult(res, decodeURIComponent(path.slice('/api/attendance/'.length)));
+  }
+  return fail(res, 404, 'not_found', `No route for ${req.method} ${path}`);
+};
+
+const server = http.createServer(async (req, res) => {
+  const [path, search] = req.url.split('?');
+  console.log(`${req.method} ${path}`);
+
+  let body = {};
+  if (req.method === 'POST') {
+    try {
+      body = await readBody(req);
+    } catch {
+      return fail(res, 400, 'invalid_json', 'Request body is not JSON');
+    }
+    // Every route reads fields off the body; null, arrays and scalars are not requests
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return fail(res, 400, 'invalid_request', 'Request body must be a JSON object');
+    }
+  }
+
+  // A malformed request must not take the mock down for everyone else
+  try {
+    return route(req, res, path, search, body);
+  } catch (error) {
+    console.warn(`⚠️ ${req.method} ${path} failed: ${error.message}`);
+    return fail(res, 400, 'invalid_request', 'The request could not be handled');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock attendance API listening on http://localhost:${PORT}`);
+  console.log(`Session tokens signed with key ${SESSION_KEY_ID}${REQUIRE_SESSION_TOKEN ? ' (required)' : ''}`);
+});